@@ -2,15 +2,44 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const { spawn } = require('child_process');
+const { Readable } = require('stream');
 const QRCode = require('qrcode');
-const DeviceDetector = require('device-detector-js');
-const { initDatabase: initGSMADatabase, searchDevice: searchGSMADevice, advancedDeviceMatch, DB_PATH: GSMA_DB_PATH } = require('./utils/gsmaDatabase');
+const { initDatabase: initGSMADatabase, getDeviceByTAC, formatDevice: formatGSMADevice, parseCatalogQuery, findDeviceModels, getDeviceModel, getCatalogFilterOptions, DB_PATH: GSMA_DB_PATH } = require('./utils/gsmaDatabase');
+const { validateIMEI, isValidTAC } = require('./utils/imei');
+const { initDatabase: initScansDatabase } = require('./utils/database');
+const { captureServerData, requestClientHints } = require('./utils/dataCapture');
+const { openScanSession, getScanSession } = require('./utils/scanSessions');
+const { addScan, getLatestScanBySessionId, getScanByInternalId, findScans, parseScanQuery, getScanFilterOptions, getScansByCampaignId, countScans, importScansFile, setScanCorrection, clearScanCorrection } = require('./utils/scanRepository');
+const { writeScanExport, EXPORT_FORMATS, EXPORT_DATASETS } = require('./utils/scanExport');
+const { getAnalytics } = require('./utils/analytics');
+const { getCampaign, getAllCampaigns, createCampaign, updateCampaign, deleteCampaign, getCampaignAvailability } = require('./utils/campaignRepository');
+const { loadRules: loadFingerprintRules, watchRules: watchFingerprintRules } = require('./utils/fingerprintRules');
+const { normalizeSignals, matchDevice } = require('./utils/matchingEngine');
+const { learnSignatures, getProposals, acceptProposal, rejectProposal, PROPOSAL_STATUSES, MIN_LABELLED_SCANS } = require('./utils/signatureLearner');
+const { getAlias, getAliases, createAlias, updateAlias, deleteAlias, importAliases, ALIAS_KINDS } = require('./utils/aliasRepository');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const DATA_DIR = process.env.DATA_DIR || '/data';
 const SCANS_FILE = path.join(DATA_DIR, 'scans.json');
-const DEFAULT_REDIRECT_URL = 'https://www.google.com';
+const DEFAULT_REDIRECT_URL = process.env.DEFAULT_REDIRECT_URL || 'https://www.google.com';
+// Origins ad-hoc links may redirect to with ?redirect= (campaigns use their stored destination)
+const REDIRECT_ALLOWED_ORIGINS = (process.env.REDIRECT_ALLOWED_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean)
+  .map(origin => {
+    try {
+      return new URL(origin).origin;
+    } catch (error) {
+      console.warn(`⚠️  Ignoring invalid REDIRECT_ALLOWED_ORIGINS entry: ${origin}`);
+      return null;
+    }
+  })
+  .filter(Boolean);
+// What happens after a scan: 'result' shows the eSIM result page, 'redirect' passes through to the destination
+const APP_MODES = ['result', 'redirect'];
+const APP_MODE = APP_MODES.includes(process.env.APP_MODE) ? process.env.APP_MODE : 'result';
 const BASE_URL = process.env.BASE_URL || `http://localhost:${PORT}`;
 
 // Middleware
@@ -27,13 +56,19 @@ if (!fs.existsSync(DATA_DIR)) {
   fs.mkdirSync(DATA_DIR, { recursive: true });
 }
 
-// Initialize scans.json if it doesn't exist
-if (!fs.existsSync(SCANS_FILE)) {
-  fs.writeFileSync(SCANS_FILE, JSON.stringify([], null, 2));
-}
+// Initialize scans database
+initScansDatabase();
 
-// Device detector instance
-const deviceDetector = new DeviceDetector();
+// One-time import of scans stored by previous versions in scans.json
+if (fs.existsSync(SCANS_FILE) && countScans() === 0) {
+  try {
+    const result = importScansFile(SCANS_FILE);
+    console.log(`📥 Imported ${result.imported}/${result.total} scan(s) from ${SCANS_FILE}`);
+  } catch (error) {
+    console.error(`❌ Error importing ${SCANS_FILE}:`, error.message);
+    console.error('⚠️  Please run manually: npm run import-scans');
+  }
+}
 
 // Initialize GSMA database at startup
 console.log('🔍 Initializing GSMA database...');
@@ -78,486 +113,45 @@ const gsmaInitResult = initGSMADatabase();
 if (gsmaInitResult) {
   const { getStats } = require('./utils/gsmaDatabase');
   const stats = getStats();
-  console.log(`✅ GSMA Database ready: ${stats.totalDevices} devices loaded`);
+  console.log(`✅ GSMA Database ready: ${stats.totalDevices} devices loaded (${stats.totalModels} models)`);
 } else {
   console.warn('⚠️  GSMA Database initialization failed - matching may not work');
   console.warn('⚠️  The app will continue to run, but device matching will return null');
 }
 
-/**
- * Get client IP address from request
- */
-function getClientIP(req) {
-  return req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
-         req.headers['x-real-ip'] ||
-         req.connection?.remoteAddress ||
-         req.socket?.remoteAddress ||
-         req.ip ||
-         'Unknown';
-}
-
-/**
- * Get Client Hints from request headers
- */
-function getClientHints(req) {
-  const hints = {
-    viewportWidth: req.headers['viewport-width'],
-    deviceMemory: req.headers['device-memory'],
-    dpr: req.headers['dpr'],
-    width: req.headers['width'],
-    ect: req.headers['ect'],
-    rtt: req.headers['rtt'],
-    downlink: req.headers['downlink']
-  };
-  
-  // Remove undefined values
-  Object.keys(hints).forEach(key => {
-    if (hints[key] === undefined) {
-      delete hints[key];
-    }
-  });
-  
-  return Object.keys(hints).length > 0 ? hints : null;
-}
-
-/**
- * Top 50 eSIM-compatible devices (fallback when database is unavailable)
- * Format: { deviceName: { euicc: true/false, manufacturer: string } }
- */
-const TOP_ESIM_DEVICES = {
-  'iPhone 12': { euicc: true, manufacturer: 'Apple' },
-  'iPhone 13': { euicc: true, manufacturer: 'Apple' },
-  'iPhone 14': { euicc: true, manufacturer: 'Apple' },
-  'iPhone 15': { euicc: true, manufacturer: 'Apple' },
-  'iPhone 16': { euicc: true, manufacturer: 'Apple' },
-  'iPhone XS': { euicc: true, manufacturer: 'Apple' },
-  'iPhone XR': { euicc: true, manufacturer: 'Apple' },
-  'iPhone 11': { euicc: true, manufacturer: 'Apple' },
-  'Motorola Edge 50': { euicc: true, manufacturer: 'Motorola' },
-  'Moto G84': { euicc: true, manufacturer: 'Motorola' },
-  'Google Pixel 7': { euicc: true, manufacturer: 'Google' },
-  'Google Pixel 7a': { euicc: true, manufacturer: 'Google' },
-  'Google Pixel 8': { euicc: true, manufacturer: 'Google' },
-  'Samsung Galaxy S23': { euicc: true, manufacturer: 'Samsung' },
-  'Samsung Galaxy S24': { euicc: true, manufacturer: 'Samsung' },
-  'Samsung Galaxy S25': { euicc: true, manufacturer: 'Samsung' },
-  'OnePlus 11': { euicc: true, manufacturer: 'OnePlus' },
-  'OnePlus 12': { euicc: true, manufacturer: 'OnePlus' }
-};
-
-/**
- * Fallback GSMA search using hardcoded list (when database unavailable)
- */
-function searchGSMADeviceFallback(searchTerm) {
-  if (!searchTerm) return null;
-  
-  const normalized = searchTerm.toLowerCase().trim();
-  
-  // Try exact match first
-  for (const [deviceName, data] of Object.entries(TOP_ESIM_DEVICES)) {
-    if (normalized === deviceName.toLowerCase()) {
-      return {
-        standardised_full_name: deviceName,
-        standardised_manufacturer: data.manufacturer,
-        euicc: data.euicc ? 'true' : 'false'
-      };
-    }
-  }
-  
-  // Try partial match
-  for (const [deviceName, data] of Object.entries(TOP_ESIM_DEVICES)) {
-    if (normalized.includes(deviceName.toLowerCase()) || deviceName.toLowerCase().includes(normalized)) {
-      return {
-        standardised_full_name: deviceName,
-        standardised_manufacturer: data.manufacturer,
-        euicc: data.euicc ? 'true' : 'false'
-      };
-    }
-  }
-  
-  return null;
-}
-
-/**
- * Hardcoded Signature Map for device identification
- * Maps hardware signatures (GPU + Resolution) to device models
- */
-const DEVICE_SIGNATURE_MAP = {
-  // Motorola Edge 50 Signature
-  'adreno_710_432': {
-    gpu: 'adreno (tm) 710',
-    screenWidth: 432,
-    deducedModel: 'Motorola Edge 50',
-    searchTerms: ['Motorola Edge 50', 'Motorola Moto G84', 'Moto Edge 50'],
-    confidence: 85
-  }
-};
-
-/**
- * Check if device matches a hardcoded signature
- * @param {string} gpuRenderer - GPU renderer string
- * @param {number} screenWidth - Screen width in pixels
- * @returns {Object|null} Signature match or null
- */
-function checkDeviceSignature(gpuRenderer, screenWidth) {
-  if (!gpuRenderer || !screenWidth) {
-    return null;
-  }
-  
-  const normalizedGPU = gpuRenderer.trim().toLowerCase();
-  
-  // Check Motorola Edge 50 signature
-  if (normalizedGPU.includes('adreno (tm) 710') && screenWidth === 432) {
-    const signature = DEVICE_SIGNATURE_MAP['adreno_710_432'];
-    console.log(`🔍 Hardcoded signature match: ${signature.deducedModel} (GPU: ${gpuRenderer}, Width: ${screenWidth})`);
-    return signature;
-  }
-  
-  return null;
-}
-
-/**
- * Try to refine iPhone model detection using GPU/performance hints
- * @param {string} gpuRenderer - GPU renderer string
- * @param {number} hardwareConcurrency - CPU cores
- * @param {Array} possibleModels - Array of possible iPhone models
- * @returns {string|null} Refined model or null if cannot distinguish
- */
-function refineiPhoneModel(gpuRenderer, hardwareConcurrency, possibleModels) {
-  if (!gpuRenderer || possibleModels.length <= 1) {
-    return null; // Cannot refine if no GPU info or already unique
-  }
-  
-  // Note: GPU-based refinement is limited as Apple uses similar GPUs across generations
-  // This is a placeholder for future enhancements (WebGL benchmarks, API availability checks)
-  // For now, we cannot reliably distinguish iPhone 12/13/14 via GPU alone
-  
-  return null; // Cannot distinguish, return null to use series name
-}
-
-/**
- * Android GPU & Resolution Fingerprinting Table
- * Maps GPU renderer + screen width + pixel ratio to device series
- * @param {string} gpuRenderer - GPU renderer string
- * @param {number} screenWidth - Screen width in pixels
- * @param {number} screenHeight - Screen height in pixels
- * @param {number} pixelRatio - Device pixel ratio
- * @returns {Object|null} Object with displayName and models array, or null
- */
-function identifyAndroidByGPU(gpuRenderer, screenWidth, screenHeight, pixelRatio) {
-  if (!gpuRenderer || !screenWidth) {
-    return null;
-  }
-  
-  // Normalize GPU renderer string (case-insensitive, remove extra spaces)
-  const normalizedGPU = gpuRenderer.trim().toLowerCase();
-  
-  // Android GPU fingerprinting table
-  const androidFingerprints = [
-    // Motorola Edge 50 / Moto G Series - Specific signature with pixelRatio
-    {
-      gpu: 'adreno (tm) 710',
-      width: 432,
-      height: 984,
-      pixelRatio: 2.5, // Specific to Motorola Edge 50
-      displayName: 'Motorola Edge 50 / Moto G Series',
-      models: ['Motorola Edge 50', 'Moto G84', 'Moto G84 5G'],
-      confidence: 85
-    },
-    // Google Pixel 7 / 7a Series
-    {
-      gpu: 'mali-g710',
-      width: 412,
-      height: 915,
-      pixelRatio: null, // Not specified
-      displayName: 'Google Pixel 7 / 7a Series',
-      models: ['Google Pixel 7', 'Google Pixel 7a', 'Google Pixel 7 Pro'],
-      confidence: 80
-    },
-    // Samsung Galaxy S23 / S24 Series (Snapdragon)
-    {
-      gpu: 'adreno (tm) 740',
-      width: 360,
-      height: 780,
-      pixelRatio: null,
-      displayName: 'Samsung Galaxy S23 / S24 Series',
-      models: ['Samsung Galaxy S23', 'Samsung Galaxy S24', 'Samsung Galaxy S23 Ultra'],
-      confidence: 80
-    },
-    // OnePlus 11 / 12 Series
-    {
-      gpu: 'adreno (tm) 740',
-      width: 412,
-      height: 915,
-      pixelRatio: null,
-      displayName: 'OnePlus 11 / 12 Series',
-      models: ['OnePlus 11', 'OnePlus 12', 'OnePlus 11 Pro'],
-      confidence: 80
-    }
-  ];
-  
-  // Try to find match (allow ±2px tolerance for screen dimensions, ±0.1 for pixelRatio)
-  for (const fingerprint of androidFingerprints) {
-    if (normalizedGPU.includes(fingerprint.gpu.toLowerCase())) {
-      const widthMatch = Math.abs(screenWidth - fingerprint.width) <= 2;
-      const heightMatch = !fingerprint.height || Math.abs(screenHeight - fingerprint.height) <= 2;
-      const pixelRatioMatch = !fingerprint.pixelRatio || (pixelRatio && Math.abs(pixelRatio - fingerprint.pixelRatio) <= 0.1);
-      
-      if (widthMatch && heightMatch && pixelRatioMatch) {
-        console.log(`🤖 Android fingerprint match: ${fingerprint.displayName} (GPU: ${gpuRenderer}, Screen: ${screenWidth}x${screenHeight}, PixelRatio: ${pixelRatio || 'N/A'})`);
-        return {
-          displayName: fingerprint.displayName,
-          models: fingerprint.models,
-          isUnique: fingerprint.models.length === 1,
-          confidence: fingerprint.confidence || 75
-        };
-      }
-    }
-  }
-  
-  return null;
-}
-
-/**
- * iPhone Fingerprinting: Identify specific iPhone model(s) based on screen resolution and pixel ratio
- * @param {number} screenWidth - Screen width in pixels
- * @param {number} screenHeight - Screen height in pixels
- * @param {number} pixelRatio - Device pixel ratio
- * @param {string} gpuRenderer - GPU renderer string (optional, for refinement)
- * @param {number} hardwareConcurrency - CPU cores (optional, for refinement)
- * @returns {Object|null} Object with models array, isUnique flag, and displayName, or null
- */
-function identifyiPhoneModel(screenWidth, screenHeight, pixelRatio, gpuRenderer = null, hardwareConcurrency = null) {
-  if (!screenWidth || !screenHeight || !pixelRatio) {
-    return null;
-  }
-  
-  // Normalize pixel ratio (round to nearest integer for matching)
-  const normalizedRatio = Math.round(pixelRatio);
-  
-  // iPhone resolution mapping
-  const iphoneMap = [
-    // Format: width x height @ratio: [models]
-    { width: 390, height: 844, ratio: 3, models: ['iPhone 12', 'iPhone 13', 'iPhone 13 Pro', 'iPhone 14'] },
-    { width: 428, height: 926, ratio: 3, models: ['iPhone 12 Pro Max', 'iPhone 13 Pro Max', 'iPhone 14 Plus'] },
-    { width: 393, height: 852, ratio: 3, models: ['iPhone 14 Pro', 'iPhone 15', 'iPhone 15 Pro', 'iPhone 16'] },
-    { width: 430, height: 932, ratio: 3, models: ['iPhone 14 Pro Max', 'iPhone 15 Plus', 'iPhone 15 Pro Max', 'iPhone 16 Plus'] },
-    { width: 375, height: 812, ratio: 3, models: ['iPhone X', 'iPhone XS', 'iPhone 11 Pro'] },
-    { width: 414, height: 896, ratio: 3, models: ['iPhone XR', 'iPhone 11', 'iPhone XS Max', 'iPhone 11 Pro Max'] }
-  ];
-  
-  // Try to find exact match
-  for (const entry of iphoneMap) {
-    if (screenWidth === entry.width && screenHeight === entry.height && normalizedRatio === entry.ratio) {
-      const possibleModels = [...entry.models];
-      const isUnique = possibleModels.length === 1;
-      
-      // Try to refine using GPU/performance data
-      let refinedModel = null;
-      if (!isUnique && (gpuRenderer || hardwareConcurrency)) {
-        refinedModel = refineiPhoneModel(gpuRenderer, hardwareConcurrency, possibleModels);
-      }
-      
-      // Build display name
-      let displayName;
-      if (refinedModel) {
-        displayName = refinedModel;
-      } else if (isUnique) {
-        displayName = possibleModels[0];
-      } else {
-        // Group models by series with better formatting
-        // Extract numbers and variants (Pro, Max, Plus, etc.)
-        const modelInfo = possibleModels.map(m => {
-          const numMatch = m.match(/iPhone\s*(\d+)/);
-          const variantMatch = m.match(/iPhone\s*\d+\s*(Pro|Max|Plus|Mini)?/i);
-          return {
-            number: numMatch ? parseInt(numMatch[1]) : null,
-            variant: variantMatch ? variantMatch[1] : null,
-            full: m
-          };
-        });
-        
-        const numbers = modelInfo.map(m => m.number).filter(n => n !== null).sort((a, b) => a - b);
-        const variants = [...new Set(modelInfo.map(m => m.variant).filter(v => v))];
-        
-        if (numbers.length > 0) {
-          const minNum = numbers[0];
-          const maxNum = numbers[numbers.length - 1];
-          
-          // Build series name
-          if (minNum === maxNum) {
-            // Same number, different variants
-            if (variants.length > 0) {
-              const variantStr = variants.map(v => v || 'Standard').join(' & ');
-              displayName = `iPhone ${minNum} ${variantStr} Series`;
-            } else {
-              displayName = `iPhone ${minNum} Series`;
-            }
-          } else {
-            // Different numbers - format as "iPhone 12 / 13 / 14 Series" or "iPhone 12 / 13 / 14 Plus & Max Series"
-            if (variants.length > 0) {
-              // Group variants: if all have same variants, show them; otherwise show all variants
-              const uniqueVariants = [...new Set(variants.filter(v => v))];
-              if (uniqueVariants.length === 1) {
-                displayName = `iPhone ${minNum} / ${maxNum} ${uniqueVariants[0]} Series`;
-              } else if (uniqueVariants.length > 1) {
-                const variantStr = uniqueVariants.join(' & ');
-                displayName = `iPhone ${minNum} / ${maxNum} ${variantStr} Series`;
-              } else {
-                displayName = `iPhone ${minNum} / ${maxNum} Series`;
-              }
-            } else {
-              displayName = `iPhone ${minNum} / ${maxNum} Series`;
-            }
-          }
-        } else {
-          // Fallback: join all models
-          displayName = possibleModels.join(' / ') + ' Series';
-        }
-      }
-      
-      return {
-        models: possibleModels,
-        isUnique: isUnique || refinedModel !== null, // Unique if single model OR successfully refined
-        displayName: displayName,
-        refinedModel: refinedModel
-      };
-    }
-  }
-  
-  return null;
-}
+// Load fingerprint rules and reload them whenever the rules file changes
+loadFingerprintRules();
+watchFingerprintRules();
 
 /**
- * Check if iPhone model(s) support eSIM (fallback rule)
- * iPhone XS, XS Max, XR (released 2018) and later models support eSIM
- * @param {string|Array} iphoneModelOrModels - iPhone model name(s) (e.g., "iPhone 13" or ["iPhone 12", "iPhone 13"])
- * @returns {boolean} True if all models support eSIM
+ * Resolve the post-scan mode of a request (per-link ?mode= overrides APP_MODE)
  */
-function isiPhoneESIMCompatible(iphoneModelOrModels) {
-  const models = Array.isArray(iphoneModelOrModels) ? iphoneModelOrModels : [iphoneModelOrModels];
-  
-  // Check if all models in the list are eSIM compatible
-  for (const model of models) {
-    if (!model || !model.toLowerCase().includes('iphone')) {
-      continue; // Skip invalid models
-    }
-    
-    // Extract number from model name
-    const match = model.match(/iPhone\s*(?:XS|XR|X\s*S|X\s*R|(\d+))/i);
-    if (!match) {
-      continue;
-    }
-    
-    // iPhone XS, XS Max, XR (2018) - eSIM compatible
-    if (match[0].toLowerCase().includes('xs') || match[0].toLowerCase().includes('xr')) {
-      continue; // Compatible, check next
-    }
-    
-    // iPhone X (2017) - NOT eSIM compatible
-    if (match[0].toLowerCase().includes('iphone x') && !match[0].toLowerCase().includes('xs') && !match[0].toLowerCase().includes('xr')) {
-      return false; // Not compatible
-    }
-    
-    // iPhone 11 and later (2019+) - eSIM compatible
-    const number = parseInt(match[1]);
-    if (number && number >= 11) {
-      continue; // Compatible, check next
-    }
-    
-    // iPhone 12, 13, 14, 15, 16 - all eSIM compatible
-    if (number && number >= 12) {
-      continue; // Compatible
-    }
-  }
-  
-  // All models checked, default to true for modern iPhones
-  return true;
+function resolveMode(mode) {
+  return APP_MODES.includes(mode) ? mode : APP_MODE;
 }
 
 /**
- * Read scans from JSON file (always from disk, no caching)
+ * Destination of an ad-hoc scan: DEFAULT_REDIRECT_URL, or a URL on an allowed origin
+ * Anything else would make /s/:id an open redirect
+ * @returns {string|null} The URL, or null if it is not allowed
  */
-function readScans() {
-  try {
-    // Always read fresh from disk to avoid stale data
-    const data = fs.readFileSync(SCANS_FILE, 'utf8');
-    const scans = JSON.parse(data);
-    console.log(`📖 Read ${scans.length} scan(s) from disk`);
-    return scans;
-  } catch (error) {
-    console.error('Error reading scans.json:', error);
-    return [];
+function resolveAdHocRedirect(url) {
+  if (!url || url === DEFAULT_REDIRECT_URL) {
+    return DEFAULT_REDIRECT_URL;
   }
-}
-
-/**
- * Write scans to JSON file with atomic write
- */
-function writeScans(scans) {
   try {
-    // Use atomic write: write to temp file, then rename
-    const tempFile = SCANS_FILE + '.tmp';
-    fs.writeFileSync(tempFile, JSON.stringify(scans, null, 2), 'utf8');
-    fs.renameSync(tempFile, SCANS_FILE);
-    console.log(`💾 Wrote ${scans.length} scan(s) to disk`);
-    return true;
+    const { protocol, origin } = new URL(url);
+    return ['http:', 'https:'].includes(protocol) && REDIRECT_ALLOWED_ORIGINS.includes(origin) ? url : null;
   } catch (error) {
-    console.error('Error writing scans.json:', error);
-    return false;
-  }
-}
-
-/**
- * Add a new scan entry (always create new, never update)
- * scanId is treated as a "Session ID" or "Batch ID"
- * Each scan gets a unique internal record ID
- */
-function addNewScan(scanData) {
-  const scans = readScans();
-  
-  // Always add as new entry (scanId is session ID, internalId is unique record ID)
-  console.log(`➕ Adding new scan record - Session ID: ${scanData.scanId}, Record ID: ${scanData.internalId}`);
-  scans.push(scanData);
-  
-  return writeScans(scans);
-}
-
-/**
- * Get scan by session ID (returns the latest scan for that session)
- * Always reads fresh from disk
- */
-function getScanBySessionId(sessionId) {
-  const scans = readScans();
-  // Find all scans with this session ID, return the most recent one
-  const matchingScans = scans.filter(s => s.scanId === sessionId);
-  
-  if (matchingScans.length > 0) {
-    // Sort by timestamp descending, get the latest
-    const latestScan = matchingScans.sort((a, b) => 
-      new Date(b.timestamp) - new Date(a.timestamp)
-    )[0];
-    console.log(`🔍 Found ${matchingScans.length} scan(s) for session ID: ${sessionId}, returning latest`);
-    console.log(`📊 Latest scan - Record ID: ${latestScan.internalId}, Device: ${latestScan.deducedModel || latestScan.gsmaData?.standardisedFullName || 'Unknown'}`);
-    return latestScan;
-  } else {
-    console.log(`❌ No scans found for session ID: ${sessionId}`);
     return null;
   }
 }
 
 /**
- * Get scan by internal record ID
+ * URL the visitor is sent to once the scan is logged
  */
-function getScanByInternalId(internalId) {
-  const scans = readScans();
-  const scan = scans.find(s => s.internalId === internalId);
-  if (scan) {
-    console.log(`🔍 Found scan by internal ID: ${internalId}, Device: ${scan.deducedModel || scan.gsmaData?.standardisedFullName || 'Unknown'}`);
-  } else {
-    console.log(`❌ Scan with internal ID not found: ${internalId}`);
-  }
-  return scan || null;
+function getNextUrl(mode, scanId, redirectUrl) {
+  return mode === 'redirect' ? redirectUrl : `/result/${scanId}`;
 }
 
 /**
@@ -578,31 +172,59 @@ function generateUniqueScanId() {
 }
 
 /**
- * Generate QR code route
+ * Render a URL as a QR code data URL
+ */
+function generateQRCode(url) {
+  // Larger size for better scanning
+  return QRCode.toDataURL(url, {
+    errorCorrectionLevel: 'H', // High error correction for better reliability
+    type: 'image/png',
+    width: 500, // Larger size for easy scanning
+    margin: 4,
+    color: {
+      dark: '#000000',
+      light: '#FFFFFF'
+    }
+  });
+}
+
+/**
+ * Generate QR code route (?campaign=<id> for the QR code of a campaign)
  */
 app.get('/generate', async (req, res) => {
   try {
-    // Always generate a new unique scanId (ignore query param to prevent collisions)
-    const scanId = generateUniqueScanId();
-    const url = `${BASE_URL}/s/${scanId}`;
+    let campaign = null;
+    let scanId;
     
-    // Generate QR code as data URL (larger size for better scanning)
-    const qrDataUrl = await QRCode.toDataURL(url, {
-      errorCorrectionLevel: 'H', // High error correction for better reliability
-      type: 'image/png',
-      width: 500, // Larger size for easy scanning
-      margin: 4,
-      color: {
-        dark: '#000000',
-        light: '#FFFFFF'
+    if (req.query.campaign) {
+      campaign = getCampaign(req.query.campaign);
+      if (!campaign) {
+        return res.status(404).send(`
+          <html>
+            <head><title>Campaign Not Found</title></head>
+            <body style="font-family: sans-serif; padding: 40px; text-align: center;">
+              <h1>Campaign Not Found</h1>
+              <a href="/campaigns">Back to campaigns</a>
+            </body>
+          </html>
+        `);
       }
-    });
+      // Campaign QR codes are stable: each visit gets its own scan ID at /s/:id
+      scanId = campaign.id;
+    } else {
+      // Always generate a new unique scanId (ignore query param to prevent collisions)
+      scanId = generateUniqueScanId();
+    }
+    
+    const url = `${BASE_URL}/s/${scanId}`;
+    const qrDataUrl = await generateQRCode(url);
     
     // Render HTML page with QR code
     res.render('generate', {
       scanId: scanId,
       url: url,
-      qrCode: qrDataUrl
+      qrCode: qrDataUrl,
+      campaign: campaign
     });
   } catch (error) {
     console.error('Error generating QR code:', error);
@@ -628,36 +250,59 @@ app.get('/s/:id', (req, res) => {
   res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
   res.setHeader('Pragma', 'no-cache');
   res.setHeader('Expires', '0');
+  // Ask Chromium browsers for the device model and OS version in the request headers,
+  // so the scan does not depend on the collector script alone
+  requestClientHints(res);
   
   console.log(`\n📱 Scan initiated for ID: ${id}`);
   
-  const userAgent = req.headers['user-agent'] || '';
+  // Campaign links (/s/<campaign id>) use the campaign settings, other IDs are ad-hoc scans
+  const campaign = getCampaign(id);
+  let scanId = id;
+  let mode = resolveMode(req.query.mode);
+  let redirectUrl = resolveAdHocRedirect(req.query.redirect);
+  if (!redirectUrl) {
+    console.log(`⚠️  Redirect URL not allowed, using the default: ${req.query.redirect}`);
+    redirectUrl = DEFAULT_REDIRECT_URL;
+  }
   
-  // Parse User-Agent using device-detector-js
-  const deviceInfo = deviceDetector.parse(userAgent);
+  if (campaign) {
+    const availability = getCampaignAvailability(campaign);
+    if (!availability.available) {
+      console.log(`⛔ Campaign ${campaign.id} unavailable: ${availability.reason}`);
+      return res.status(availability.reason === 'paused' ? 403 : 410).render('campaignUnavailable', {
+        campaign: campaign,
+        reason: availability.reason
+      });
+    }
+    
+    // Every visit of a campaign gets its own session ID (result page, scan record)
+    scanId = generateUniqueScanId();
+    mode = resolveMode(campaign.mode);
+    redirectUrl = campaign.redirectUrl || DEFAULT_REDIRECT_URL;
+    console.log(`🎯 Campaign: ${campaign.name} (${campaign.id}) - Session ID: ${scanId}`);
+  }
   
-  // Capture server-side data
-  const serverData = {
-    ip: getClientIP(req),
-    userAgent: userAgent,
-    os: deviceInfo.os?.name || null,
-    osVersion: deviceInfo.os?.version || null,
-    browser: deviceInfo.client?.name || null,
-    browserVersion: deviceInfo.client?.version || null,
-    deviceBrand: deviceInfo.device?.brand || null,
-    deviceModel: deviceInfo.device?.model || null,
-    deviceType: deviceInfo.device?.type || null,
-    clientHints: getClientHints(req),
-    timestamp: new Date().toISOString()
-  };
+  // Capture server-side data (IP, parsed User-Agent, Client Hints) and keep it for /log/:id:
+  // the collector script may fail, and the data it posts cannot be trusted
+  const serverData = captureServerData(req);
+  const visitId = openScanSession(scanId, {
+    serverData: serverData,
+    campaignId: campaign ? campaign.id : null,
+    mode: mode,
+    redirectUrl: redirectUrl
+  });
   
   console.log(`📊 Server-side data captured - Brand: ${serverData.deviceBrand}, Model: ${serverData.deviceModel}, OS: ${serverData.os}`);
   
-  // Render the collector page with server data
+  // Render the collector page
   res.render('collector', {
-    scanId: id,
-    serverData: serverData,
-    redirectUrl: req.query.redirect || DEFAULT_REDIRECT_URL
+    scanId: scanId,
+    visitId: visitId,
+    landingText: campaign ? campaign.landingText : null,
+    mode: mode,
+    redirectUrl: redirectUrl,
+    fallbackUrl: getNextUrl(mode, scanId, redirectUrl)
   });
 });
 
@@ -675,338 +320,47 @@ app.post('/log/:id', (req, res) => {
   
   try {
     console.log(`\n🔍 Starting device matching for scan ID: ${id}`);
+    // Server-side data comes from the /s/:id visit, or else from this request's headers,
+    // never from the payload (the Client Hints are sent on both requests)
+    const session = getScanSession(clientData.visitId, id);
+    const serverData = session ? session.serverData : captureServerData(req);
+    if (!session) {
+      console.log('⚠️  No visit session for this scan, using the /log request headers');
+    }
     console.log(`📋 Received client data - Screen: ${clientData.screenWidth}x${clientData.screenHeight}, GPU: ${clientData.gpuRenderer ? 'Yes' : 'No'}`);
-    console.log(`📱 Device Brand: ${clientData.serverData?.deviceBrand || 'N/A'}`);
-    console.log(`📱 Device Model: ${clientData.serverData?.deviceModel || 'N/A'}`);
+    console.log(`📱 Device Brand: ${serverData.deviceBrand || 'N/A'}`);
+    console.log(`📱 Device Model: ${serverData.deviceModel || 'N/A'}`);
     console.log(`📺 Screen: ${clientData.screenWidth || 'N/A'}x${clientData.screenHeight || 'N/A'}`);
     console.log(`📐 Pixel Ratio: ${clientData.pixelRatio || 'N/A'}`);
     console.log(`🎮 GPU: ${clientData.gpuRenderer ? clientData.gpuRenderer.substring(0, 50) : 'N/A'}`);
     
-    // Advanced device matching using multiple data points
-    let gsmaData = null;
-    let matchConfidence = 0;
-    let deducedModel = null;
-    let eSIMFallback = null;
-    let finalESIMStatus = null; // Initialize early for signature matching
-    
-    const deviceModel = clientData.serverData?.deviceModel;
-    const deviceBrand = clientData.serverData?.deviceBrand;
-    const screenWidth = clientData.screenWidth;
-    const screenHeight = clientData.screenHeight;
-    const pixelRatio = clientData.pixelRatio;
-    const gpuRenderer = clientData.gpuRenderer;
-    
-    // Priority 1: Client Hints (if available from client-side)
-    const clientHintsModel = clientData.clientHintsData?.model;
-    const clientHintsBrand = clientData.clientHintsData?.brand;
-    
-    // Log Client Hints and Media Queries for diagnostics
-    console.log(`📊 Client Hints - Model: ${clientHintsModel || 'null'}, Brand: ${clientHintsBrand || 'null'}`);
-    console.log(`📊 Media Queries - isP3: ${clientData.mediaQueries?.isP3 || false}, isHDR: ${clientData.mediaQueries?.isHDR || false}`);
-    console.log(`📊 Device Memory: ${clientData.deviceMemory || 'null'}`);
-    
-    // Priority 2: Hardcoded Signature Map (check first for known signatures)
-    // Heuristic: If clientHints.model is null but we have Motorola signature, use it
-    let signatureMatch = null;
-    // Check signature if: brand/model is masked/null OR Client Hints model is null
-    if ((!deviceBrand || !deviceModel || deviceModel === 'K' || !clientHintsModel) && gpuRenderer && screenWidth) {
-      console.log(`🔍 Checking hardcoded signature map...`);
-      signatureMatch = checkDeviceSignature(gpuRenderer, screenWidth);
-      
-      // Special case: If Client Hints model is null but we have Motorola signature
-      if (!clientHintsModel && signatureMatch && gpuRenderer.toLowerCase().includes('adreno (tm) 710') && screenWidth === 432) {
-        console.log(`🔍 Client Hints model is null, but Motorola signature detected - using signature fallback: ${signatureMatch.deducedModel}`);
-      }
-      
-      if (signatureMatch) {
-        deducedModel = signatureMatch.deducedModel;
-        console.log(`✅ Signature map match: ${deducedModel}`);
-        
-        // Search GSMA database using LIKE/Includes search
-        let foundMatch = false;
-        for (const searchTerm of signatureMatch.searchTerms) {
-          console.log(`[GSMA LIKE Search] Input: "${searchTerm}"`);
-          let result = searchGSMADevice(searchTerm);
-          
-          // Fallback to hardcoded list if database unavailable
-          if (!result) {
-            console.log(`⚠️  Database search failed, trying fallback list...`);
-            result = searchGSMADeviceFallback(searchTerm);
-          }
-          
-          if (result) {
-            gsmaData = result;
-            foundMatch = true;
-            console.log(`[GSMA LIKE Search] Result: ${gsmaData.standardised_full_name} | DeviceType: ${gsmaData.device_type || 'N/A'} | eUICC: ${gsmaData.euicc}`);
-            
-            // Extract eUICC and set eSIMCompatible
-            if (gsmaData.euicc === 'true' || gsmaData.euicc === true) {
-              finalESIMStatus = true;
-              console.log(`✅ eUICC extracted: true → eSIMCompatible = true`);
-            } else if (gsmaData.euicc === 'false' || gsmaData.euicc === false) {
-              finalESIMStatus = false;
-              console.log(`✅ eUICC extracted: false → eSIMCompatible = false`);
-            }
-            break; // Use first match found
-          }
-        }
-        
-        if (foundMatch) {
-          matchConfidence = signatureMatch.confidence;
-          console.log(`✅ GSMA match found with confidence: ${matchConfidence}%`);
-        } else {
-          console.log(`❌ No GSMA match found for signature`);
-          matchConfidence = signatureMatch.confidence;
-        }
-      }
-    }
-    
-    // Priority 2b: Android GPU Fingerprinting (if no signature match)
-    let androidFingerprint = null;
-    if (!signatureMatch && (!deviceBrand || !deviceModel || deviceModel === 'K') && gpuRenderer && screenWidth) {
-      console.log(`🤖 Device brand/model masked or null, attempting Android GPU fingerprinting...`);
-      androidFingerprint = identifyAndroidByGPU(gpuRenderer, screenWidth, screenHeight, pixelRatio);
-      
-      if (androidFingerprint) {
-        deducedModel = androidFingerprint.displayName;
-        console.log(`✅ Android fingerprinting result: ${deducedModel}`);
-        
-        // Try to find GSMA match for each possible model (fuzzy matching with LIKE)
-        let foundMatch = false;
-        for (const model of androidFingerprint.models) {
-          console.log(`[Fuzzy Matching] Input: "${model}"`);
-          let result = searchGSMADevice(model);
-          
-          // Fallback to hardcoded list if database unavailable
-          if (!result) {
-            console.log(`⚠️  Database search failed, trying fallback list...`);
-            result = searchGSMADeviceFallback(model);
-          }
-          
-          if (result) {
-            gsmaData = result;
-            foundMatch = true;
-            console.log(`[Fuzzy Matching] Result: ${gsmaData.standardised_full_name} | DeviceType: ${gsmaData.device_type || 'N/A'} | eUICC: ${gsmaData.euicc}`);
-            
-            // Extract eUICC and set eSIMCompatible immediately
-            if (gsmaData.euicc === 'true' || gsmaData.euicc === true) {
-              console.log(`✅ eUICC extracted: true → eSIMCompatible = true`);
-            } else if (gsmaData.euicc === 'false' || gsmaData.euicc === false) {
-              console.log(`✅ eUICC extracted: false → eSIMCompatible = false`);
-            }
-            break; // Use first match found
-          }
-        }
-        
-        if (foundMatch) {
-          // Use fingerprint confidence if specified, otherwise default
-          matchConfidence = androidFingerprint.confidence || (androidFingerprint.isUnique ? 100 : 50);
-          console.log(`✅ GSMA fuzzy match found with confidence: ${matchConfidence}%`);
-        } else {
-          console.log(`❌ No GSMA match found for Android fingerprint`);
-          matchConfidence = androidFingerprint.confidence || 50; // Use fingerprint confidence
-        }
-      }
-    }
-    
-    // Priority 3: iPhone Fingerprinting: If device is Apple/iPhone, use resolution-based identification
-    let iphoneFingerprint = null;
-    let gsmaMatches = []; // Declare outside block for later use in eSIM determination
-    if (!androidFingerprint && (deviceBrand && deviceBrand.toLowerCase().includes('apple') || 
-        deviceModel && deviceModel.toLowerCase().includes('iphone'))) {
-      console.log(`🍎 Detected Apple device, attempting iPhone fingerprinting...`);
-      iphoneFingerprint = identifyiPhoneModel(screenWidth, screenHeight, pixelRatio, gpuRenderer, clientData.hardwareConcurrency);
-      
-      if (iphoneFingerprint) {
-        deducedModel = iphoneFingerprint.displayName;
-        
-        console.log(`✅ iPhone fingerprinting result: ${deducedModel} (${iphoneFingerprint.models.length} possible model(s))`);
-        
-        // Try to find GSMA match for each possible model
-        // Collect all matches to verify eSIM compatibility across all models
-        let foundMatch = false;
-        gsmaMatches = [];
-        
-        for (const model of iphoneFingerprint.models) {
-          console.log(`[Matching] Input: ${model}`);
-          let result = searchGSMADevice(model);
-          
-          // Fallback to hardcoded list if database unavailable
-          if (!result) {
-            console.log(`⚠️  Database search failed, trying fallback list...`);
-            result = searchGSMADeviceFallback(model);
-          }
-          
-          if (result) {
-            gsmaMatches.push(result);
-            if (!foundMatch) {
-              // Use first match as primary result (for admin view)
-              gsmaData = result;
-              foundMatch = true;
-            }
-            console.log(`[Matching] Result: ${result.standardised_full_name} | eSIM: ${result.euicc}`);
-          }
-        }
-        
-        if (foundMatch) {
-          // Verify eSIM compatibility across all matches
-          // If all matches agree on eUICC status, use that; otherwise use fallback
-          const euiccValues = gsmaMatches.map(m => m.euicc === 'true' || m.euicc === true);
-          const allAgree = euiccValues.length > 0 && euiccValues.every(v => v === euiccValues[0]);
-          
-          if (allAgree && gsmaMatches.length === iphoneFingerprint.models.length) {
-            // All models matched and agree on eSIM status
-            console.log(`✅ All ${gsmaMatches.length} model(s) matched in GSMA with consistent eSIM status: ${euiccValues[0]}`);
-          } else if (gsmaMatches.length < iphoneFingerprint.models.length) {
-            // Some models didn't match, use fallback for missing ones
-            console.log(`⚠️  Only ${gsmaMatches.length}/${iphoneFingerprint.models.length} model(s) matched in GSMA`);
-            eSIMFallback = isiPhoneESIMCompatible(iphoneFingerprint.models);
-            console.log(`📱 Applying iPhone eSIM fallback rule for unmatched models: ${eSIMFallback ? 'YES' : 'NO'}`);
-          }
-          
-          // Confidence: 100% if unique match OR successfully refined, 50% if multiple models share resolution
-          matchConfidence = iphoneFingerprint.isUnique ? 100 : 50;
-          console.log(`✅ GSMA match found with confidence: ${matchConfidence}% (${iphoneFingerprint.isUnique ? 'unique' : 'multiple models possible'})`);
-        } else {
-          console.log(`❌ No GSMA match found for any deduced model`);
-          // Apply fallback rule for iPhone eSIM compatibility
-          eSIMFallback = isiPhoneESIMCompatible(iphoneFingerprint.models);
-          console.log(`📱 Applying iPhone eSIM fallback rule for ${iphoneFingerprint.models.length} model(s): ${eSIMFallback ? 'YES' : 'NO'}`);
-          // Confidence: 50% when using fallback (multiple models possible)
-          matchConfidence = 50;
-        }
-      } else {
-        console.log(`⚠️  Could not deduce iPhone model from resolution (${screenWidth}x${screenHeight}@${pixelRatio}x)`);
-      }
-    }
-    
-    // Step A: Use Client Hints if available (highest priority, bypasses masked User-Agent)
-    if (!gsmaData && !androidFingerprint && !iphoneFingerprint && clientHintsModel) {
-      console.log(`🔍 Attempting GSMA match with Client Hints model: ${clientHintsModel}`);
-      const searchTerm = clientHintsBrand ? `${clientHintsBrand} ${clientHintsModel}` : clientHintsModel;
-      gsmaData = searchGSMADevice(searchTerm);
-      
-      // Fallback to hardcoded list if database unavailable
-      if (!gsmaData) {
-        console.log(`⚠️  Database search failed, trying fallback list...`);
-        gsmaData = searchGSMADeviceFallback(searchTerm);
-      }
-      
-      if (gsmaData) {
-        deducedModel = gsmaData.standardised_full_name;
-        matchConfidence = 90; // High confidence for Client Hints
-        console.log(`✅ Client Hints match found: ${gsmaData.standardised_full_name} | eSIM: ${gsmaData.euicc}`);
-      } else {
-        // Try with just the model name
-        gsmaData = searchGSMADevice(clientHintsModel);
-        if (!gsmaData) {
-          gsmaData = searchGSMADeviceFallback(clientHintsModel);
-        }
-        if (gsmaData) {
-          deducedModel = gsmaData.standardised_full_name;
-          matchConfidence = 85;
-          console.log(`✅ Client Hints match found (model only): ${gsmaData.standardised_full_name} | eSIM: ${gsmaData.euicc}`);
-        }
-      }
-    }
-    
-    // Step B: Parse User-Agent to get primary brand/model hint
-    // Step C: Use advanced matching with screen resolution and GPU (if not iPhone/Android fingerprint/signature)
-    if (!gsmaData && !signatureMatch && !androidFingerprint && !iphoneFingerprint && (deviceBrand || deviceModel)) {
-      console.log(`🔎 Attempting advanced matching with brand/model...`);
-      gsmaData = advancedDeviceMatch({
-        brand: deviceBrand,
-        model: deviceModel,
-        screenWidth: screenWidth,
-        screenHeight: screenHeight,
-        gpuRenderer: gpuRenderer
-      });
-      
-      if (gsmaData) {
-        matchConfidence = 85; // High confidence for advanced match
-        console.log(`✅ Advanced match found: ${gsmaData.standardised_full_name}`);
-        console.log(`[Matching] Input: ${deviceBrand} ${deviceModel} | Result: ${gsmaData.standardised_full_name} | eSIM: ${gsmaData.euicc}`);
-      } else {
-        console.log(`❌ Advanced matching failed, trying simple search...`);
-      }
-    }
+    // Run the matching engine on the normalized signals
+    const signals = normalizeSignals({ ...clientData, serverData: serverData });
+    console.log(`📊 Client Hints - Model: ${signals.clientHints.model || 'null'}, Brand: ${signals.clientHints.brand || 'null'}`);
+    console.log(`📊 Media Queries - isP3: ${signals.mediaQueries.isP3 || false}, isHDR: ${signals.mediaQueries.isHDR || false}`);
+    console.log(`📊 Device Memory: ${signals.deviceMemory || 'null'}`);
     
-    // Step C: Fallback to simple search if advanced matching didn't work
-    if (!gsmaData) {
-      let searchTerm = null;
-      if (deviceBrand && deviceModel) {
-        searchTerm = `${deviceBrand} ${deviceModel}`.trim();
-      } else if (deviceModel) {
-        searchTerm = deviceModel;
-      } else if (deviceBrand) {
-        searchTerm = deviceBrand;
-      }
-      
-      if (searchTerm) {
-        console.log(`🔎 Searching for: "${searchTerm}"`);
-        gsmaData = searchGSMADevice(searchTerm);
-        
-        if (gsmaData) {
-          matchConfidence = 70; // Medium confidence for simple match
-          console.log(`✅ Simple match found: ${gsmaData.standardised_full_name}`);
-          console.log(`[Matching] Input: ${searchTerm} | Result: ${gsmaData.standardised_full_name} | eSIM: ${gsmaData.euicc}`);
-        } else {
-          console.log(`❌ No match found for: "${searchTerm}"`);
-          
-          // If not found, try with just the model name
-          if (deviceModel) {
-            console.log(`🔎 Trying with model only: "${deviceModel}"`);
-            gsmaData = searchGSMADevice(deviceModel);
-            if (gsmaData) {
-              matchConfidence = 50; // Lower confidence for model-only match
-              console.log(`✅ Model-only match found: ${gsmaData.standardised_full_name}`);
-              console.log(`[Matching] Input: ${deviceModel} | Result: ${gsmaData.standardised_full_name} | eSIM: ${gsmaData.euicc}`);
-            } else {
-              console.log(`❌ No match found for model: "${deviceModel}"`);
-            }
-          }
-        }
-      } else {
-        console.log(`⚠️  No search term available (brand: ${deviceBrand}, model: ${deviceModel})`);
-      }
-    }
+    const verdict = matchDevice(signals);
+    // Records of the hardcoded fallback list are not GSMA data
+    const gsmaData = verdict.gsmaRecord && verdict.gsmaRecord.source !== 'fallback' ? verdict.gsmaRecord : null;
+    const deducedModel = verdict.deducedModel;
+    const deviceModel = signals.model;
+    console.log(`📊 Verdict - Strategy: ${verdict.strategy || 'none'}, Model: ${deducedModel || gsmaData?.standardised_full_name || 'Unknown'}, eSIM: ${verdict.eSIMCompatible}, Confidence: ${verdict.confidence}%`);
     
-    // Final eSIM status determination (if not already set by signature matching)
-    // Priority: GSMA matches (if all agree) > Fallback rule > Single GSMA match
-    // Note: finalESIMStatus is already declared above, only set if not already set
+    // Scans follow the settings of their visit (campaign or ad-hoc link), not the client payload
+    // (without a visit, its destination must be allowed like at /s/:id)
+    const mode = session ? session.mode : resolveMode(clientData.mode);
+    const redirectUrl = session ? session.redirectUrl : resolveAdHocRedirect(clientData.redirectUrl) || DEFAULT_REDIRECT_URL;
     
-    if (iphoneFingerprint && gsmaMatches && gsmaMatches.length > 0) {
-      // For iPhone with multiple possible models, check if all GSMA matches agree
-      const euiccValues = gsmaMatches.map(m => m.euicc === 'true' || m.euicc === true);
-      const allAgree = euiccValues.length > 0 && euiccValues.every(v => v === euiccValues[0]);
-      
-      if (allAgree && gsmaMatches.length === iphoneFingerprint.models.length) {
-        // All models matched and agree on eSIM status
-        finalESIMStatus = euiccValues[0];
-        console.log(`📊 eUICC (eSIM) status from GSMA (all ${gsmaMatches.length} models agree): ${finalESIMStatus ? 'YES' : 'NO'}`);
-      } else if (allAgree && gsmaMatches.length > 0) {
-        // Some models matched and all agree
-        finalESIMStatus = euiccValues[0];
-        console.log(`📊 eUICC (eSIM) status from GSMA (${gsmaMatches.length} matches agree): ${finalESIMStatus ? 'YES' : 'NO'}`);
-      } else if (eSIMFallback !== null) {
-        // Use fallback if matches don't agree
-        finalESIMStatus = eSIMFallback;
-        console.log(`📊 eUICC (eSIM) status from fallback rule (GSMA matches inconsistent): ${finalESIMStatus ? 'YES' : 'NO'}`);
-      } else if (gsmaData) {
-        // Fallback to single match
-        finalESIMStatus = gsmaData.euicc === 'true' || gsmaData.euicc === true;
-        console.log(`📊 eUICC (eSIM) status from GSMA (single match): ${finalESIMStatus ? 'YES' : 'NO'}`);
+    // The campaign is the one of the visit's session ID, if it still accepts scans
+    // (it may have been paused, expired or reached its scan limit since /s/:id)
+    let campaign = session && session.campaignId ? getCampaign(session.campaignId) : null;
+    if (campaign) {
+      const availability = getCampaignAvailability(campaign);
+      if (!availability.available) {
+        console.log(`⛔ Campaign ${campaign.id} unavailable: ${availability.reason}, scan stored without campaign`);
+        campaign = null;
       }
-    } else if (gsmaData) {
-      // Single GSMA match (non-iPhone or unique iPhone)
-      finalESIMStatus = gsmaData.euicc === 'true' || gsmaData.euicc === true;
-      console.log(`📊 eUICC (eSIM) status from GSMA: ${finalESIMStatus ? 'YES' : 'NO'}`);
-    } else if (eSIMFallback !== null) {
-      // Use fallback rule
-      finalESIMStatus = eSIMFallback;
-      console.log(`📊 eUICC (eSIM) status from fallback rule: ${finalESIMStatus ? 'YES' : 'NO'}`);
-    } else {
-      console.log(`❌ No GSMA match found and no fallback rule applicable`);
     }
     
     // Generate unique internal record ID (scanId is session ID, internalId is unique record)
@@ -1018,23 +372,30 @@ app.post('/log/:id', (req, res) => {
       scanId: id, // Session/Batch ID (can be reused)
       timestamp: new Date().toISOString(),
       // Server-side data
-      ip: clientData.serverData?.ip || null,
-      userAgent: clientData.serverData?.userAgent || null,
-      os: clientData.serverData?.os || null,
-      osVersion: clientData.serverData?.osVersion || null,
-      browser: clientData.serverData?.browser || null,
-      browserVersion: clientData.serverData?.browserVersion || null,
-      deviceBrand: clientData.serverData?.deviceBrand || null,
-      deviceModel: clientData.serverData?.deviceModel || null,
-      deviceType: clientData.serverData?.deviceType || null,
-      clientHints: clientData.serverData?.clientHints || null,
-      // High-entropy Client Hints from client-side (not null, contains captured data)
-      clientHintsData: clientData.clientHintsData || {
+      ip: serverData.ip || null,
+      userAgent: serverData.userAgent || null,
+      os: serverData.os || null,
+      osVersion: serverData.osVersion || null,
+      browser: serverData.browser || null,
+      browserVersion: serverData.browserVersion || null,
+      deviceBrand: serverData.deviceBrand || null,
+      deviceModel: serverData.deviceModel || null,
+      deviceType: serverData.deviceType || null,
+      acceptLanguage: serverData.acceptLanguage || null,
+      clientHints: serverData.clientHints || null,
+      // High-entropy Client Hints from client-side (not null, contains captured data),
+      // completed by the Sec-CH-UA-* headers where the collector got no value
+      clientHintsData: {
         model: null,
         brand: null,
         platformVersion: null,
         architecture: null,
-        brands: null
+        brands: null,
+        ...clientData.clientHintsData,
+        model: signals.clientHints.model,
+        platformVersion: signals.clientHints.platformVersion,
+        architecture: (clientData.clientHintsData && clientData.clientHintsData.architecture) ||
+          (serverData.clientHints && serverData.clientHints.architecture) || null
       },
       // Client-side data
       fullUserAgent: clientData.fullUserAgent || null,
@@ -1055,51 +416,57 @@ app.post('/log/:id', (req, res) => {
       },
       batteryLevel: clientData.batteryLevel !== undefined ? clientData.batteryLevel : null,
       batteryCharging: clientData.batteryCharging !== undefined ? clientData.batteryCharging : null,
-      redirectUrl: clientData.redirectUrl || DEFAULT_REDIRECT_URL,
+      redirectUrl: redirectUrl,
       // Hardware signature for easy auditing (Resolution + GPU)
       hardwareSignature: `${clientData.screenWidth || '?'}x${clientData.screenHeight || '?'}@${clientData.pixelRatio || '?'}x | ${clientData.gpuRenderer ? clientData.gpuRenderer.substring(0, 30) : 'No GPU'}`,
       // GSMA database enrichment
-      gsmaData: gsmaData ? {
-        standardisedFullName: gsmaData.standardised_full_name,
-        standardisedManufacturer: gsmaData.standardised_manufacturer,
-        deviceType: gsmaData.device_type,
-        operatingSystem: gsmaData.operating_system,
-        bands: gsmaData.bands,
-        lte: gsmaData.lte,
-        g5: gsmaData.g5,
-        simslot: gsmaData.simslot,
-        euicc: gsmaData.euicc // eSIM compatibility (true/false string)
-      } : null,
+      gsmaData: formatGSMADevice(gsmaData),
       // Matching confidence score
-      matchConfidence: matchConfidence,
+      matchConfidence: verdict.confidence,
+      // Evidence behind the confidence score ({ score, logOdds, prior, evidence })
+      confidenceBreakdown: verdict.confidenceBreakdown,
+      // Strategy of the matching engine that decided the verdict
+      matchStrategy: verdict.strategy,
+      // Every strategy tried, with its inputs, GSMA lookups, candidate and why it was accepted/rejected/skipped
+      matchTrace: verdict.trace,
+      // How the final eSIM status was decided ({ value, source, reason })
+      eSIMDecision: verdict.eSIMDecision,
+      // SIM configuration ({ physicalSlots, esim, esimOnly, dualESIM, dsds, regionalVariant, sources })
+      simProfile: verdict.simProfile,
       // Deduced model (for iPhone fingerprinting) - can be a single model or "Series"
       deducedModel: deducedModel,
+      // Possible models, most probable first ({ model, gsmaName, probability, euicc, eSIMCompatible, eSIMSource })
+      candidates: verdict.candidates,
       // iPhone fingerprinting details (if applicable)
-      iphoneFingerprint: iphoneFingerprint ? {
-        models: iphoneFingerprint.models,
-        isUnique: iphoneFingerprint.isUnique,
-        displayName: iphoneFingerprint.displayName
+      iphoneFingerprint: verdict.iphoneFingerprint ? {
+        models: verdict.iphoneFingerprint.models,
+        isUnique: verdict.iphoneFingerprint.isUnique,
+        displayName: verdict.iphoneFingerprint.displayName
       } : null,
       // eSIM fallback status (if GSMA lookup failed but fallback rule applies)
-      eSIMFallback: eSIMFallback !== null ? eSIMFallback : null,
+      eSIMFallback: verdict.eSIMFallback,
       // Final eSIM status (from GSMA or fallback) - ALWAYS set if possible
-      eSIMCompatible: finalESIMStatus !== null ? finalESIMStatus : (gsmaData ? (gsmaData.euicc === 'true' || gsmaData.euicc === true) : null),
+      eSIMCompatible: verdict.eSIMCompatible,
       // Flag to indicate if match is based on resolution (not unique hardware ID)
-      isResolutionBased: iphoneFingerprint ? !iphoneFingerprint.isUnique : false
+      isResolutionBased: verdict.isResolutionBased,
+      // Campaign the QR code belongs to (null for ad-hoc QR codes)
+      campaignId: campaign ? campaign.id : null
     };
     
     // Always create new scan entry (scanId is session ID, internalId is unique record)
-    if (addNewScan(scanData)) {
+    console.log(`➕ Adding new scan record - Session ID: ${id}, Record ID: ${internalId}`);
+    if (addScan(scanData)) {
       console.log(`✅ Logged device data - Session ID: ${id}, Record ID: ${internalId}`);
       console.log(`📊 Scan data - Device: ${deducedModel || deviceModel || 'Unknown'}, eSIM: ${scanData.eSIMCompatible}, GSMA: ${gsmaData ? 'Yes' : 'No'}`);
       res.json({
         success: true,
         scanId: id, // Session ID for redirect
         internalId: internalId, // Unique record ID
-        redirectUrl: `/result/${id}` // Use session ID for result page
+        mode: mode,
+        redirectUrl: getNextUrl(mode, id, redirectUrl) // Result page (session ID) or destination
       });
     } else {
-      throw new Error('Failed to write to scans.json');
+      throw new Error('Failed to store scan');
     }
   } catch (error) {
     console.error('Error logging device data:', error);
@@ -1110,6 +477,171 @@ app.post('/log/:id', (req, res) => {
   }
 });
 
+/**
+ * Build the TAC lookup result (exact GSMA record, deterministic eUICC status)
+ */
+function lookupTAC(tac) {
+  const device = getDeviceByTAC(tac);
+  if (!device) {
+    return null;
+  }
+  
+  return {
+    tac: tac,
+    device: formatGSMADevice(device),
+    eSIMCompatible: device.euicc === 'true' || device.euicc === true,
+    matchConfidence: 100 // Exact TAC match, no heuristics involved
+  };
+}
+
+/**
+ * TAC lookup API: /api/tac/:tac
+ */
+app.get('/api/tac/:tac', (req, res) => {
+  const { tac } = req.params;
+  
+  if (!isValidTAC(tac)) {
+    return res.status(400).json({
+      success: false,
+      error: 'TAC must be 8 digits'
+    });
+  }
+  
+  const result = lookupTAC(tac);
+  if (!result) {
+    console.log(`❌ TAC not found: ${tac}`);
+    return res.status(404).json({
+      success: false,
+      error: `TAC ${tac} not found in GSMA database`
+    });
+  }
+  
+  console.log(`✅ TAC lookup: ${tac} → ${result.device.standardisedFullName} | eSIM: ${result.device.euicc}`);
+  res.json({ success: true, ...result });
+});
+
+/**
+ * IMEI lookup page: /imei?imei=... (form on the home page)
+ */
+app.get('/imei', (req, res) => {
+  const input = (req.query.imei || '').trim();
+  
+  if (!input) {
+    return res.redirect('/');
+  }
+  
+  const validation = validateIMEI(input);
+  if (!validation.valid) {
+    return res.status(400).render('imei', {
+      imei: input,
+      error: validation.error,
+      result: null
+    });
+  }
+  
+  const result = lookupTAC(validation.tac);
+  console.log(`🔢 IMEI lookup - TAC: ${validation.tac}, Device: ${result ? result.device.standardisedFullName : 'not found'}`);
+  
+  res.status(result ? 200 : 404).render('imei', {
+    imei: validation.imei,
+    error: result ? null : `TAC ${validation.tac} introuvable dans la base GSMA`,
+    result: result
+  });
+});
+
+/**
+ * Format a catalog model for the API (search score when the query has a search term)
+ */
+function formatCatalogModel(model) {
+  return {
+    ...formatGSMADevice(model),
+    nonEuiccTacCount: model.non_euicc_tac_count,
+    searchScore: model.searchScore === undefined ? null : model.searchScore,
+    url: `/catalog/${encodeURIComponent(model.standardised_full_name)}`
+  };
+}
+
+/**
+ * Format the TACs of a catalog model
+ */
+function formatCatalogTAC(device) {
+  return {
+    tac: device.tac_imei,
+    standardisedManufacturer: device.standardised_manufacturer,
+    deviceType: device.device_type,
+    operatingSystem: device.operating_system,
+    bands: device.bands,
+    lte: device.lte,
+    g5: device.g5,
+    simslot: device.simslot,
+    euicc: device.euicc
+  };
+}
+
+/**
+ * Device catalog: browse and search the GSMA models (see parseCatalogQuery)
+ */
+app.get('/catalog', (req, res) => {
+  const query = parseCatalogQuery(req.query);
+  const result = findDeviceModels(query);
+  
+  res.render('catalog', {
+    models: result.models.map(formatCatalogModel),
+    total: result.total,
+    page: result.page,
+    pageSize: result.pageSize,
+    pages: result.pages,
+    errors: query.errors,
+    params: req.query,
+    filterOptions: getCatalogFilterOptions()
+  });
+});
+
+/**
+ * Catalog device page: model summary and its TACs
+ */
+app.get('/catalog/:name', (req, res) => {
+  const result = getDeviceModel(req.params.name);
+  
+  res.status(result ? 200 : 404).render('catalogDevice', {
+    name: req.params.name,
+    device: result ? formatCatalogModel(result.model) : null,
+    tacs: result ? result.tacs.map(formatCatalogTAC) : []
+  });
+});
+
+/**
+ * Device catalog API: /api/devices?q=&manufacturer=&type=&euicc=&page=&pageSize=
+ */
+app.get('/api/devices', (req, res) => {
+  const query = parseCatalogQuery(req.query);
+  if (query.errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid query', details: query.errors });
+  }
+  
+  const result = findDeviceModels(query);
+  res.json({
+    count: result.models.length,
+    total: result.total,
+    page: result.page,
+    pageSize: result.pageSize,
+    pages: result.pages,
+    filters: query.filters,
+    devices: result.models.map(formatCatalogModel)
+  });
+});
+
+app.get('/api/devices/:name', (req, res) => {
+  const result = getDeviceModel(req.params.name);
+  if (!result) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+  res.json({
+    ...formatCatalogModel(result.model),
+    tacs: result.tacs.map(formatCatalogTAC)
+  });
+});
+
 /**
  * Health check endpoint
  */
@@ -1130,8 +662,8 @@ app.get('/result/:id', (req, res) => {
   
   console.log(`\n🔍 Rendering Result for Session ID: ${id}`);
   
-  // Get latest scan for this session ID (always read fresh from disk)
-  const scan = getScanBySessionId(id);
+  // Get latest scan for this session ID
+  const scan = getLatestScanBySessionId(id);
   
   if (!scan) {
     console.log(`❌ Scan ID not found: ${id}`);
@@ -1164,6 +696,7 @@ app.get('/result/:id', (req, res) => {
 
 /**
  * View scans endpoint - HTML view with interesting fields
+ * Filters, sort and pagination come from the query string (see parseScanQuery)
  */
 app.get('/scans', (req, res) => {
   // Set cache headers
@@ -1171,28 +704,461 @@ app.get('/scans', (req, res) => {
   res.setHeader('Pragma', 'no-cache');
   res.setHeader('Expires', '0');
   
-  // Always read fresh from disk
-  const scans = readScans();
+  const query = parseScanQuery(req.query);
   
   // If JSON format requested
   if (req.query.format === 'json') {
+    if (query.errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query', details: query.errors });
+    }
+    const result = findScans(query);
     return res.json({
-      count: scans.length,
-      scans: scans
+      count: result.scans.length,
+      total: result.total,
+      page: result.page,
+      pageSize: result.pageSize,
+      pages: result.pages,
+      filters: query.filters,
+      sort: query.sort,
+      scans: result.scans
     });
   }
   
   // Render HTML view with interesting fields highlighted
+  const result = findScans(query);
   res.render('scans', {
-    scans: scans
+    scans: result.scans,
+    total: result.total,
+    page: result.page,
+    pageSize: result.pageSize,
+    pages: result.pages,
+    sort: query.sort,
+    errors: query.errors,
+    params: req.query,
+    filterOptions: getScanFilterOptions()
+  });
+});
+
+/**
+ * Export scans as CSV or NDJSON (?format=csv|ndjson), with the /scans filters and sort
+ * ?dataset=training exports the corrected scans as labelled training data
+ * Streamed: the whole result set is never held in memory
+ */
+app.get('/scans/export', async (req, res) => {
+  const format = req.query.format || 'csv';
+  const dataset = req.query.dataset || 'scans';
+  const query = parseScanQuery(req.query);
+  
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `Unknown format: ${format}`, details: [`Valid formats: ${Object.keys(EXPORT_FORMATS).join(', ')}`] });
+  }
+  if (!EXPORT_DATASETS[dataset]) {
+    return res.status(400).json({ error: `Unknown dataset: ${dataset}`, details: [`Valid datasets: ${Object.keys(EXPORT_DATASETS).join(', ')}`] });
+  }
+  if (query.errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid query', details: query.errors });
+  }
+  
+  const fileName = `${dataset}-${new Date().toISOString().substring(0, 10)}${query.filters.campaign ? `-${query.filters.campaign}` : ''}.${EXPORT_FORMATS[format].extension}`;
+  res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.setHeader('Cache-Control', 'no-store');
+  
+  try {
+    const count = await writeScanExport(res, format, query, dataset);
+    console.log(`📤 Exported ${count} scan(s) as ${format}${dataset === 'scans' ? '' : ` (${dataset} dataset)`}`);
+  } catch (error) {
+    console.error('❌ Error exporting scans:', error);
+  }
+  res.end();
+});
+
+/**
+ * Local path to go back to after a correction (absolute URLs are ignored)
+ */
+function resolveReturnTo(returnTo, internalId) {
+  return typeof returnTo === 'string' && /^\/(?!\/)/.test(returnTo) ? returnTo : `/scans/${encodeURIComponent(internalId)}/correction`;
+}
+
+/**
+ * Manual correction of a scan verdict (true model and eSIM status, original verdict kept)
+ */
+app.get('/scans/:internalId/correction', (req, res) => {
+  const scan = getScanByInternalId(req.params.internalId);
+  if (!scan) {
+    return res.status(404).send(`
+      <html>
+        <head><title>Scan Not Found</title></head>
+        <body style="font-family: sans-serif; padding: 40px; text-align: center;">
+          <h1>Scan Not Found</h1>
+          <a href="/scans">Back to scans</a>
+        </body>
+      </html>
+    `);
+  }
+  
+  res.render('scanCorrection', {
+    scan: scan,
+    values: scan.correction ? { ...scan.correction, esim: scan.correction.eSIMCompatible ? 'yes' : 'no' } : {},
+    errors: [],
+    returnTo: resolveReturnTo(req.query.returnTo, scan.internalId)
+  });
+});
+
+app.post('/scans/:internalId/correction', (req, res) => {
+  const scan = getScanByInternalId(req.params.internalId);
+  if (!scan) {
+    return res.redirect('/scans');
+  }
+  
+  const { scan: corrected, errors } = setScanCorrection(scan.internalId, req.body);
+  if (!corrected) {
+    return res.status(400).render('scanCorrection', {
+      scan: scan,
+      values: req.body,
+      errors: errors,
+      returnTo: resolveReturnTo(req.body.returnTo, scan.internalId)
+    });
+  }
+  
+  console.log(`✏️  Scan ${scan.internalId} corrected: ${scan.deducedModel || scan.gsmaData?.standardisedFullName || 'unknown'} → ${corrected.correction.model} | eSIM: ${corrected.correction.eSIMCompatible}`);
+  res.redirect(resolveReturnTo(req.body.returnTo, scan.internalId));
+});
+
+app.post('/scans/:internalId/correction/delete', (req, res) => {
+  if (clearScanCorrection(req.params.internalId)) {
+    console.log(`↩️  Correction removed from scan ${req.params.internalId}`);
+  }
+  res.redirect(resolveReturnTo(req.body.returnTo, req.params.internalId));
+});
+
+/**
+ * Analytics dashboard (overall, per campaign with ?campaign=, per session with ?scanId=)
+ */
+app.get('/analytics', (req, res) => {
+  const filter = {
+    campaignId: req.query.campaign || null,
+    scanId: req.query.scanId || null
+  };
+  const analytics = getAnalytics(filter);
+  
+  // If JSON format requested
+  if (req.query.format === 'json') {
+    return res.json(analytics);
+  }
+  
+  res.render('analytics', {
+    analytics: analytics,
+    campaigns: getAllCampaigns(),
+    campaign: filter.campaignId ? getCampaign(filter.campaignId) : null
+  });
+});
+
+/**
+ * Signature learning: fingerprint rules proposed from scans clustered by hardware signature
+ * (?status=pending|accepted|rejected, format=json for the raw proposals)
+ */
+app.get('/signatures', (req, res) => {
+  const status = PROPOSAL_STATUSES.includes(req.query.status) ? req.query.status : null;
+  const proposals = getProposals(status);
+  
+  if (req.query.format === 'json') {
+    return res.json({ count: proposals.length, proposals: proposals });
+  }
+  
+  res.render('signatures', {
+    proposals: proposals,
+    status: status,
+    params: req.query,
+    minLabelledScans: MIN_LABELLED_SCANS
   });
 });
 
+app.post('/signatures/learn', (req, res) => {
+  const summary = learnSignatures();
+  console.log(`🧠 Signature learning: ${summary.clusters} cluster(s), ${summary.covered} covered by a rule, ${summary.proposed} new proposal(s), ${summary.updated} updated`);
+  res.redirect(`/signatures?${new URLSearchParams({ learned: 1, ...summary })}`);
+});
+
+app.post('/signatures/:id/accept', (req, res) => {
+  const { proposal, error } = acceptProposal(parseInt(req.params.id, 10));
+  if (!proposal) {
+    return res.redirect(`/signatures${error ? `?${new URLSearchParams({ error })}` : ''}`);
+  }
+  
+  console.log(`✅ Signature proposal #${proposal.id} accepted: ${proposal.section} rule "${proposal.rule.id}"`);
+  res.redirect('/signatures');
+});
+
+app.post('/signatures/:id/reject', (req, res) => {
+  const proposal = rejectProposal(parseInt(req.params.id, 10));
+  if (proposal) {
+    console.log(`🚫 Signature proposal #${proposal.id} rejected (${proposal.clusterKey})`);
+  }
+  res.redirect('/signatures');
+});
+
+/**
+ * Model alias dictionary: model codes and codenames mapped to GSMA names (?q= to filter, format=json)
+ */
+function renderAliases(req, res, options = {}) {
+  const q = req.query.q || '';
+  const aliases = getAliases({ q });
+
+  if (req.query.format === 'json') {
+    return res.json({ count: aliases.length, aliases: aliases });
+  }
+
+  res.status(options.status || 200).render('aliases', {
+    aliases: aliases,
+    q: q,
+    kinds: ALIAS_KINDS,
+    values: options.values || {},
+    errors: options.errors || [],
+    importResult: options.importResult || null,
+    importError: options.importError || null
+  });
+}
+
+app.get('/aliases', (req, res) => {
+  renderAliases(req, res);
+});
+
+app.post('/aliases', (req, res) => {
+  const { alias, errors } = createAlias(req.body);
+  if (!alias) {
+    return renderAliases(req, res, { status: 400, values: req.body, errors: errors });
+  }
+  
+  console.log(`🏷️  Alias created: ${alias.code} → ${alias.gsmaName}`);
+  res.redirect(`/aliases?q=${encodeURIComponent(alias.code)}`);
+});
+
+// CSV pasted in the import form (same format as npm run import-aliases)
+app.post('/aliases/import', async (req, res) => {
+  try {
+    const result = await importAliases(Readable.from([Buffer.from(req.body.csv || '', 'utf8')]));
+    console.log(`🏷️  Aliases imported: ${result.imported} added, ${result.updated} updated, ${result.rejected.length} rejected`);
+    renderAliases(req, res, { importResult: result });
+  } catch (error) {
+    renderAliases(req, res, { status: 400, importError: error.message });
+  }
+});
+
+app.get('/aliases/:id/edit', (req, res) => {
+  const alias = getAlias(parseInt(req.params.id, 10));
+  if (!alias) {
+    return res.redirect('/aliases');
+  }
+  
+  res.render('aliasForm', {
+    alias: alias,
+    values: alias,
+    kinds: ALIAS_KINDS,
+    errors: []
+  });
+});
+
+app.post('/aliases/:id', (req, res) => {
+  const existing = getAlias(parseInt(req.params.id, 10));
+  if (!existing) {
+    return res.redirect('/aliases');
+  }
+  
+  const { alias, errors } = updateAlias(existing.id, req.body);
+  if (!alias) {
+    return res.status(400).render('aliasForm', {
+      alias: existing,
+      values: req.body,
+      kinds: ALIAS_KINDS,
+      errors: errors
+    });
+  }
+  
+  res.redirect(`/aliases?q=${encodeURIComponent(alias.code)}`);
+});
+
+app.post('/aliases/:id/delete', (req, res) => {
+  if (deleteAlias(parseInt(req.params.id, 10))) {
+    console.log(`🗑️  Alias deleted: #${req.params.id}`);
+  }
+  res.redirect('/aliases');
+});
+
+/**
+ * Campaign pages
+ */
+app.get('/campaigns', (req, res) => {
+  res.render('campaigns', {
+    campaigns: getAllCampaigns().map(campaign => ({
+      ...campaign,
+      availability: getCampaignAvailability(campaign)
+    }))
+  });
+});
+
+app.get('/campaigns/new', (req, res) => {
+  res.render('campaignForm', {
+    campaign: null,
+    values: {},
+    errors: []
+  });
+});
+
+app.post('/campaigns', (req, res) => {
+  const { campaign, errors } = createCampaign(req.body);
+  if (!campaign) {
+    return res.status(400).render('campaignForm', {
+      campaign: null,
+      values: req.body,
+      errors: errors
+    });
+  }
+  
+  console.log(`🎯 Campaign created: ${campaign.name} (${campaign.id})`);
+  res.redirect(`/campaigns/${campaign.id}`);
+});
+
+app.get('/campaigns/:id', async (req, res) => {
+  const campaign = getCampaign(req.params.id);
+  if (!campaign) {
+    return res.status(404).send(`
+      <html>
+        <head><title>Campaign Not Found</title></head>
+        <body style="font-family: sans-serif; padding: 40px; text-align: center;">
+          <h1>Campaign Not Found</h1>
+          <a href="/campaigns">Back to campaigns</a>
+        </body>
+      </html>
+    `);
+  }
+  
+  const url = `${BASE_URL}/s/${campaign.id}`;
+  res.render('campaign', {
+    campaign: campaign,
+    availability: getCampaignAvailability(campaign),
+    url: url,
+    qrCode: await generateQRCode(url),
+    scans: getScansByCampaignId(campaign.id),
+    defaultMode: APP_MODE,
+    defaultRedirectUrl: DEFAULT_REDIRECT_URL
+  });
+});
+
+app.get('/campaigns/:id/edit', (req, res) => {
+  const campaign = getCampaign(req.params.id);
+  if (!campaign) {
+    return res.redirect('/campaigns');
+  }
+  
+  res.render('campaignForm', {
+    campaign: campaign,
+    values: campaign,
+    errors: []
+  });
+});
+
+app.post('/campaigns/:id', (req, res) => {
+  const existing = getCampaign(req.params.id);
+  if (!existing) {
+    return res.redirect('/campaigns');
+  }
+  
+  const { campaign, errors } = updateCampaign(existing.id, req.body);
+  if (!campaign) {
+    return res.status(400).render('campaignForm', {
+      campaign: existing,
+      values: req.body,
+      errors: errors
+    });
+  }
+  
+  res.redirect(`/campaigns/${campaign.id}`);
+});
+
+app.post('/campaigns/:id/status', (req, res) => {
+  const { campaign, errors } = updateCampaign(req.params.id, { status: req.body.status });
+  if (errors.length > 0) {
+    const existing = getCampaign(req.params.id);
+    return res.status(400).render('campaignForm', {
+      campaign: existing,
+      values: existing,
+      errors: errors
+    });
+  }
+  if (!campaign) {
+    return res.status(404).send(`
+      <html>
+        <head><title>Campaign Not Found</title></head>
+        <body style="font-family: sans-serif; padding: 40px; text-align: center;">
+          <h1>Campaign Not Found</h1>
+          <a href="/campaigns">Back to campaigns</a>
+        </body>
+      </html>
+    `);
+  }
+
+  res.redirect(`/campaigns/${campaign.id}`);
+});
+
+app.post('/campaigns/:id/delete', (req, res) => {
+  if (deleteCampaign(req.params.id)) {
+    console.log(`🗑️  Campaign deleted: ${req.params.id}`);
+  }
+  res.redirect('/campaigns');
+});
+
+/**
+ * Campaign API
+ */
+app.get('/api/campaigns', (req, res) => {
+  const campaigns = getAllCampaigns();
+  res.json({
+    count: campaigns.length,
+    campaigns: campaigns
+  });
+});
+
+app.post('/api/campaigns', (req, res) => {
+  const { campaign, errors } = createCampaign(req.body || {});
+  if (!campaign) {
+    return res.status(400).json({ error: 'Invalid campaign', details: errors });
+  }
+  res.status(201).json(campaign);
+});
+
+app.get('/api/campaigns/:id', (req, res) => {
+  const campaign = getCampaign(req.params.id);
+  if (!campaign) {
+    return res.status(404).json({ error: 'Campaign not found' });
+  }
+  res.json({ ...campaign, availability: getCampaignAvailability(campaign) });
+});
+
+app.patch('/api/campaigns/:id', (req, res) => {
+  const { campaign, errors } = updateCampaign(req.params.id, req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid campaign', details: errors });
+  }
+  if (!campaign) {
+    return res.status(404).json({ error: 'Campaign not found' });
+  }
+  res.json(campaign);
+});
+
+app.delete('/api/campaigns/:id', (req, res) => {
+  if (!deleteCampaign(req.params.id)) {
+    return res.status(404).json({ error: 'Campaign not found' });
+  }
+  res.status(204).end();
+});
+
 // Start server
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Device Intelligence Server running on port ${PORT}`);
   console.log(`📱 Generate QR code: ${BASE_URL}/generate`);
   console.log(`📊 View scans: ${BASE_URL}/scans`);
   console.log(`💾 Data directory: ${DATA_DIR}`);
+  console.log(`🔀 Mode: ${APP_MODE}${APP_MODE === 'redirect' ? ` (default destination: ${DEFAULT_REDIRECT_URL})` : ''}`);
 });
 
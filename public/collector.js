@@ -6,12 +6,16 @@
 (function() {
   'use strict';
   
-  // Get server data and redirect ID from window
-  const serverData = window.SERVER_DATA || {};
-  const redirectId = window.REDIRECT_ID || 'default';
+  // Configuration rendered by the /s/:id collector page
+  const config = window.COLLECTOR_CONFIG || {};
+  const scanId = config.scanId || 'default';
+  // Visit of the /s/:id page: the server kept its own data (User-Agent, Client Hints) for it
+  const visitId = config.visitId || null;
+  const mode = config.mode || null;
+  const redirectUrl = config.redirectUrl || null;
   
-  // Default redirect URL
-  const DEFAULT_REDIRECT_URL = 'https://google.com';
+  // Where to go if the scan could not be logged (result page or destination, depending on mode)
+  const fallbackUrl = config.fallbackUrl || `/result/${scanId}`;
   
   /**
    * Get GPU information via WebGL
@@ -68,12 +72,12 @@
    */
   function getScreenInfo() {
     return {
-      width: window.screen.width,
-      height: window.screen.height,
+      width: window.screen.width || null,
+      height: window.screen.height || null,
       pixelRatio: window.devicePixelRatio || 1,
-      availWidth: window.screen.availWidth,
-      availHeight: window.screen.availHeight,
-      colorDepth: window.screen.colorDepth,
+      availWidth: window.screen.availWidth || null,
+      availHeight: window.screen.availHeight || null,
+      colorDepth: window.screen.colorDepth || null,
       orientation: window.screen.orientation?.type || 'unknown'
     };
   }
@@ -184,20 +188,22 @@
     
     // Build payload with all values assigned
     const deviceData = {
-      serverData: serverData,
+      visitId: visitId,
+      fullUserAgent: navigator.userAgent || null,
       screenWidth: screenInfo.width,
       screenHeight: screenInfo.height,
       pixelRatio: screenInfo.pixelRatio,
       gpuRenderer: gpuInfo?.renderer || null,
       gpuVendor: gpuInfo?.vendor || null,
-      batteryLevel: batteryInfo?.level || null,
-      batteryCharging: batteryInfo?.charging || false,
+      batteryLevel: batteryInfo?.level !== undefined ? batteryInfo.level : null,
+      batteryCharging: batteryInfo?.charging !== undefined ? batteryInfo.charging : null,
       hardwareConcurrency: navigator.hardwareConcurrency || null,
       deviceMemory: deviceMemory, // RAM in GB (null if not available)
       timezone: timezone, // Timezone for regional variants
       mediaQueries: mediaQueries, // P3, HDR, etc. (always an object)
       clientHintsData: clientHintsData, // High-entropy Client Hints (always an object, never null)
-      redirectUrl: DEFAULT_REDIRECT_URL
+      mode: mode, // 'result' or 'redirect' (server decides the final URL)
+      redirectUrl: redirectUrl // Destination of pass-through redirects
     };
     
     console.log('✅ Device data collection complete');
@@ -213,11 +219,22 @@
    */
   async function sendDataAndRedirect() {
     try {
-      // Collect device data
-      const deviceData = await collectDeviceData();
+      // Collect device data (visit only if collection fails: the User-Agent
+      // and Client Hints headers kept by the server can still identify the device)
+      let deviceData;
+      try {
+        deviceData = await collectDeviceData();
+      } catch (error) {
+        console.error('Device data collection failed:', error);
+        deviceData = {
+          visitId: visitId,
+          mode: mode,
+          redirectUrl: redirectUrl
+        };
+      }
       
       // Send to server
-      const response = await fetch(`/log/${redirectId}`, {
+      const response = await fetch(`/log/${scanId}`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -228,17 +245,17 @@
       const result = await response.json();
       
       if (result.success) {
-        // Redirect to the specified URL
-        window.location.href = result.redirectUrl || DEFAULT_REDIRECT_URL;
+        // Result page or destination URL, depending on the mode
+        window.location.href = result.redirectUrl || fallbackUrl;
       } else {
         // Fallback redirect on error
         console.error('Failed to log device data:', result.error);
-        window.location.href = DEFAULT_REDIRECT_URL;
+        window.location.href = fallbackUrl;
       }
     } catch (error) {
       console.error('Error sending device data:', error);
       // Fallback redirect on error
-      window.location.href = DEFAULT_REDIRECT_URL;
+      window.location.href = fallbackUrl;
     }
   }
   
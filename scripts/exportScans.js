@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const { initDatabase, closeDatabase } = require('../utils/database');
+const { parseScanQuery } = require('../utils/scanRepository');
+const { writeScanExport, EXPORT_FORMATS, EXPORT_DATASETS } = require('../utils/scanExport');
+
+/**
+ * Export scans as CSV or NDJSON with flattened columns
+ *
+ * Usage:
+ *   node scripts/exportScans.js [--format csv|ndjson] [--dataset scans|training] [--output file] [filters...]
+ *
+ * Filters and sort are the query parameters of /scans:
+ *   --from, --to, --scanId, --campaign, --os, --brand, --esim, --minConfidence,
+ *   --maxConfidence, --corrected, --q, --sort, --order
+ *
+ * --dataset training exports the manually corrected scans as labelled training data
+ *
+ * Without --output the export is written to stdout (progress goes to stderr)
+ */
+// stdout carries the export: send log lines of the database modules to stderr
+console.log = console.error;
+
+const QUERY_OPTIONS = ['from', 'to', 'scanId', 'campaign', 'os', 'brand', 'esim', 'minConfidence', 'maxConfidence', 'corrected', 'q', 'sort', 'order'];
+
+/**
+ * Parse --key value flags
+ */
+function parseArgs(args) {
+  const options = { format: 'csv', dataset: 'scans', output: null, query: {} };
+  for (let i = 0; i < args.length; i += 2) {
+    const key = args[i].replace(/^--/, '');
+    const value = args[i + 1];
+    if (!args[i].startsWith('--') || value === undefined) {
+      throw new Error(`Invalid argument: ${args[i]}`);
+    }
+    if (key === 'format' || key === 'dataset' || key === 'output') {
+      options[key] = value;
+    } else if (QUERY_OPTIONS.includes(key)) {
+      options.query[key] = value;
+    } else {
+      throw new Error(`Unknown option: --${key} (valid: --format, --dataset, --output, ${QUERY_OPTIONS.map(o => `--${o}`).join(', ')})`);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!EXPORT_FORMATS[options.format]) {
+    throw new Error(`Unknown format: ${options.format} (${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+  if (!EXPORT_DATASETS[options.dataset]) {
+    throw new Error(`Unknown dataset: ${options.dataset} (${Object.keys(EXPORT_DATASETS).join(', ')})`);
+  }
+
+  const query = parseScanQuery(options.query);
+  if (query.errors.length > 0) {
+    throw new Error(query.errors.join('\n'));
+  }
+
+  initDatabase();
+
+  const output = options.output ? fs.createWriteStream(path.resolve(options.output)) : process.stdout;
+  let outputError = null;
+  output.on('error', error => {
+    // EPIPE: stdout reader exited early (e.g. piped to head), nothing left to do
+    if (error.code !== 'EPIPE') {
+      outputError = error;
+    }
+  });
+  
+  try {
+    const count = await writeScanExport(output, options.format, query, options.dataset);
+    if (output !== process.stdout) {
+      // Wait for the file to be flushed (open/write errors surface here)
+      output.end();
+      await new Promise(resolve => output.once('close', resolve));
+    }
+    if (outputError) {
+      throw outputError;
+    }
+    console.error(`✅ Exported ${count} scan(s) as ${options.format}${options.output ? ` to ${path.resolve(options.output)}` : ''}`);
+  } finally {
+    closeDatabase();
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ Error exporting scans: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -5,6 +5,10 @@ const path = require('path');
 // Configuration
 const BASE_URL = process.env.BASE_URL || 'http://localhost:3000';
 const SCAN_ID = process.env.SCAN_ID || `scan-${Date.now()}`;
+// Optional per-link mode ('result' or 'redirect') and destination, overriding the server defaults
+// (the server only follows a destination on an origin of its REDIRECT_ALLOWED_ORIGINS)
+const MODE = process.env.MODE || null;
+const REDIRECT_URL = process.env.REDIRECT_URL || null;
 const OUTPUT_DIR = path.join(__dirname, '../public');
 const OUTPUT_FILE = path.join(OUTPUT_DIR, 'qr-code.png');
 
@@ -14,7 +18,11 @@ if (!fs.existsSync(OUTPUT_DIR)) {
 }
 
 // Generate QR code
-const url = `${BASE_URL}/s/${SCAN_ID}`;
+const params = new URLSearchParams();
+if (MODE) params.set('mode', MODE);
+if (REDIRECT_URL) params.set('redirect', REDIRECT_URL);
+const query = params.toString();
+const url = `${BASE_URL}/s/${SCAN_ID}${query ? `?${query}` : ''}`;
 
 console.log('🔗 Generating QR code...');
 console.log(`📱 URL: ${url}`);
@@ -40,6 +48,6 @@ QRCode.toFile(OUTPUT_FILE, url, {
   console.log(`\n💡 Usage:`);
   console.log(`   1. Start the server: npm start`);
   console.log(`   2. Open ${OUTPUT_FILE} and scan with your device`);
-  console.log(`   3. Check the database for collected data`);
+  console.log(`   3. View collected data: npm run view-data`);
 });
 
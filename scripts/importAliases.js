@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+const { initDatabase, closeDatabase, DB_PATH } = require('../utils/database');
+const { importAliases, countAliases } = require('../utils/aliasRepository');
+
+// CSV with a header line: code, gsma_name, manufacturer (optional), kind (optional)
+const ALIASES_FILE = process.argv[2] ? path.resolve(process.argv[2]) : null;
+
+if (!ALIASES_FILE || !fs.existsSync(ALIASES_FILE)) {
+  console.error(ALIASES_FILE ? `❌ Aliases file not found: ${ALIASES_FILE}` : '❌ No aliases file given');
+  console.error('   Usage: node scripts/importAliases.js path/to/aliases.csv');
+  process.exit(1);
+}
+
+async function main() {
+  console.log('🚀 Importing model aliases...');
+  console.log(`📄 Aliases file: ${ALIASES_FILE}`);
+  console.log(`💾 Database: ${DB_PATH}`);
+
+  initDatabase();
+
+  try {
+    const result = await importAliases(fs.createReadStream(ALIASES_FILE));
+    console.log(`\n✅ Import completed!`);
+    console.log(`📊 ${result.imported} alias(es) added, ${result.updated} updated, ${result.rejected.length} rejected (of ${result.total})`);
+    for (const reject of result.rejected) {
+      console.log(`   ⚠️  Line ${reject.line}: ${reject.error}`);
+    }
+    console.log(`📈 Database contains ${countAliases()} alias(es)`);
+  } catch (error) {
+    console.error('❌ Error importing aliases:', error.message);
+    process.exitCode = 1;
+  } finally {
+    closeDatabase();
+  }
+}
+
+main();
@@ -1,187 +1,158 @@
-const Database = require('better-sqlite3');
 const fs = require('fs');
 const path = require('path');
-const readline = require('readline');
-
-const CSV_FILE = path.join(__dirname, '..', 'modsumm_tac_imei.csv');
-const DB_PATH = path.join(__dirname, '..', 'data', 'gsma.db');
-const DATA_DIR = path.dirname(DB_PATH);
+const { importGSMAFile, getImportHistory, getImportReport, loadImportConfig, REJECT_REASONS } = require('../utils/gsmaImport');
+const { DB_PATH } = require('../utils/gsmaDatabase');
+
+// Number of eUICC flips listed in the console summary (the full list is in the report)
+const MAX_LISTED_FLIPS = 20;
+
+function printUsage() {
+  console.log(`Usage:
+  node scripts/importGSMA.js [file.csv] [--force] [--report report.json] [--config config.json]
+                             [--delimiter "|"] [--encoding utf-8] [--rejects rejected.csv]
+  node scripts/importGSMA.js --history
+  node scripts/importGSMA.js --diff [importId] [--report report.json]
+
+Options:
+  --force            Import even if the file is unchanged since the last import
+  --report <file>    Write the diff report (added, removed, changed TACs) as JSON
+  --config <file>    Import config: file layout and header mapping (default: config/gsmaImport.json)
+  --delimiter <d>    Field delimiter, "auto" to detect it from the header (default: from the config)
+  --encoding <e>     File encoding, e.g. utf-8, windows-1252, utf-16le (default: from the config)
+  --rejects <file>   Rejected rows report (default: data/gsma-import-<id>-rejected.csv)
+  --history          List past imports
+  --diff [id]        Show the diff report of an import (default: last completed)`);
+}
 
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
+function parseArgs(argv) {
+  const args = {
+    file: null, force: false, report: null, config: null, delimiter: null, encoding: null, rejects: null,
+    history: false, diff: false, importId: null
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--force') {
+      args.force = true;
+    } else if (['--report', '--config', '--delimiter', '--encoding', '--rejects'].includes(arg)) {
+      if (argv[i + 1] === undefined) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      args[arg.substring(2)] = argv[++i];
+    } else if (arg === '--history') {
+      args.history = true;
+    } else if (arg === '--diff') {
+      args.diff = true;
+      if (argv[i + 1] && /^\d+$/.test(argv[i + 1])) {
+        args.importId = parseInt(argv[++i], 10);
+      }
+    } else if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (!arg.startsWith('--') && !args.file) {
+      args.file = arg;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  return args;
 }
 
-// Check if CSV file exists
-if (!fs.existsSync(CSV_FILE)) {
-  console.error(`❌ CSV file not found: ${CSV_FILE}`);
-  process.exit(1);
+function printHistory() {
+  const history = getImportHistory();
+  if (history.length === 0) {
+    console.log('No GSMA import recorded yet');
+    return;
+  }
+  console.log('📜 GSMA imports:\n');
+  for (const entry of history) {
+    const diff = entry.status === 'completed'
+      ? ` | +${entry.added} -${entry.removed} ~${entry.changed} (eUICC flips: ${entry.euiccFlipped})`
+      : '';
+    console.log(`#${entry.id} ${entry.startedAt} [${entry.status}] ${entry.fileName} sha256:${entry.fileHash.substring(0, 12)} | ${entry.rowsImported} rows, ${entry.rowsSkipped} rejected${diff}`);
+  }
 }
 
-console.log('🚀 Starting GSMA database import...');
-console.log(`📄 CSV File: ${CSV_FILE}`);
-console.log(`💾 Database: ${DB_PATH}`);
-
-// Initialize database
-const db = new Database(DB_PATH);
-
-// Create table
-db.exec(`
-  DROP TABLE IF EXISTS devices
-`);
-
-db.exec(`
-  CREATE TABLE devices (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    tac_imei TEXT,
-    standardised_full_name TEXT,
-    standardised_manufacturer TEXT,
-    device_type TEXT,
-    operating_system TEXT,
-    bands TEXT,
-    lte TEXT,
-    g5 TEXT,
-    simslot TEXT,
-    euicc TEXT,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  )
-`);
-
-// Create indexes
-db.exec(`
-  CREATE INDEX idx_full_name ON devices(standardised_full_name)
-`);
-
-db.exec(`
-  CREATE INDEX idx_manufacturer ON devices(standardised_manufacturer)
-`);
-
-db.exec(`
-  CREATE INDEX idx_full_name_lower ON devices(LOWER(standardised_full_name))
-`);
-
-// Prepare insert statement
-const insertStmt = db.prepare(`
-  INSERT INTO devices (
-    tac_imei,
-    standardised_full_name,
-    standardised_manufacturer,
-    device_type,
-    operating_system,
-    bands,
-    lte,
-    g5,
-    simslot,
-    euicc
-  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-`);
-
-const insertMany = db.transaction((devices) => {
-  for (const device of devices) {
-    insertStmt.run(
-      device.tac_imei,
-      device.standardised_full_name,
-      device.standardised_manufacturer,
-      device.device_type,
-      device.operating_system,
-      device.bands,
-      device.lte,
-      device.g5,
-      device.simslot,
-      device.euicc
-    );
+function printReport(report) {
+  const summary = report.import;
+  console.log(`\n📊 Import #${summary.id} (${summary.fileName}, sha256 ${summary.fileHash.substring(0, 12)}…)`);
+  console.log(`   Devices: ${summary.previousCount} → ${summary.rowsImported}`);
+  console.log(`   ➕ Added TACs:   ${summary.added}`);
+  console.log(`   ➖ Removed TACs: ${summary.removed}`);
+  console.log(`   ✏️  Changed TACs: ${summary.changed}`);
+  console.log(`   🔁 eUICC flips:  ${summary.euiccFlipped}`);
+
+  report.euiccFlipped.slice(0, MAX_LISTED_FLIPS).forEach(flip => {
+    console.log(`      ${flip.tac} ${flip.name}: euicc ${flip.euiccBefore} → ${flip.euiccAfter}`);
+  });
+  if (report.euiccFlipped.length > MAX_LISTED_FLIPS) {
+    console.log(`      ... and ${report.euiccFlipped.length - MAX_LISTED_FLIPS} more (use --report)`);
   }
-});
 
-// Read CSV file line by line
-const fileStream = fs.createReadStream(CSV_FILE);
-const rl = readline.createInterface({
-  input: fileStream,
-  crlfDelay: Infinity
-});
+  console.log(`   🚫 Rejected rows: ${summary.rowsSkipped}`);
+  for (const [reason, count] of Object.entries(summary.rejectedReasons)) {
+    console.log(`      ${REJECT_REASONS[reason] || reason}: ${count}`);
+  }
+  if (summary.rowsSkipped > 0 && summary.rejectsFile) {
+    console.log(`      Report: ${summary.rejectsFile}`);
+  }
+}
 
-let lineNumber = 0;
-let headers = [];
-let batch = [];
-const BATCH_SIZE = 1000;
-let totalImported = 0;
-
-rl.on('line', (line) => {
-  lineNumber++;
-  
-  // Skip empty lines
-  if (!line.trim()) {
+function writeReport(report, file) {
+  fs.writeFileSync(file, JSON.stringify(report, null, 2));
+  console.log(`📝 Diff report written to ${file}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help) {
+    printUsage();
     return;
   }
-  
-  // Parse header
-  if (lineNumber === 1) {
-    headers = line.split('|').map(h => h.trim().toLowerCase());
-    console.log(`📋 Headers found: ${headers.length} columns`);
+
+  if (args.history) {
+    printHistory();
     return;
   }
-  
-  // Parse data line (pipe-separated)
-  const values = line.split('|').map(v => v.trim());
-  
-  // Skip invalid lines
-  if (values.length !== headers.length) {
+
+  if (args.diff) {
+    const report = getImportReport(args.importId);
+    if (!report) {
+      throw new Error(args.importId ? `Import #${args.importId} not found` : 'No completed import yet');
+    }
+    printReport(report);
+    if (args.report) {
+      writeReport(report, args.report);
+    }
     return;
   }
-  
-  // Create device object
-  const device = {
-    tac_imei: values[headers.indexOf('tac_imei')] || null,
-    standardised_full_name: values[headers.indexOf('standardisedfullname')] || null,
-    standardised_manufacturer: values[headers.indexOf('standardisedmanufacturer')] || null,
-    device_type: values[headers.indexOf('devicetype')] || null,
-    operating_system: values[headers.indexOf('operatingsystem')] || null,
-    bands: values[headers.indexOf('bands')] || null,
-    lte: values[headers.indexOf('lte')] || null,
-    g5: values[headers.indexOf('5g')] || null,
-    simslot: values[headers.indexOf('simslot')] || null,
-    euicc: values[headers.indexOf('euicc')] || null
-  };
-  
-  // Skip entries with "Not in Signaling" or invalid data
-  if (device.standardised_full_name === 'Not in Signaling' || 
-      !device.standardised_full_name ||
-      device.standardised_full_name === 'Not Known') {
+
+  const config = loadImportConfig(args.config || undefined);
+  const csvFile = args.file ? path.resolve(args.file) : path.resolve(__dirname, '..', config.file || 'modsumm_tac_imei.csv');
+
+  console.log('🚀 Starting GSMA database import...');
+  console.log(`📄 CSV File: ${csvFile}`);
+  console.log(`💾 Database: ${DB_PATH}`);
+
+  const result = await importGSMAFile(csvFile, {
+    force: args.force,
+    config: config,
+    delimiter: args.delimiter,
+    encoding: args.encoding,
+    rejectsPath: args.rejects ? path.resolve(args.rejects) : null
+  });
+  if (result.status === 'unchanged') {
     return;
   }
-  
-  batch.push(device);
-  
-  // Insert batch when it reaches BATCH_SIZE
-  if (batch.length >= BATCH_SIZE) {
-    insertMany(batch);
-    totalImported += batch.length;
-    console.log(`✅ Imported ${totalImported} devices...`);
-    batch = [];
-  }
-});
 
-rl.on('close', () => {
-  // Insert remaining devices
-  if (batch.length > 0) {
-    insertMany(batch);
-    totalImported += batch.length;
-  }
-  
   console.log(`\n✅ Import completed!`);
-  console.log(`📊 Total devices imported: ${totalImported}`);
-  
-  // Get final count
-  const count = db.prepare('SELECT COUNT(*) as count FROM devices').get();
-  console.log(`📈 Database contains ${count.count} devices`);
-  
-  db.close();
-  process.exit(0);
-});
+  const report = getImportReport(result.id);
+  printReport(report);
+  if (args.report) {
+    writeReport(report, args.report);
+  }
+}
 
-rl.on('error', (error) => {
-  console.error('❌ Error reading CSV file:', error);
-  db.close();
+main().catch(error => {
+  console.error(`❌ GSMA import failed: ${error.message}`);
   process.exit(1);
 });
-
@@ -0,0 +1,32 @@
+const fs = require('fs');
+const path = require('path');
+const { initDatabase, closeDatabase, DB_PATH } = require('../utils/database');
+const { importScansFile, countScans } = require('../utils/scanRepository');
+
+// scans.json written by previous versions (defaults to $DATA_DIR/scans.json)
+const DATA_DIR = process.env.DATA_DIR || '/data';
+const SCANS_FILE = process.argv[2] ? path.resolve(process.argv[2]) : path.join(DATA_DIR, 'scans.json');
+
+if (!fs.existsSync(SCANS_FILE)) {
+  console.error(`❌ Scans file not found: ${SCANS_FILE}`);
+  console.error('   Usage: node scripts/importScans.js [path/to/scans.json]');
+  process.exit(1);
+}
+
+console.log('🚀 Importing scans into SQLite...');
+console.log(`📄 Scans file: ${SCANS_FILE}`);
+console.log(`💾 Database: ${DB_PATH}`);
+
+initDatabase();
+
+try {
+  const result = importScansFile(SCANS_FILE);
+  console.log(`\n✅ Import completed!`);
+  console.log(`📊 ${result.imported} scan(s) imported, ${result.skipped} already present (of ${result.total})`);
+  console.log(`📈 Database contains ${countScans()} scan(s)`);
+} catch (error) {
+  console.error('❌ Error importing scans:', error.message);
+  process.exitCode = 1;
+} finally {
+  closeDatabase();
+}
@@ -0,0 +1,34 @@
+const { initDatabase, closeDatabase } = require('../utils/database');
+const { learnSignatures, getProposals } = require('../utils/signatureLearner');
+
+/**
+ * Cluster the stored scans by hardware signature and store fingerprint rule proposals
+ * Proposals are reviewed (accepted or rejected) on /signatures
+ *
+ * Usage:
+ *   node scripts/learnSignatures.js
+ */
+try {
+  initDatabase();
+
+  const summary = learnSignatures();
+  console.log(`🧠 ${summary.clusters} hardware signature(s), ${summary.covered} already covered by a rule`);
+  console.log(`   ➕ New proposals:     ${summary.proposed}`);
+  console.log(`   🔄 Updated proposals: ${summary.updated}`);
+  console.log(`   ⏭️  Already decided:   ${summary.decided}`);
+
+  const pending = getProposals('pending');
+  if (pending.length > 0) {
+    console.log(`\n⏳ Pending proposals (review them on /signatures):`);
+    for (const proposal of pending) {
+      const { rule } = proposal;
+      console.log(`   #${proposal.id} [${proposal.section}] ${rule.width}x${rule.height}@${rule.pixelRatio}x${rule.gpu ? ` | ${rule.gpu}` : ''}`);
+      console.log(`      → ${rule.models.join(', ')} (confidence ${proposal.confidence}%, ${proposal.labelledCount}/${proposal.scanCount} labelled scans)`);
+    }
+  }
+} catch (error) {
+  console.error(`❌ Error learning signatures: ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  closeDatabase();
+}
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const { initDatabase, closeDatabase } = require('../utils/gsmaDatabase');
+const { initDatabase: initScansDatabase, closeDatabase: closeScansDatabase } = require('../utils/database');
+const { normalizeSignals, matchDevice } = require('../utils/matchingEngine');
+
+/**
+ * Run the matching engine from the command line, without an HTTP request
+ *
+ * Usage:
+ *   node scripts/matchDevice.js payload.json
+ *   node scripts/matchDevice.js --brand Apple --model iPhone --width 390 --height 844 --ratio 3
+ *
+ * Add --trace to print every strategy tried and why it was accepted, rejected or skipped,
+ * and the evidence behind the confidence score
+ *
+ * A payload file has the same shape as the body posted to /log/:id
+ */
+const OPTIONS = {
+  '--brand': 'brand',
+  '--model': 'model',
+  '--os': 'os',
+  '--os-version': 'osVersion',
+  '--width': 'screenWidth',
+  '--height': 'screenHeight',
+  '--ratio': 'pixelRatio',
+  '--gpu': 'gpuRenderer',
+  '--memory': 'deviceMemory',
+  '--cores': 'hardwareConcurrency',
+  '--ch-model': 'clientHintsModel',
+  '--ch-brand': 'clientHintsBrand',
+  '--ch-platform-version': 'clientHintsPlatformVersion',
+  '--timezone': 'timezone',
+  '--language': 'acceptLanguage'
+};
+
+/**
+ * Build a /log/:id style payload from command line flags
+ */
+function payloadFromArgs(args) {
+  const values = {};
+  for (let i = 0; i < args.length; i += 2) {
+    const key = OPTIONS[args[i]];
+    if (!key) {
+      console.error(`❌ Unknown option: ${args[i]}`);
+      console.error(`   Valid options: ${Object.keys(OPTIONS).join(', ')}`);
+      process.exit(1);
+    }
+    values[key] = args[i + 1];
+  }
+
+  return {
+    serverData: { deviceBrand: values.brand, deviceModel: values.model, os: values.os, osVersion: values.osVersion, acceptLanguage: values.acceptLanguage },
+    screenWidth: values.screenWidth,
+    screenHeight: values.screenHeight,
+    pixelRatio: values.pixelRatio,
+    gpuRenderer: values.gpuRenderer,
+    deviceMemory: values.deviceMemory,
+    hardwareConcurrency: values.hardwareConcurrency,
+    timezone: values.timezone,
+    clientHintsData: { model: values.clientHintsModel, brand: values.clientHintsBrand, platformVersion: values.clientHintsPlatformVersion }
+  };
+}
+
+const showTrace = process.argv.includes('--trace');
+const args = process.argv.slice(2).filter(arg => arg !== '--trace');
+if (args.length === 0) {
+  console.error('Usage: node scripts/matchDevice.js <payload.json> | --brand <brand> --model <model> ...');
+  process.exit(1);
+}
+
+const payload = args[0].startsWith('--')
+  ? payloadFromArgs(args)
+  : JSON.parse(fs.readFileSync(path.resolve(args[0]), 'utf8'));
+
+initDatabase();
+// Model aliases are stored with the scans
+initScansDatabase();
+
+try {
+  const verdict = matchDevice(normalizeSignals(payload));
+
+  console.log('\n' + '═'.repeat(80));
+  console.log(`Strategy:        ${verdict.strategy || 'none'}`);
+  console.log(`Deduced model:   ${verdict.deducedModel || 'N/A'}`);
+  console.log(`Candidates:      ${verdict.candidates.map(candidate => `${candidate.model} (${Math.round(100 * candidate.probability)}%, eSIM ${candidate.eSIMCompatible === null ? '?' : (candidate.eSIMCompatible ? 'YES' : 'NO')})`).join(', ') || 'N/A'}`);
+  console.log(`GSMA record:     ${verdict.gsmaRecord ? `${verdict.gsmaRecord.standardised_full_name}${verdict.gsmaRecord.source === 'fallback' ? ' (fallback list)' : ''}` : 'N/A'}`);
+  console.log(`eSIM compatible: ${verdict.eSIMCompatible === null ? 'UNKNOWN' : (verdict.eSIMCompatible ? 'YES' : 'NO')}`);
+  console.log(`Confidence:      ${verdict.confidence}%`);
+  console.log(`eSIM decision:   ${verdict.eSIMDecision.reason}`);
+  const sim = verdict.simProfile;
+  const flag = value => value === null ? '?' : (value ? 'yes' : 'no');
+  console.log(`SIM profile:     ${sim ? `${sim.physicalSlots === null ? '?' : sim.physicalSlots} physical slot(s), eSIM ${flag(sim.esim)}, eSIM only ${flag(sim.esimOnly)}, ` +
+    `dual eSIM ${flag(sim.dualESIM)}, DSDS ${flag(sim.dsds)}${sim.regionalVariant ? ` (${sim.regionalVariant.region} variant${sim.regionalVariant.applied ? '' : ' possible'})` : ''}` : 'N/A'}`);
+
+  if (showTrace) {
+    console.log('─'.repeat(80));
+    for (const step of verdict.trace) {
+      console.log(`[${step.status.toUpperCase()}] ${step.strategy}: ${step.reason}`);
+      for (const lookup of step.lookups) {
+        console.log(`   ${lookup.source} "${lookup.term}" → ${lookup.result || 'no result'}${lookup.result ? ` (eUICC: ${lookup.euicc}${lookup.score !== null && lookup.score !== undefined ? `, score ${lookup.score}` : ''})` : ''}`);
+      }
+    }
+
+    const { prior, evidence, logOdds } = verdict.confidenceBreakdown;
+    if (prior) {
+      console.log('─'.repeat(80));
+      console.log(`Confidence prior: ${prior.confidence}% (${prior.source}), log-odds total ${logOdds}`);
+      for (const item of evidence) {
+        console.log(`   ${item.signal.padEnd(20)} ${item.result.padEnd(12)} ${item.weight > 0 ? '+' : ''}${item.weight}  (${item.observed}${item.expected ? ` vs ${item.expected}` : ''})`);
+      }
+    }
+  }
+  console.log('═'.repeat(80) + '\n');
+} finally {
+  closeDatabase();
+  closeScansDatabase();
+}
@@ -0,0 +1,18 @@
+const path = require('path');
+const { readRulesFile, RULES_PATH } = require('../utils/fingerprintRules');
+
+// Rules file to validate (defaults to the one the server loads)
+const rulesFile = process.argv[2] ? path.resolve(process.argv[2]) : RULES_PATH;
+
+console.log(`🔍 Validating fingerprint rules: ${rulesFile}`);
+
+try {
+  const rules = readRulesFile(rulesFile);
+  console.log(`✅ Rules v${rules.version} are valid`);
+  console.log(`   Signatures: ${rules.signatures.length}`);
+  console.log(`   Android:    ${rules.android.length}`);
+  console.log(`   iPhone:     ${rules.iphone.length}`);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -1,4 +1,5 @@
-const { initDatabase, getAllDevices, getDevicesByScanId, closeDatabase } = require('../utils/database');
+const { initDatabase, closeDatabase } = require('../utils/database');
+const { getAllScans, getScansBySessionId } = require('../utils/scanRepository');
 
 // Get scan ID from command line arguments
 const scanId = process.argv[2];
@@ -7,62 +8,62 @@ const scanId = process.argv[2];
 initDatabase();
 
 try {
-  let devices;
+  let scans;
   
   if (scanId) {
     console.log(`\n📊 Device data for Scan ID: ${scanId}\n`);
-    devices = getDevicesByScanId(scanId);
+    scans = getScansBySessionId(scanId);
   } else {
     console.log(`\n📊 All collected device data:\n`);
-    devices = getAllDevices();
+    scans = getAllScans();
   }
   
-  if (devices.length === 0) {
+  if (scans.length === 0) {
     console.log('❌ No device data found.\n');
     process.exit(0);
   }
   
-  console.log(`Found ${devices.length} record(s)\n`);
+  console.log(`Found ${scans.length} record(s)\n`);
   console.log('═'.repeat(80));
   
-  devices.forEach((device, index) => {
+  scans.forEach((scan, index) => {
     console.log(`\n📱 Record #${index + 1}`);
     console.log('─'.repeat(80));
-    console.log(`Scan ID:        ${device.scan_id}`);
-    console.log(`Timestamp:      ${device.timestamp}`);
-    console.log(`IP Address:     ${device.ip_address || 'N/A'}`);
+    console.log(`Scan ID:        ${scan.scanId}`);
+    console.log(`Record ID:      ${scan.internalId}`);
+    console.log(`Timestamp:      ${scan.timestamp}`);
+    console.log(`IP Address:     ${scan.ip || 'N/A'}`);
     console.log(`\n🖥️  Device Information:`);
-    console.log(`   OS:           ${device.os || 'N/A'} ${device.os_version || ''}`);
-    console.log(`   Browser:      ${device.browser || 'N/A'} ${device.browser_version || ''}`);
-    console.log(`   Device:       ${device.device_brand || 'N/A'} ${device.device_model || 'N/A'}`);
-    console.log(`   Type:         ${device.device_type || 'N/A'}`);
+    console.log(`   OS:           ${scan.os || 'N/A'} ${scan.osVersion || ''}`);
+    console.log(`   Browser:      ${scan.browser || 'N/A'} ${scan.browserVersion || ''}`);
+    console.log(`   Device:       ${scan.deviceBrand || 'N/A'} ${scan.deviceModel || 'N/A'}`);
+    console.log(`   Type:         ${scan.deviceType || 'N/A'}`);
     console.log(`\n📺 Screen Information:`);
-    console.log(`   Resolution:   ${device.screen_width || 'N/A'} × ${device.screen_height || 'N/A'}`);
-    console.log(`   Pixel Ratio:  ${device.pixel_ratio || 'N/A'}`);
+    console.log(`   Resolution:   ${scan.screenWidth || 'N/A'} × ${scan.screenHeight || 'N/A'}`);
+    console.log(`   Pixel Ratio:  ${scan.pixelRatio || 'N/A'}`);
     console.log(`\n🎮 GPU Information:`);
-    console.log(`   Renderer:     ${device.gpu_renderer || 'N/A'}`);
+    console.log(`   Renderer:     ${scan.gpuRenderer || 'N/A'}`);
     console.log(`\n🔋 Battery Information:`);
-    if (device.battery_level !== null) {
-      console.log(`   Level:        ${(device.battery_level * 100).toFixed(1)}%`);
-      console.log(`   Charging:     ${device.battery_charging ? 'Yes' : 'No'}`);
+    if (scan.batteryLevel !== null) {
+      console.log(`   Level:        ${(scan.batteryLevel * 100).toFixed(1)}%`);
+      console.log(`   Charging:     ${scan.batteryCharging ? 'Yes' : 'No'}`);
     } else {
       console.log(`   Not available`);
     }
-    console.log(`\n🔗 Redirect URL: ${device.redirect_url || 'N/A'}`);
+    console.log(`\n🎯 Matching:`);
+    console.log(`   Model:        ${scan.deducedModel || scan.gsmaData?.standardisedFullName || 'N/A'}`);
+    console.log(`   Strategy:     ${scan.matchStrategy || 'N/A'} (confidence ${scan.matchConfidence ?? 'N/A'}%)`);
+    console.log(`   eSIM:         ${scan.eSIMCompatible === null ? 'Unknown' : (scan.eSIMCompatible ? 'Yes' : 'No')}`);
+    console.log(`\n🔗 Redirect URL: ${scan.redirectUrl || 'N/A'}`);
     
-    if (device.client_hints) {
-      try {
-        const hints = JSON.parse(device.client_hints);
-        console.log(`\n💡 Client Hints:`);
-        Object.entries(hints).forEach(([key, value]) => {
-          console.log(`   ${key}: ${value}`);
-        });
-      } catch (e) {
-        // Ignore parse errors
-      }
+    if (scan.clientHints) {
+      console.log(`\n💡 Client Hints:`);
+      Object.entries(scan.clientHints).forEach(([key, value]) => {
+        console.log(`   ${key}: ${value}`);
+      });
     }
     
-    if (index < devices.length - 1) {
+    if (index < scans.length - 1) {
       console.log('\n' + '═'.repeat(80));
     }
   });
@@ -74,4 +75,3 @@ try {
 } finally {
   closeDatabase();
 }
-
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isiPhoneESIMCompatible } = require('../utils/fingerprinting');
+
+test('iPhone fallback rule: X and 8 or earlier have no eSIM', () => {
+  assert.strictEqual(isiPhoneESIMCompatible('iPhone X'), false);
+  assert.strictEqual(isiPhoneESIMCompatible('iPhone 8 Plus'), false);
+  assert.strictEqual(isiPhoneESIMCompatible('iPhone XS Max'), true);
+  assert.strictEqual(isiPhoneESIMCompatible('iPhone XR'), true);
+  assert.strictEqual(isiPhoneESIMCompatible('iPhone SE (2nd generation)'), true);
+  assert.strictEqual(isiPhoneESIMCompatible('iPhone 11 Pro'), true);
+});
+
+test('iPhone fallback rule: unknown names and mixed lists give null', () => {
+  assert.strictEqual(isiPhoneESIMCompatible('iPhone SE'), null);
+  assert.strictEqual(isiPhoneESIMCompatible('iPhone'), null);
+  assert.strictEqual(isiPhoneESIMCompatible(['iPhone X', 'iPhone XS', 'iPhone 11 Pro']), null);
+  assert.strictEqual(isiPhoneESIMCompatible(['iPhone 12', 'iPhone 13']), true);
+});
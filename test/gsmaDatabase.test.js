@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { aggregateModel } = require('../utils/gsmaDatabase');
+
+/**
+ * devices rows of one model, one per [TAC, euicc] pair
+ */
+function rows(name, tacs) {
+  return tacs.map(([tac, euicc]) => ({ tac_imei: tac, standardised_full_name: name, euicc }));
+}
+
+test('model eSIM support: TACs that agree are unanimous', () => {
+  const model = aggregateModel(rows('Apple iPhone 14', [['35123456', 'True'], ['86123456', 'true']]));
+  assert.strictEqual(model.euicc, 'true');
+  assert.strictEqual(model.euicc_support, 'unanimous');
+});
+
+test('model eSIM support: eSIM-less TACs with prefix 86 keep the model mixed', () => {
+  const model = aggregateModel(rows('Apple iPhone 13', [['35123456', 'true'], ['86123456', 'false'], ['86654321', 'false']]));
+  assert.strictEqual(model.euicc, 'mixed');
+  assert.strictEqual(model.euicc_support, 'mixed');
+  assert.strictEqual(model.euicc_tac_count, 1);
+  assert.strictEqual(model.non_euicc_tac_count, 2);
+});
+
+test('model eSIM support: no eUICC flag gives an unknown model', () => {
+  const model = aggregateModel(rows('Unknown Phone', [['35123456', ''], ['35654321', null]]));
+  assert.strictEqual(model.euicc, null);
+  assert.strictEqual(model.euicc_support, null);
+});
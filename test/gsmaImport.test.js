@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { importGSMAFile, getImportReport } = require('../utils/gsmaImport');
+
+const HEADER = 'tac|standardised_full_name|standardised_manufacturer|euicc';
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gsma-import-test-'));
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Write a GSMA file and import it into a database of the test directory
+ */
+function runImport(name, lines, options = {}) {
+  const file = path.join(dir, `${name}.csv`);
+  fs.writeFileSync(file, [HEADER, ...lines].join('\n') + '\n');
+  return importGSMAFile(file, { dbPath: path.join(dir, `${options.db || name}.db`), log: () => {}, ...options });
+}
+
+test('import: added, removed and changed TACs are recorded against the live table', async () => {
+  await runImport('first', ['35000001|Phone A|Acme|True', '35000002|Phone B|Acme|False', '35000003|Phone C|Acme|True'], { db: 'diff' });
+  const summary = await runImport('second', ['35000001|Phone A|Acme|False', '35000003|Phone C2|Acme|True', '35000004|Phone D|Acme|True'], { db: 'diff' });
+
+  assert.deepStrictEqual([summary.added, summary.removed, summary.changed, summary.euiccFlipped], [1, 1, 2, 1]);
+  const report = getImportReport(summary.id, path.join(dir, 'diff.db'));
+  assert.deepStrictEqual(report.added.map(change => change.tac), ['35000004']);
+  assert.deepStrictEqual(report.removed.map(change => [change.tac, change.euiccBefore]), [['35000002', 'False']]);
+  assert.deepStrictEqual(report.euiccFlipped.map(change => change.changedFields), [{ euicc: { before: 'True', after: 'False' } }]);
+  const renamed = report.changed.find(change => change.tac === '35000003');
+  assert.deepStrictEqual(renamed.changedFields, { standardised_full_name: { before: 'Phone C', after: 'Phone C2' } });
+});
+
+test('import: the rejected rows report of a resumed import covers the rows read before the interruption', async () => {
+  const lines = [];
+  for (let i = 0; i < 1500; i++) {
+    lines.push(i === 10 || i === 1200 ? `BAD${i}|Phone|Acme|True` : `${String(35100000 + i)}|Phone ${i}|Acme|True`);
+  }
+  const rejectsPath = path.join(dir, 'resume-rejected.csv');
+  // Stop the import at its first checkpoint
+  const interrupt = message => {
+    if (message.startsWith('✅ Staged')) {
+      throw new Error('interrupted');
+    }
+  };
+  await assert.rejects(runImport('resume', lines, { rejectsPath, log: interrupt }), /interrupted/);
+  fs.rmSync(rejectsPath);
+
+  const messages = [];
+  const summary = await runImport('resume', lines, { rejectsPath, log: message => messages.push(message) });
+  assert.ok(messages.some(message => message.startsWith('↩️  Resuming')));
+  assert.strictEqual(summary.rowsImported, 1498);
+  assert.strictEqual(summary.rowsSkipped, 2);
+  const report = fs.readFileSync(rejectsPath, 'utf8').trim().split('\r\n');
+  assert.deepStrictEqual(report.slice(1).map(line => line.split(',')[0]), ['12', '1202']);
+});
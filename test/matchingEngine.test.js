@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMatchingEngine, normalizeSignals } = require('../utils/matchingEngine');
+
+// GSMA search that resolves close names to one record, as a fuzzy search can
+const IPHONE_X = { standardised_full_name: 'Apple iPhone X', standardised_manufacturer: 'Apple', euicc: 'false' };
+const engine = createMatchingEngine({
+  searchDevice: term => (/iphone x/i.test(term) ? IPHONE_X : null),
+  fallbackSearch: () => null,
+  advancedDeviceMatch: () => null,
+  resolveModelAlias: () => null
+});
+
+test('candidates sharing a GSMA record stay apart and are filtered by OS version one by one', () => {
+  const verdict = engine.match(normalizeSignals({
+    serverData: { deviceBrand: 'Apple', deviceModel: 'iPhone', os: 'iOS', osVersion: '18.0' },
+    screenWidth: 375,
+    screenHeight: 812,
+    pixelRatio: 3
+  }));
+
+  const models = verdict.candidates.map(candidate => candidate.model);
+  assert.ok(models.includes('iPhone XS'));
+  assert.ok(!models.includes('iPhone X'));
+});
+
+test('records of the fallback list are not reported as GSMA matches', () => {
+  const noDatabase = createMatchingEngine({
+    searchDevice: () => null,
+    advancedDeviceMatch: () => null,
+    resolveModelAlias: () => null
+  });
+  const verdict = noDatabase.match(normalizeSignals({
+    serverData: { deviceBrand: 'Apple', deviceModel: 'iPhone', os: 'iOS', osVersion: '17.0' },
+    screenWidth: 390,
+    screenHeight: 844,
+    pixelRatio: 3
+  }));
+
+  assert.deepStrictEqual(verdict.gsmaMatches, []);
+  assert.strictEqual(verdict.gsmaRecord.source, 'fallback');
+  assert.strictEqual(verdict.eSIMDecision.source, 'fallback');
+  assert.ok(verdict.candidates.every(candidate => candidate.eSIMSource === 'fallback' && candidate.gsmaName === null));
+});
+
+test('the iPhone fallback rule gives each candidate its own eSIM status', () => {
+  const noDatabase = createMatchingEngine({
+    searchDevice: () => null,
+    advancedDeviceMatch: () => null,
+    fallbackSearch: () => null,
+    resolveModelAlias: () => null
+  });
+  const verdict = noDatabase.match(normalizeSignals({
+    serverData: { deviceBrand: 'Apple', deviceModel: 'iPhone', os: 'iOS', osVersion: '15.0' },
+    screenWidth: 375,
+    screenHeight: 812,
+    pixelRatio: 3
+  }));
+
+  const statuses = Object.fromEntries(verdict.candidates.map(candidate => [candidate.model, candidate.eSIMCompatible]));
+  assert.deepStrictEqual(statuses, { 'iPhone X': false, 'iPhone XS': true, 'iPhone 11 Pro': true });
+  // The possible models disagree: the verdict does not claim eSIM
+  assert.strictEqual(verdict.eSIMCompatible, null);
+});
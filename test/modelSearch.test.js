@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeModelTokens, expandToken, scoreName } = require('../utils/modelSearch');
+
+const CATALOG = [
+  'Samsung Galaxy S23',
+  'Samsung Galaxy S23 Ultra',
+  'Apple iPhone 13',
+  'Apple iPhone 13 mini'
+];
+const VOCABULARY = [...new Set(CATALOG.flatMap(normalizeModelTokens))];
+
+/**
+ * Score every catalog name against a query, best first (as searchDeviceCandidates ranks them)
+ */
+function search(query, options) {
+  const queryTokens = normalizeModelTokens(query);
+  const expansions = queryTokens.map(token => expandToken(token, VOCABULARY));
+  return CATALOG
+    .map(name => ({ name, ...scoreName(expansions, queryTokens, normalizeModelTokens(name), options) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+test('strict variants: a variant in the query is not resolved to the base model', () => {
+  const scores = search('Samsung Galaxy S23 Ultra', { strictVariants: true });
+  assert.strictEqual(scores[0].name, 'Samsung Galaxy S23 Ultra');
+  assert.strictEqual(scores.find(item => item.name === 'Samsung Galaxy S23').score, 0);
+});
+
+test('strict variants: a base model query is not resolved to a variant', () => {
+  const scores = search('iPhone 13', { strictVariants: true });
+  assert.strictEqual(scores[0].name, 'Apple iPhone 13');
+  assert.strictEqual(scores.find(item => item.name === 'Apple iPhone 13 mini').score, 0);
+  assert.deepStrictEqual(scores.find(item => item.name === 'Apple iPhone 13 mini').missingVariants, ['mini']);
+});
+
+test('strict variants: an unknown variant does not fall back to another model', () => {
+  const scores = search('iPhone 13 Pro', { strictVariants: true });
+  assert.ok(scores.every(item => item.score === 0));
+});
+
+test('without strict variants, related models keep a partial score (catalog search)', () => {
+  const scores = search('Samsung Galaxy S23 Ultra');
+  assert.strictEqual(scores[0].name, 'Samsung Galaxy S23 Ultra');
+  assert.ok(scores.find(item => item.name === 'Samsung Galaxy S23').score > 0);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The scans database lives in DATA_DIR: use a throwaway one
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scan-import-'));
+process.env.DATA_DIR = dataDir;
+const { initDatabase, closeDatabase } = require('../utils/database');
+const { importScans, getScanByInternalId } = require('../utils/scanRepository');
+
+initDatabase();
+test.after(() => {
+  closeDatabase();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('flags stored as strings are parsed, not converted by truthiness', () => {
+  const result = importScans([{
+    internalId: 'flags-1',
+    scanId: 'legacy',
+    timestamp: '2024-01-01T00:00:00.000Z',
+    eSIMCompatible: 'false',
+    isResolutionBased: 'true',
+    eSIMFallback: '0',
+    batteryCharging: '1',
+    mediaQueries: { isP3: 'False', isHDR: 'maybe' }
+  }]);
+  assert.strictEqual(result.imported, 1);
+
+  const scan = getScanByInternalId('flags-1');
+  assert.strictEqual(scan.eSIMCompatible, false);
+  assert.strictEqual(scan.isResolutionBased, true);
+  assert.strictEqual(scan.eSIMFallback, false);
+  assert.strictEqual(scan.batteryCharging, true);
+  assert.strictEqual(scan.mediaQueries.isP3, false);
+  assert.strictEqual(scan.mediaQueries.isHDR, null);
+});
+
+test('an object in a text column is stored as JSON instead of aborting the import', () => {
+  const result = importScans([
+    {
+      internalId: 'object-1',
+      scanId: 'legacy',
+      timestamp: '2024-01-01T00:00:00.000Z',
+      deducedModel: { name: 'iPhone 13' },
+      gsmaData: { standardisedFullName: 'Apple iPhone 13', bands: ['B1', 'B3'] }
+    },
+    { internalId: 'object-2', scanId: 'legacy', timestamp: '2024-01-02T00:00:00.000Z' }
+  ]);
+  assert.strictEqual(result.imported, 2);
+
+  const scan = getScanByInternalId('object-1');
+  assert.strictEqual(scan.deducedModel, '{"name":"iPhone 13"}');
+  assert.strictEqual(scan.gsmaData.bands, '["B1","B3"]');
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { openScanSession, getScanSession, pruneSessions, SESSION_TTL_MS, MAX_SESSIONS } = require('../utils/scanSessions');
+
+test('a visit session is only found for its own scan ID', () => {
+  const token = openScanSession('scan-1', { serverData: { deviceModel: 'Pixel 8' } });
+  assert.strictEqual(getScanSession(token, 'scan-1').serverData.deviceModel, 'Pixel 8');
+  assert.strictEqual(getScanSession(token, 'scan-2'), null);
+  assert.strictEqual(getScanSession('unknown', 'scan-1'), null);
+  assert.strictEqual(getScanSession(undefined, 'scan-1'), null);
+});
+
+test('visitors of the same ad-hoc scan ID get their own session', () => {
+  const first = openScanSession('shared', { serverData: { deviceModel: 'Pixel 8' } });
+  const second = openScanSession('shared', { serverData: { deviceModel: 'iPhone' } });
+  assert.notStrictEqual(first, second);
+  assert.strictEqual(getScanSession(first, 'shared').serverData.deviceModel, 'Pixel 8');
+});
+
+test('expired sessions are swept without being accessed', () => {
+  const token = openScanSession('scan-expired', { serverData: {} });
+  pruneSessions(Date.now() + SESSION_TTL_MS + 1);
+  assert.strictEqual(getScanSession(token, 'scan-expired'), null);
+});
+
+test('the oldest sessions are dropped beyond MAX_SESSIONS', () => {
+  const oldest = openScanSession('scan-oldest', { serverData: {} });
+  let newest = null;
+  for (let i = 0; i < MAX_SESSIONS; i++) {
+    newest = openScanSession(`scan-${i}`, { serverData: {} });
+  }
+  assert.strictEqual(getScanSession(oldest, 'scan-oldest'), null);
+  assert.notStrictEqual(getScanSession(newest, `scan-${MAX_SESSIONS - 1}`), null);
+});
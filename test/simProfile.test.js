@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildSIMProfile } = require('../utils/simProfile');
+
+const CHINA = { timezone: 'Asia/Shanghai', acceptLanguage: 'zh-CN,zh;q=0.9' };
+
+/**
+ * Verdict of one candidate model with the eSIM status decided by the engine
+ */
+function verdictOf(model, eSIMCompatible, eSIMSource = 'gsma') {
+  return {
+    eSIMCompatible: eSIMCompatible,
+    candidates: [{ model: model, gsmaName: `Apple ${model}`, simslot: null, eSIMCompatible: eSIMCompatible, eSIMSource: eSIMSource }]
+  };
+}
+
+test('a China iPhone has two physical slots and no eSIM', () => {
+  const profile = buildSIMProfile(CHINA, verdictOf('iPhone 13', false, 'regional'));
+  assert.strictEqual(profile.physicalSlots, 2);
+  assert.strictEqual(profile.esim, false);
+  assert.strictEqual(profile.dualESIM, false);
+  assert.strictEqual(profile.dsds, true);
+  assert.strictEqual(profile.regionalVariant.applied, true);
+  assert.ok(profile.sources.includes('regional'));
+});
+
+test('a single slot without eSIM is not dual SIM', () => {
+  const profile = buildSIMProfile({}, verdictOf('iPhone 13', false));
+  assert.strictEqual(profile.physicalSlots, 1);
+  assert.strictEqual(profile.dsds, false);
+  assert.strictEqual(profile.dualESIM, false);
+});
+
+test('the regional source is only listed when a variant applies', () => {
+  const profile = buildSIMProfile({ timezone: 'Asia/Shanghai' }, verdictOf('iPhone 13', null, 'regional'));
+  assert.strictEqual(profile.regionalVariant.applied, false);
+  assert.ok(!profile.sources.includes('regional'));
+  assert.strictEqual(profile.physicalSlots, null);
+});
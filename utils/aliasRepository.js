@@ -0,0 +1,351 @@
+const { prepareStatement, getDatabase } = require('./database');
+const { readDelimited } = require('./delimited');
+const { findModelName } = require('./gsmaDatabase');
+
+const ALIAS_KINDS = ['model_code', 'codename'];
+const ALIAS_SOURCES = ['manual', 'csv'];
+
+const MAX_CODE_LENGTH = 64;
+const MAX_NAME_LENGTH = 200;
+// Characters a prefix pattern must keep before its '*' ("SM-S9*" is fine, "S*" would catch everything)
+const MIN_PREFIX_LENGTH = 4;
+
+// Columns of an alias CSV file (header line required, extra columns are ignored)
+const CSV_COLUMNS = ['code', 'gsma_name', 'manufacturer', 'kind'];
+
+/**
+ * Convert a model_aliases row to an alias object
+ */
+function rowToAlias(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    id: row.id,
+    code: row.code,
+    gsmaName: row.gsma_name,
+    manufacturer: row.manufacturer,
+    kind: row.kind,
+    source: row.source,
+    prefix: row.code_key.endsWith('*'),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Trim a string value (empty strings become null, as sent by HTML forms)
+ */
+function emptyToNull(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const text = String(value).trim();
+  return text === '' ? null : text;
+}
+
+/**
+ * Normalize a model code for lookups: lowercase, single spaces
+ */
+function normalizeCode(code) {
+  return String(code).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Validate and normalize alias input (form body, API JSON or CSV row)
+ * The GSMA name is checked against the GSMA database when it is available, and takes its exact spelling
+ * @param {Object} input - { code, gsmaName, manufacturer, kind }
+ * @returns {Object} { values, errors } - values with codeKey, errors as strings
+ */
+function validateAlias(input) {
+  const errors = [];
+  const values = {
+    code: emptyToNull(input.code),
+    gsmaName: emptyToNull(input.gsmaName),
+    manufacturer: emptyToNull(input.manufacturer),
+    kind: emptyToNull(input.kind) || 'model_code',
+    codeKey: null
+  };
+
+  if (!values.code) {
+    errors.push('Le code est obligatoire');
+  } else if (values.code.length > MAX_CODE_LENGTH) {
+    errors.push(`Le code ne doit pas dépasser ${MAX_CODE_LENGTH} caractères`);
+  } else if (values.code.slice(0, -1).includes('*')) {
+    errors.push('Le caractère * n\'est accepté qu\'en fin de code (préfixe)');
+  } else if (values.code.endsWith('*') && values.code.length - 1 < MIN_PREFIX_LENGTH) {
+    errors.push(`Un préfixe doit compter au moins ${MIN_PREFIX_LENGTH} caractères avant *`);
+  } else {
+    values.codeKey = normalizeCode(values.code);
+  }
+
+  if (!values.gsmaName) {
+    errors.push('Le nom GSMA est obligatoire');
+  } else if (values.gsmaName.length > MAX_NAME_LENGTH) {
+    errors.push(`Le nom GSMA ne doit pas dépasser ${MAX_NAME_LENGTH} caractères`);
+  } else {
+    const name = findModelName(values.gsmaName);
+    if (name === null) {
+      errors.push(`« ${values.gsmaName} » n'est pas un nom de la base GSMA`);
+    } else if (name) {
+      values.gsmaName = name;
+    }
+  }
+
+  if (values.manufacturer && values.manufacturer.length > MAX_NAME_LENGTH) {
+    errors.push(`Le fabricant ne doit pas dépasser ${MAX_NAME_LENGTH} caractères`);
+  }
+
+  if (!ALIAS_KINDS.includes(values.kind)) {
+    errors.push(`Type invalide (valeurs possibles : ${ALIAS_KINDS.join(', ')})`);
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Get an alias by ID
+ * @param {number} id - Alias ID
+ * @returns {Object|null} Alias or null
+ */
+function getAlias(id) {
+  return rowToAlias(prepareStatement('SELECT * FROM model_aliases WHERE id = ?').get(id));
+}
+
+/**
+ * Get the aliases, sorted by GSMA name then code
+ * @param {Object} filters - { q } matched against the code, GSMA name and manufacturer
+ * @returns {Array} Aliases
+ */
+function getAliases(filters = {}) {
+  const q = emptyToNull(filters.q);
+  if (!q) {
+    return prepareStatement('SELECT * FROM model_aliases ORDER BY gsma_name, code_key').all().map(rowToAlias);
+  }
+
+  const pattern = `%${q.toLowerCase().replace(/[\\%_]/g, char => `\\${char}`)}%`;
+  return prepareStatement(`
+    SELECT * FROM model_aliases
+    WHERE code_key LIKE ? ESCAPE '\\' OR LOWER(gsma_name) LIKE ? ESCAPE '\\' OR LOWER(manufacturer) LIKE ? ESCAPE '\\'
+    ORDER BY gsma_name, code_key
+  `).all(pattern, pattern, pattern).map(rowToAlias);
+}
+
+/**
+ * Count the aliases
+ */
+function countAliases() {
+  return prepareStatement('SELECT COUNT(*) AS count FROM model_aliases').get().count;
+}
+
+/**
+ * Insert or update the alias of a code (validated values)
+ * @returns {Object} { alias, created }
+ */
+function saveAlias(values, source) {
+  const existing = prepareStatement('SELECT id FROM model_aliases WHERE code_key = ?').get(values.codeKey);
+  if (existing) {
+    prepareStatement(`
+      UPDATE model_aliases
+      SET code = ?, gsma_name = ?, manufacturer = ?, kind = ?, source = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(values.code, values.gsmaName, values.manufacturer, values.kind, source, existing.id);
+    return { alias: getAlias(existing.id), created: false };
+  }
+
+  const result = prepareStatement(`
+    INSERT INTO model_aliases (code, code_key, gsma_name, manufacturer, kind, source)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(values.code, values.codeKey, values.gsmaName, values.manufacturer, values.kind, source);
+  return { alias: getAlias(result.lastInsertRowid), created: true };
+}
+
+/**
+ * Create an alias
+ * @param {Object} input - Alias fields
+ * @returns {Object} { alias, errors } - alias is null if input is invalid or the code already has an alias
+ */
+function createAlias(input) {
+  const { values, errors } = validateAlias(input);
+  if (errors.length > 0) {
+    return { alias: null, errors };
+  }
+
+  if (prepareStatement('SELECT 1 FROM model_aliases WHERE code_key = ?').get(values.codeKey)) {
+    return { alias: null, errors: [`Le code « ${values.code} » a déjà un alias`] };
+  }
+
+  return { alias: saveAlias(values, 'manual').alias, errors: [] };
+}
+
+/**
+ * Update an alias (fields missing from input keep their current value)
+ * @param {number} id - Alias ID
+ * @param {Object} input - Alias fields to change
+ * @returns {Object} { alias, errors } - alias is null if not found or input is invalid
+ */
+function updateAlias(id, input) {
+  const existing = getAlias(id);
+  if (!existing) {
+    return { alias: null, errors: [] };
+  }
+
+  const merged = {};
+  for (const field of ['code', 'gsmaName', 'manufacturer', 'kind']) {
+    merged[field] = input[field] !== undefined ? input[field] : existing[field];
+  }
+
+  const { values, errors } = validateAlias(merged);
+  if (errors.length > 0) {
+    return { alias: null, errors };
+  }
+
+  const other = prepareStatement('SELECT id FROM model_aliases WHERE code_key = ? AND id != ?').get(values.codeKey, id);
+  if (other) {
+    return { alias: null, errors: [`Le code « ${values.code} » a déjà un alias`] };
+  }
+
+  prepareStatement(`
+    UPDATE model_aliases
+    SET code = ?, code_key = ?, gsma_name = ?, manufacturer = ?, kind = ?, source = 'manual', updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(values.code, values.codeKey, values.gsmaName, values.manufacturer, values.kind, id);
+
+  return { alias: getAlias(id), errors: [] };
+}
+
+/**
+ * Delete an alias
+ * @param {number} id - Alias ID
+ * @returns {boolean} True if the alias existed
+ */
+function deleteAlias(id) {
+  return prepareStatement('DELETE FROM model_aliases WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * Import aliases from a CSV file (header: code, gsma_name, manufacturer, kind; delimiter detected)
+ * Codes that already have an alias are updated. Invalid rows are reported, the others are imported.
+ * @param {Readable} input - Byte stream (file, stdin, form text)
+ * @returns {Promise<Object>} { total, imported, updated, rejected: [{ line, error }] }
+ */
+async function importAliases(input) {
+  const rows = [];
+  const rejected = [];
+  let header = null;
+
+  for await (const record of readDelimited(input, { delimiter: 'auto' })) {
+    if (!header) {
+      if (record.error) {
+        throw new Error(`Ligne d'en-tête ${record.line} invalide : guillemet non fermé`);
+      }
+      header = record.fields.map(field => field.trim().toLowerCase());
+      const missing = CSV_COLUMNS.slice(0, 2).filter(column => !header.includes(column));
+      if (missing.length > 0) {
+        throw new Error(`Colonne(s) manquante(s) dans l'en-tête : ${missing.join(', ')}`);
+      }
+      continue;
+    }
+
+    if (record.error) {
+      rejected.push({ line: record.line, error: 'Guillemet non fermé' });
+      continue;
+    }
+
+    const field = column => header.includes(column) ? record.fields[header.indexOf(column)] : undefined;
+    const input = {
+      code: field('code'),
+      gsmaName: field('gsma_name'),
+      manufacturer: field('manufacturer'),
+      kind: field('kind')
+    };
+
+    // Optional columns missing from the file keep the current values of known codes
+    const existing = emptyToNull(input.code)
+      ? rowToAlias(prepareStatement('SELECT * FROM model_aliases WHERE code_key = ?').get(normalizeCode(input.code)))
+      : null;
+    for (const key of ['manufacturer', 'kind']) {
+      if (input[key] === undefined && existing) {
+        input[key] = existing[key];
+      }
+    }
+
+    const { values, errors } = validateAlias(input);
+    if (errors.length > 0) {
+      rejected.push({ line: record.line, error: errors.join(', ') });
+    } else {
+      rows.push(values);
+    }
+  }
+  if (!header) {
+    throw new Error('Fichier vide (pas de ligne d\'en-tête)');
+  }
+
+  let imported = 0;
+  let updated = 0;
+  getDatabase().transaction(() => {
+    for (const values of rows) {
+      if (saveAlias(values, 'csv').created) {
+        imported++;
+      } else {
+        updated++;
+      }
+    }
+  })();
+
+  return { total: rows.length + rejected.length, imported, updated, rejected };
+}
+
+/**
+ * Find the alias of a model code or codename, as reported by the User-Agent or Client Hints
+ * The whole term is tried first, then without its leading words ("Samsung SM-S911B" -> "SM-S911B"),
+ * then the longest prefix pattern ("SM-S911*")
+ * @param {string} term - Model, optionally preceded by its brand
+ * @returns {Object|null} Alias or null
+ */
+function resolveModelAlias(term) {
+  if (!term || !String(term).trim()) {
+    return null;
+  }
+
+  const words = normalizeCode(term).split(' ');
+  const keys = words.map((word, index) => words.slice(index).join(' '));
+
+  for (const key of keys) {
+    const exact = prepareStatement('SELECT * FROM model_aliases WHERE code_key = ?').get(key);
+    if (exact) {
+      return rowToAlias(exact);
+    }
+  }
+
+  for (const key of keys) {
+    const prefix = prepareStatement(`
+      SELECT * FROM model_aliases
+      WHERE code_key LIKE '%*' AND substr(?, 1, length(code_key) - 1) = substr(code_key, 1, length(code_key) - 1)
+      ORDER BY length(code_key) DESC
+      LIMIT 1
+    `).get(key);
+    if (prefix) {
+      return rowToAlias(prefix);
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  getAlias,
+  getAliases,
+  countAliases,
+  createAlias,
+  updateAlias,
+  deleteAlias,
+  importAliases,
+  resolveModelAlias,
+  validateAlias,
+  normalizeCode,
+  ALIAS_KINDS,
+  ALIAS_SOURCES,
+  CSV_COLUMNS
+};
@@ -0,0 +1,212 @@
+const { prepareStatement } = require('./database');
+const { MODEL_EXPRESSION, BRAND_EXPRESSION } = require('./scanRepository');
+
+// Number of rows kept in the split tables (the rest is grouped as "other")
+const TOP_LIMIT = 10;
+
+// Scans over time are grouped by day up to this span, by month beyond
+const MAX_DAILY_BUCKETS = 90;
+
+// Confidence bands, same thresholds as the /scans badges
+const CONFIDENCE_BANDS = [
+  { key: 'high', label: 'High (≥80%)', min: 80, max: 100 },
+  { key: 'medium', label: 'Medium (60-79%)', min: 60, max: 79 },
+  { key: 'low', label: 'Low (1-59%)', min: 1, max: 59 },
+  { key: 'none', label: 'None', min: null, max: 0 }
+];
+
+/**
+ * Build the WHERE clause of an analytics filter
+ * @param {Object} filter - { campaignId, scanId }
+ * @returns {Object} { where, params }
+ */
+function buildWhere(filter = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (filter.campaignId) {
+    conditions.push('campaign_id = ?');
+    params.push(filter.campaignId);
+  }
+  if (filter.scanId) {
+    conditions.push('scan_id = ?');
+    params.push(filter.scanId);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params: params
+  };
+}
+
+/**
+ * Add a condition to a WHERE clause
+ */
+function andWhere(where, condition) {
+  return where ? `${where} AND ${condition}` : `WHERE ${condition}`;
+}
+
+/**
+ * Percentage of a total, rounded to one decimal
+ */
+function rate(count, total) {
+  return total > 0 ? Math.round((count / total) * 1000) / 10 : 0;
+}
+
+/**
+ * Count scans grouped by an expression, top values first
+ * Null values are reported as "Unknown", values beyond TOP_LIMIT as "Other"
+ */
+function splitBy(expression, where, params, total) {
+  const rows = prepareStatement(`
+    SELECT ${expression} AS value, COUNT(*) AS count
+    FROM scans ${where}
+    GROUP BY value
+    ORDER BY count DESC, value ASC
+  `).all(...params);
+
+  const known = rows.filter(row => row.value !== null);
+  const unknownCount = rows.filter(row => row.value === null).reduce((sum, row) => sum + row.count, 0);
+  const top = known.slice(0, TOP_LIMIT);
+  const otherCount = known.slice(TOP_LIMIT).reduce((sum, row) => sum + row.count, 0);
+
+  const split = top.map(row => ({ label: row.value, count: row.count, rate: rate(row.count, total) }));
+  if (otherCount > 0) {
+    split.push({ label: 'Other', count: otherCount, rate: rate(otherCount, total), isOther: true });
+  }
+  if (unknownCount > 0) {
+    split.push({ label: 'Unknown', count: unknownCount, rate: rate(unknownCount, total), isUnknown: true });
+  }
+  return split;
+}
+
+/**
+ * Format a UTC date as YYYY-MM-DD
+ */
+function toDay(date) {
+  return date.toISOString().substring(0, 10);
+}
+
+/**
+ * Scans per day (or per month for long periods), with empty periods filled in
+ */
+function scansOverTime(where, params, firstScan, lastScan) {
+  if (!firstScan || !lastScan) {
+    return { granularity: 'day', buckets: [] };
+  }
+
+  const first = new Date(firstScan);
+  const last = new Date(lastScan);
+  const spanDays = Math.round((Date.parse(toDay(last)) - Date.parse(toDay(first))) / 86400000) + 1;
+  const granularity = spanDays > MAX_DAILY_BUCKETS ? 'month' : 'day';
+  const length = granularity === 'day' ? 10 : 7;
+
+  const counts = new Map(prepareStatement(`
+    SELECT substr(timestamp, 1, ${length}) AS period, COUNT(*) AS count
+    FROM scans ${where}
+    GROUP BY period
+  `).all(...params).map(row => [row.period, row.count]));
+
+  const buckets = [];
+  const cursor = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), granularity === 'day' ? first.getUTCDate() : 1));
+  while (cursor <= last) {
+    const period = toDay(cursor).substring(0, length);
+    buckets.push({ period: period, count: counts.get(period) || 0 });
+    if (granularity === 'day') {
+      cursor.setUTCDate(cursor.getUTCDate() + 1);
+    } else {
+      cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    }
+  }
+
+  return { granularity, buckets };
+}
+
+/**
+ * Compute the analytics of stored scans
+ * @param {Object} filter - { campaignId, scanId } (both optional, none = all scans)
+ * @returns {Object} Aggregated statistics
+ */
+function getAnalytics(filter = {}) {
+  const { where, params } = buildWhere(filter);
+
+  const summary = prepareStatement(`
+    SELECT
+      COUNT(*) AS total,
+      MIN(timestamp) AS first_scan,
+      MAX(timestamp) AS last_scan,
+      SUM(CASE WHEN esim_compatible = 1 THEN 1 ELSE 0 END) AS esim_yes,
+      SUM(CASE WHEN esim_compatible = 0 THEN 1 ELSE 0 END) AS esim_no,
+      SUM(CASE WHEN esim_compatible IS NULL THEN 1 ELSE 0 END) AS esim_unknown,
+      SUM(CASE WHEN match_strategy IS NULL THEN 1 ELSE 0 END) AS unmatched,
+      SUM(CASE WHEN ${MODEL_EXPRESSION} IS NULL THEN 1 ELSE 0 END) AS unknown_model,
+      AVG(CASE WHEN match_confidence > 0 THEN match_confidence END) AS average_confidence
+    FROM scans ${where}
+  `).get(...params);
+
+  const total = summary.total;
+
+  const confidenceRows = prepareStatement(`
+    SELECT COALESCE(match_confidence, 0) AS confidence, COUNT(*) AS count
+    FROM scans ${where}
+    GROUP BY confidence
+  `).all(...params);
+
+  const confidence = CONFIDENCE_BANDS.map(band => {
+    const count = confidenceRows
+      .filter(row => row.confidence <= band.max && (band.min === null || row.confidence >= band.min))
+      .reduce((sum, row) => sum + row.count, 0);
+    return { key: band.key, label: band.label, count: count, rate: rate(count, total) };
+  });
+
+  // Signatures no strategy recognized: candidates for new fingerprint rules
+  const unrecognizedSignatures = prepareStatement(`
+    SELECT hardware_signature AS signature, COUNT(*) AS count, MAX(timestamp) AS last_seen,
+           MAX(device_brand) AS device_brand, MAX(os) AS os
+    FROM scans ${andWhere(where, 'match_strategy IS NULL AND hardware_signature IS NOT NULL')}
+    GROUP BY hardware_signature
+    ORDER BY count DESC, last_seen DESC
+    LIMIT ${TOP_LIMIT}
+  `).all(...params).map(row => ({
+    signature: row.signature,
+    count: row.count,
+    lastSeen: row.last_seen,
+    deviceBrand: row.device_brand,
+    os: row.os
+  }));
+
+  return {
+    filter: { campaignId: filter.campaignId || null, scanId: filter.scanId || null },
+    total: total,
+    firstScan: summary.first_scan,
+    lastScan: summary.last_scan,
+    scansOverTime: scansOverTime(where, params, summary.first_scan, summary.last_scan),
+    byOS: splitBy('os', where, params, total),
+    byBrand: splitBy(BRAND_EXPRESSION, where, params, total),
+    byModel: splitBy(MODEL_EXPRESSION, where, params, total),
+    eSIM: {
+      compatible: summary.esim_yes || 0,
+      notCompatible: summary.esim_no || 0,
+      unknown: summary.esim_unknown || 0,
+      compatibleRate: rate(summary.esim_yes || 0, total),
+      // Rate among scans whose eSIM status could be decided
+      compatibleRateKnown: rate(summary.esim_yes || 0, (summary.esim_yes || 0) + (summary.esim_no || 0))
+    },
+    confidence: {
+      average: summary.average_confidence === null ? null : Math.round(summary.average_confidence),
+      bands: confidence
+    },
+    unmatched: {
+      count: summary.unmatched || 0,
+      rate: rate(summary.unmatched || 0, total),
+      unknownModelCount: summary.unknown_model || 0,
+      unknownModelRate: rate(summary.unknown_model || 0, total)
+    },
+    unrecognizedSignatures: unrecognizedSignatures
+  };
+}
+
+module.exports = {
+  getAnalytics,
+  CONFIDENCE_BANDS
+};
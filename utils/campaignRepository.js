@@ -0,0 +1,246 @@
+const { prepareStatement } = require('./database');
+
+const CAMPAIGN_STATUSES = ['active', 'paused'];
+const CAMPAIGN_MODES = ['result', 'redirect'];
+
+const MAX_NAME_LENGTH = 100;
+const MAX_LANDING_TEXT_LENGTH = 500;
+
+// Editable campaign fields and their columns
+const CAMPAIGN_FIELDS = {
+  name: 'name',
+  redirectUrl: 'redirect_url',
+  mode: 'mode',
+  expiresAt: 'expires_at',
+  scanLimit: 'scan_limit',
+  landingText: 'landing_text',
+  status: 'status'
+};
+
+// Campaign query with its number of scans
+const SELECT_CAMPAIGN = `
+  SELECT c.*, (SELECT COUNT(*) FROM scans s WHERE s.campaign_id = c.id) AS scan_count
+  FROM campaigns c
+`;
+
+/**
+ * Convert a campaigns row to a campaign object
+ */
+function rowToCampaign(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    id: row.id,
+    name: row.name,
+    redirectUrl: row.redirect_url,
+    mode: row.mode,
+    expiresAt: row.expires_at,
+    scanLimit: row.scan_limit,
+    landingText: row.landing_text,
+    status: row.status,
+    scanCount: row.scan_count || 0,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Trim a string value (empty strings become null, as sent by HTML forms)
+ */
+function emptyToNull(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const text = String(value).trim();
+  return text === '' ? null : text;
+}
+
+/**
+ * Validate and normalize campaign input (form body or API JSON)
+ * @param {Object} input - Campaign fields
+ * @returns {Object} { values, errors } - values in CAMPAIGN_FIELDS shape, errors as strings
+ */
+function validateCampaign(input) {
+  const errors = [];
+  const values = {
+    name: emptyToNull(input.name),
+    redirectUrl: emptyToNull(input.redirectUrl),
+    mode: emptyToNull(input.mode),
+    expiresAt: emptyToNull(input.expiresAt),
+    scanLimit: emptyToNull(input.scanLimit),
+    landingText: emptyToNull(input.landingText),
+    status: emptyToNull(input.status) || 'active'
+  };
+
+  if (!values.name) {
+    errors.push('Le nom est obligatoire');
+  } else if (values.name.length > MAX_NAME_LENGTH) {
+    errors.push(`Le nom ne doit pas dépasser ${MAX_NAME_LENGTH} caractères`);
+  }
+
+  if (values.redirectUrl) {
+    let url = null;
+    try {
+      url = new URL(values.redirectUrl);
+    } catch (error) {
+      // Reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      errors.push('L\'URL de destination doit commencer par http:// ou https://');
+    }
+  }
+
+  if (values.mode && !CAMPAIGN_MODES.includes(values.mode)) {
+    errors.push(`Mode invalide (valeurs possibles : ${CAMPAIGN_MODES.join(', ')})`);
+  }
+
+  if (values.expiresAt) {
+    const expiresAt = new Date(values.expiresAt);
+    if (isNaN(expiresAt.getTime())) {
+      errors.push('Date d\'expiration invalide');
+    } else {
+      values.expiresAt = expiresAt.toISOString();
+    }
+  }
+
+  if (values.scanLimit !== null) {
+    const scanLimit = Number(values.scanLimit);
+    if (!Number.isInteger(scanLimit) || scanLimit < 1) {
+      errors.push('La limite de scans doit être un entier positif');
+    } else {
+      values.scanLimit = scanLimit;
+    }
+  }
+
+  if (values.landingText && values.landingText.length > MAX_LANDING_TEXT_LENGTH) {
+    errors.push(`Le texte d'accueil ne doit pas dépasser ${MAX_LANDING_TEXT_LENGTH} caractères`);
+  }
+
+  if (!CAMPAIGN_STATUSES.includes(values.status)) {
+    errors.push(`Statut invalide (valeurs possibles : ${CAMPAIGN_STATUSES.join(', ')})`);
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Generate a campaign ID (used in the QR code URL /s/:id)
+ */
+function generateCampaignId() {
+  let id;
+  do {
+    id = `camp-${Math.random().toString(36).substring(2, 10)}`;
+  } while (prepareStatement('SELECT 1 FROM campaigns WHERE id = ?').get(id));
+  return id;
+}
+
+/**
+ * Get a campaign by ID
+ * @param {string} id - Campaign ID
+ * @returns {Object|null} Campaign (with scanCount) or null
+ */
+function getCampaign(id) {
+  return rowToCampaign(prepareStatement(`${SELECT_CAMPAIGN} WHERE c.id = ?`).get(id));
+}
+
+/**
+ * Get all campaigns, newest first
+ * @returns {Array} Campaigns (with scanCount)
+ */
+function getAllCampaigns() {
+  return prepareStatement(`${SELECT_CAMPAIGN} ORDER BY c.created_at DESC, c.rowid DESC`).all().map(rowToCampaign);
+}
+
+/**
+ * Create a campaign
+ * @param {Object} input - Campaign fields
+ * @returns {Object} { campaign, errors } - campaign is null if input is invalid
+ */
+function createCampaign(input) {
+  const { values, errors } = validateCampaign(input);
+  if (errors.length > 0) {
+    return { campaign: null, errors };
+  }
+
+  const id = generateCampaignId();
+  const columns = Object.values(CAMPAIGN_FIELDS);
+  prepareStatement(`
+    INSERT INTO campaigns (id, ${columns.join(', ')})
+    VALUES (?, ${columns.map(() => '?').join(', ')})
+  `).run(id, ...Object.keys(CAMPAIGN_FIELDS).map(field => values[field]));
+
+  return { campaign: getCampaign(id), errors: [] };
+}
+
+/**
+ * Update a campaign (fields missing from input keep their current value)
+ * @param {string} id - Campaign ID
+ * @param {Object} input - Campaign fields to change
+ * @returns {Object} { campaign, errors } - campaign is null if not found or input is invalid
+ */
+function updateCampaign(id, input) {
+  const existing = getCampaign(id);
+  if (!existing) {
+    return { campaign: null, errors: [] };
+  }
+
+  const merged = {};
+  for (const field of Object.keys(CAMPAIGN_FIELDS)) {
+    merged[field] = input[field] !== undefined ? input[field] : existing[field];
+  }
+
+  const { values, errors } = validateCampaign(merged);
+  if (errors.length > 0) {
+    return { campaign: null, errors };
+  }
+
+  prepareStatement(`
+    UPDATE campaigns
+    SET ${Object.values(CAMPAIGN_FIELDS).map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(...Object.keys(CAMPAIGN_FIELDS).map(field => values[field]), id);
+
+  return { campaign: getCampaign(id), errors: [] };
+}
+
+/**
+ * Delete a campaign (its scans are kept, with their campaign ID)
+ * @param {string} id - Campaign ID
+ * @returns {boolean} True if the campaign existed
+ */
+function deleteCampaign(id) {
+  return prepareStatement('DELETE FROM campaigns WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * Check whether a campaign accepts new scans
+ * @param {Object} campaign - Campaign (with scanCount)
+ * @param {Date} now - Current date
+ * @returns {Object} { available, reason } - reason: 'paused' | 'expired' | 'limit_reached' | null
+ */
+function getCampaignAvailability(campaign, now = new Date()) {
+  if (campaign.status === 'paused') {
+    return { available: false, reason: 'paused' };
+  }
+  if (campaign.expiresAt && new Date(campaign.expiresAt) <= now) {
+    return { available: false, reason: 'expired' };
+  }
+  if (campaign.scanLimit && campaign.scanCount >= campaign.scanLimit) {
+    return { available: false, reason: 'limit_reached' };
+  }
+  return { available: true, reason: null };
+}
+
+module.exports = {
+  getCampaign,
+  getAllCampaigns,
+  createCampaign,
+  updateCampaign,
+  deleteCampaign,
+  getCampaignAvailability,
+  validateCampaign,
+  CAMPAIGN_STATUSES,
+  CAMPAIGN_MODES
+};
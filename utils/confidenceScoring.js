@@ -0,0 +1,320 @@
+const { findDeviceSpec, matchesDisplay, PIXEL_RATIO_TOLERANCE } = require('./deviceSpecs');
+const { findLifecycle, getObservedOSVersion, supportsOSVersion, describeSupport } = require('./deviceLifecycle');
+
+/**
+ * Weight of each piece of evidence, as log-odds added when the observed signal agrees (match)
+ * or disagrees (mismatch) with the verdict. Signals that were not observed add nothing.
+ * The score is the logistic of prior + weights, so the same score means the same thing for every strategy.
+ */
+const EVIDENCE_WEIGHTS = {
+  clientHintsModel: { match: 2.5, mismatch: -2.5 },
+  userAgentModel: { match: 2, mismatch: -2 },
+  platform: { match: 0.5, mismatch: -2 }, // OS / brand only (masked or generic User-Agent model)
+  gsma: { match: 0.5, mismatch: -0.5 }, // Verdict model found in the GSMA database
+  osVersion: { match: 0.3, mismatch: -2, narrowed: 1.5 }, // narrowed: the OS version ruled out all other candidates
+  gpu: { match: 1, mismatch: -1.5 },
+  resolution: { match: 1, mismatch: -1.5 },
+  pixelRatio: { match: 0.5, mismatch: -1 },
+  colorGamut: { match: 0.3, mismatch: -0.7 },
+  hdr: { match: 0.3, mismatch: -0.7 },
+  deviceMemory: { match: 0.3, mismatch: -1 },
+  hardwareConcurrency: { match: 0.3, mismatch: -1 }
+};
+
+// Prior of a verdict no fingerprint rule decided, and of rules without a confidence
+const DEFAULT_PRIOR_CONFIDENCE = 50;
+const DEFAULT_RULE_CONFIDENCE = 75;
+
+// Heuristic verdicts never claim certainty (100% is kept for exact TAC lookups)
+const MIN_SCORE = 1;
+const MAX_SCORE = 99;
+
+// User-Agent models that only name the platform ("K" is Chrome's reduced User-Agent)
+const GENERIC_MODELS = ['k', 'iphone', 'ipad'];
+
+// Signals that can tell two candidate models apart
+const CANDIDATE_SIGNALS = ['clientHintsModel', 'userAgentModel', 'gpu', 'resolution', 'pixelRatio', 'colorGamut', 'hdr', 'deviceMemory', 'hardwareConcurrency'];
+
+// navigator.deviceMemory is a power of two capped at 8 GB
+const MAX_REPORTED_MEMORY = 8;
+
+/**
+ * Normalize a device name for comparisons (lowercase, single spaces)
+ */
+function normalizeName(name) {
+  return (name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Check if two device names designate the same model, with or without the manufacturer prefix
+ * ("iPhone 13" and "Apple iPhone 13" match, "Galaxy S23" and "Galaxy S23 Ultra" do not)
+ */
+function sameModel(a, b) {
+  const first = normalizeName(a);
+  const second = normalizeName(b);
+  if (!first || !second) {
+    return false;
+  }
+  return first === second || first.endsWith(` ${second}`) || second.endsWith(` ${first}`);
+}
+
+/**
+ * Log-odds of a confidence (0-100), kept away from 0 and 100
+ */
+function logit(confidence) {
+  const p = Math.min(0.99, Math.max(0.01, confidence / 100));
+  return Math.log(p / (1 - p));
+}
+
+/**
+ * Probability (0-1) of log-odds
+ */
+function logistic(logOdds) {
+  return 1 / (1 + Math.exp(-logOdds));
+}
+
+/**
+ * Model names the verdict stands for (candidates and GSMA records)
+ */
+function getVerdictModels(verdict) {
+  const names = [
+    ...(verdict.candidateModels || []),
+    verdict.gsmaRecord?.standardised_full_name,
+    ...(verdict.gsmaMatches || []).map(record => record.standardised_full_name)
+  ].filter(Boolean);
+  return names.filter((name, index) => names.findIndex(other => sameModel(other, name)) === index);
+}
+
+/**
+ * Fingerprint rule that decided the verdict, with the signals it matched on
+ * @returns {Object|null} { id, confidence, signals }
+ */
+function getDecidingRule(verdict) {
+  if (verdict.signatureMatch) {
+    return { id: verdict.signatureMatch.id, confidence: verdict.signatureMatch.confidence, signals: ['gpu', 'resolution'] };
+  }
+  if (verdict.androidFingerprint) {
+    const rule = verdict.androidFingerprint;
+    return { id: rule.id, confidence: rule.confidence, signals: rule.pixelRatio ? ['gpu', 'resolution', 'pixelRatio'] : ['gpu', 'resolution'] };
+  }
+  if (verdict.iphoneFingerprint) {
+    return { id: verdict.iphoneFingerprint.id, confidence: verdict.iphoneFingerprint.confidence, signals: ['resolution', 'pixelRatio'] };
+  }
+  return null;
+}
+
+/**
+ * Compare a reported model name with the verdict models
+ * The name is looked up in GSMA when it is not one of the verdict names (e.g. "SM-S911B")
+ * @returns {Object|null} { result, expected } or null if the name cannot be compared
+ */
+function compareModel(name, brand, models, search) {
+  if (models.some(model => sameModel(model, name) || sameModel(model, `${brand || ''} ${name}`))) {
+    return { result: 'match', expected: null };
+  }
+  const record = (brand && search(`${brand} ${name}`)) || search(name);
+  if (!record) {
+    return null;
+  }
+  const resolved = record.standardised_full_name;
+  return {
+    result: models.some(model => sameModel(model, resolved)) ? 'match' : 'mismatch',
+    expected: resolved
+  };
+}
+
+/**
+ * Values navigator.deviceMemory can report for a RAM size (rounded to a power of two, capped)
+ */
+function reportedMemoryValues(ram) {
+  const lower = 2 ** Math.floor(Math.log2(ram));
+  const upper = 2 ** Math.ceil(Math.log2(ram));
+  // The OS keeps part of the RAM, so the next lower power of two is accepted as well
+  return [lower / 2, lower, upper].map(value => Math.min(MAX_REPORTED_MEMORY, value));
+}
+
+/**
+ * Compare the observed signals with a set of models (the signal matches if it matches any of them)
+ * @param {Object} signals - Normalized signals (see normalizeSignals in matchingEngine)
+ * @param {Array<string>} models - Model names
+ * @param {Object} context
+ * @param {Function} context.search - GSMA search by name, to resolve reported model names
+ * @param {Object} context.rule - Fingerprint rule that decided the verdict (its signals count as 'rule')
+ * @param {Object} context.gsmaRecord - GSMA record of the models (a record of the fallback list, source: 'fallback', is not one)
+ * @param {boolean} context.narrowed - The OS version left these models as the only candidate
+ * @returns {Array<Object>} Evidence [{ signal, result, weight, observed, expected }]
+ */
+function collectEvidence(signals, models, { search, rule = null, gsmaRecord = null, narrowed = false }) {
+  const evidence = [];
+  const add = (signal, result, observed, expected = null) => {
+    const weight = EVIDENCE_WEIGHTS[signal][result] || 0;
+    evidence.push({ signal, result, weight, observed, expected });
+  };
+
+  // Reported model names: Client Hints, then User-Agent (or the platform only when the model is generic)
+  if (signals.clientHints.model && !GENERIC_MODELS.includes(normalizeName(signals.clientHints.model))) {
+    const comparison = compareModel(signals.clientHints.model, signals.clientHints.brand, models, search);
+    add('clientHintsModel', comparison ? comparison.result : 'inconclusive', signals.clientHints.model, comparison?.expected);
+  }
+
+  const userAgentModel = signals.model && !GENERIC_MODELS.includes(normalizeName(signals.model)) ? signals.model : null;
+  const userAgentComparison = userAgentModel ? compareModel(userAgentModel, signals.brand, models, search) : null;
+  if (userAgentModel) {
+    add('userAgentModel', userAgentComparison ? userAgentComparison.result : 'inconclusive', [signals.brand, userAgentModel].filter(Boolean).join(' '), userAgentComparison?.expected);
+  }
+  if (!userAgentComparison && (signals.os || signals.brand)) {
+    const observedApple = normalizeName(signals.os) === 'ios' || normalizeName(signals.brand) === 'apple';
+    const expectedApple = models.every(model => /apple|iphone|ipad/i.test(model));
+    add('platform', observedApple === expectedApple ? 'match' : 'mismatch', signals.os || signals.brand, expectedApple ? 'iOS' : 'Android');
+  }
+
+  const inGSMA = Boolean(gsmaRecord) && gsmaRecord.source !== 'fallback';
+  add('gsma', inGSMA ? 'match' : 'mismatch', inGSMA ? gsmaRecord.standardised_full_name : null);
+
+  // Reported OS version against the support window of the models (any model can run it)
+  const observedOS = getObservedOSVersion(signals);
+  const lifecycles = observedOS
+    ? models.map(model => findLifecycle(model, gsmaRecord?.standardised_manufacturer)).filter(lifecycle => lifecycle && lifecycle.os === observedOS.platform)
+    : [];
+  if (lifecycles.length > 0) {
+    const supported = lifecycles.some(lifecycle => supportsOSVersion(lifecycle, observedOS));
+    // A frozen User-Agent version (a lower bound) fits most models, it only counts when it rules some out
+    const result = !supported ? 'mismatch' : narrowed ? 'narrowed' : observedOS.exact ? 'match' : 'inconclusive';
+    add('osVersion', result, `${observedOS.platform} ${observedOS.version}`,
+      lifecycles.length === 1 ? describeSupport(lifecycles[0]) : null);
+  }
+
+  // Hardware signals are compared with the reference specs of the models (any model can match)
+  const specs = models
+    .map(model => findDeviceSpec(model, gsmaRecord?.standardised_manufacturer))
+    .filter(Boolean);
+  const compareSpecs = (signal, observed, hasValue, matches) => {
+    if (observed === null || observed === undefined) {
+      return;
+    }
+    if (rule && rule.signals.includes(signal)) {
+      // Already accounted for by the confidence of the rule (the prior)
+      add(signal, 'rule', observed);
+      return;
+    }
+    const relevant = specs.filter(hasValue);
+    if (relevant.length === 0) {
+      return;
+    }
+    const results = relevant.map(spec => matches(spec));
+    const result = results.includes('match') ? 'match' : results.includes('mismatch') ? 'mismatch' : 'inconclusive';
+    add(signal, result, observed);
+  };
+  const asResult = value => value ? 'match' : 'mismatch';
+
+  compareSpecs('gpu', signals.gpuRenderer, spec => spec.gpu.length > 0,
+    spec => asResult(spec.gpu.some(gpu => normalizeName(signals.gpuRenderer).includes(gpu))));
+  compareSpecs('resolution', signals.screenWidth && signals.screenHeight ? `${signals.screenWidth}x${signals.screenHeight}` : null, () => true,
+    spec => asResult(matchesDisplay(spec, signals.screenWidth, signals.screenHeight)));
+  compareSpecs('pixelRatio', signals.pixelRatio, spec => spec.pixelRatio,
+    spec => asResult(Math.abs(spec.pixelRatio - signals.pixelRatio) <= PIXEL_RATIO_TOLERANCE));
+
+  // Media queries are only reported by collectors that ran them (missing keys add nothing)
+  const mediaQueries = signals.mediaQueries || {};
+  compareSpecs('colorGamut', typeof mediaQueries.isP3 === 'boolean' ? (mediaQueries.isP3 ? 'p3' : 'srgb') : null,
+    spec => typeof spec.p3 === 'boolean', spec => asResult(spec.p3 === mediaQueries.isP3));
+  compareSpecs('hdr', typeof mediaQueries.isHDR === 'boolean' ? mediaQueries.isHDR : null,
+    spec => typeof spec.hdr === 'boolean', spec => asResult(spec.hdr === mediaQueries.isHDR));
+
+  compareSpecs('deviceMemory', signals.deviceMemory, spec => spec.ram,
+    spec => asResult([].concat(spec.ram).some(ram => reportedMemoryValues(ram).includes(signals.deviceMemory))));
+  // Browsers may report fewer cores (cores taken offline), never more
+  compareSpecs('hardwareConcurrency', signals.hardwareConcurrency, spec => spec.cores, spec => {
+    const cores = [].concat(spec.cores);
+    if (cores.includes(signals.hardwareConcurrency)) {
+      return 'match';
+    }
+    return signals.hardwareConcurrency > Math.max(...cores) ? 'mismatch' : 'inconclusive';
+  });
+
+  return evidence;
+}
+
+/**
+ * Score how much the signals agree with a verdict
+ * @param {Object} signals - Normalized signals (see normalizeSignals in matchingEngine)
+ * @param {Object} verdict - Verdict built by the matching strategies
+ * @param {Object} deps - Lookups
+ * @param {Function} deps.search - GSMA search by name (term => record|null), to resolve reported model names
+ * @returns {Object} { score, logOdds, prior: { source, confidence }, evidence: [{ signal, result, weight, observed, expected }] }
+ */
+function scoreVerdict(signals, verdict, deps = {}) {
+  const models = getVerdictModels(verdict);
+  if (models.length === 0) {
+    return { score: 0, logOdds: null, prior: null, evidence: [] };
+  }
+
+  const rule = getDecidingRule(verdict);
+  const prior = rule
+    ? { source: `rule:${rule.id || verdict.strategy}`, confidence: rule.confidence || DEFAULT_RULE_CONFIDENCE }
+    : { source: 'default', confidence: DEFAULT_PRIOR_CONFIDENCE };
+
+  const evidence = collectEvidence(signals, models, {
+    search: deps.search || (() => null),
+    rule: rule,
+    gsmaRecord: verdict.gsmaRecord,
+    narrowed: !!verdict.osVersionFilter?.narrowed
+  });
+
+  const logOdds = logit(prior.confidence) + evidence.reduce((sum, item) => sum + item.weight, 0);
+  const score = Math.max(MIN_SCORE, Math.min(MAX_SCORE, Math.round(100 * logistic(logOdds))));
+  return {
+    score: score,
+    logOdds: Math.round(logOdds * 100) / 100,
+    prior: prior,
+    evidence: evidence
+  };
+}
+
+/**
+ * Rank the candidate models of a verdict by how well each one alone explains the signals
+ * A signal only ranks the candidates when every candidate can be compared on it (a model without
+ * reference specs is not penalized). Probabilities are the softmax of each candidate's evidence;
+ * candidates with the same evidence keep their order.
+ * @param {Object} signals - Normalized signals
+ * @param {Array<Object>} candidates - [{ model, gsmaRecord }]
+ * @param {Object} deps - Lookups ({ search }, see scoreVerdict)
+ * @returns {Array<Object>} Candidates, most probable first, with probability and the evidence that set them apart
+ */
+function rankCandidates(signals, candidates, deps = {}) {
+  const search = deps.search || (() => null);
+  const evidenceLists = candidates.map(candidate => {
+    const models = [candidate.model, candidate.gsmaRecord?.standardised_full_name]
+      .filter((name, position, names) => name && names.findIndex(other => sameModel(other, name)) === position);
+    return collectEvidence(signals, models, { search, gsmaRecord: candidate.gsmaRecord });
+  });
+
+  // The platform and GSMA presence say nothing about which candidate the device is
+  const isCompared = item => item.result === 'match' || item.result === 'mismatch';
+  const rankingSignals = CANDIDATE_SIGNALS.filter(signal =>
+    evidenceLists.every(evidence => evidence.some(item => item.signal === signal && isCompared(item))));
+
+  const scored = candidates.map((candidate, index) => {
+    const evidence = evidenceLists[index].filter(item => rankingSignals.includes(item.signal));
+    return { ...candidate, index, evidence, logOdds: evidence.reduce((sum, item) => sum + item.weight, 0) };
+  });
+
+  const best = Math.max(...scored.map(candidate => candidate.logOdds));
+  const total = scored.reduce((sum, candidate) => sum + Math.exp(candidate.logOdds - best), 0);
+  return scored
+    .map(candidate => ({
+      ...candidate,
+      probability: Math.round(1000 * Math.exp(candidate.logOdds - best) / total) / 1000
+    }))
+    .sort((a, b) => b.logOdds - a.logOdds || a.index - b.index)
+    .map(({ index, logOdds, ...candidate }) => candidate);
+}
+
+module.exports = {
+  scoreVerdict,
+  rankCandidates,
+  sameModel,
+  EVIDENCE_WEIGHTS,
+  DEFAULT_PRIOR_CONFIDENCE,
+  DEFAULT_RULE_CONFIDENCE
+};
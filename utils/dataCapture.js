@@ -1,43 +1,128 @@
+const DeviceDetector = require('device-detector-js');
+
+// Device detector instance
+const deviceDetector = new DeviceDetector();
+
+// High-entropy User-Agent Client Hints requested on the collector page (Chromium browsers, HTTPS only)
+const HIGH_ENTROPY_HINTS = [
+  'Sec-CH-UA-Model',
+  'Sec-CH-UA-Platform-Version',
+  'Sec-CH-UA-Full-Version-List',
+  'Sec-CH-UA-Arch'
+];
+
 /**
- * Captures server-side data from the request
+ * Get client IP address from request (considering proxies)
  */
-function captureServerData(req) {
-  // Get IP address (considering proxies)
-  const ip = req.headers['x-forwarded-for']?.split(',')[0] || 
-             req.headers['x-real-ip'] || 
-             req.connection?.remoteAddress || 
-             req.socket?.remoteAddress ||
-             'Unknown';
-  
-  // Get User-Agent
-  const userAgent = req.headers['user-agent'] || 'Unknown';
-  
-  // Get Client Hints (if available)
-  const clientHints = {
+function getClientIP(req) {
+  return req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
+         req.headers['x-real-ip'] ||
+         req.connection?.remoteAddress ||
+         req.socket?.remoteAddress ||
+         req.ip ||
+         'Unknown';
+}
+
+/**
+ * Ask the browser for the high-entropy Client Hints
+ * Critical-CH makes Chromium retry the request once with the hints, so the first page load already has them,
+ * Vary keeps caches from serving a page rendered for other hints
+ */
+function requestClientHints(res) {
+  res.setHeader('Accept-CH', HIGH_ENTROPY_HINTS.join(', '));
+  res.setHeader('Critical-CH', HIGH_ENTROPY_HINTS.join(', '));
+  res.vary(HIGH_ENTROPY_HINTS.join(', '));
+}
+
+/**
+ * Parse a structured header string ("Pixel 7" -> Pixel 7), empty strings become undefined
+ */
+function parseHintString(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const match = value.trim().match(/^"((?:[^"\\]|\\.)*)"$/);
+  const text = match ? match[1].replace(/\\(.)/g, '$1') : value.trim();
+  return text === '' ? undefined : text;
+}
+
+/**
+ * Parse a brand list header (Sec-CH-UA, Sec-CH-UA-Full-Version-List)
+ * '"Chromium";v="124.0.6367.82", "Not-A.Brand";v="99.0.0.0"' -> [{ brand, version }]
+ */
+function parseBrandList(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const brands = [];
+  const pattern = /"((?:[^"\\]|\\.)*)"\s*;\s*v\s*=\s*"((?:[^"\\]|\\.)*)"/g;
+  let match;
+  while ((match = pattern.exec(value)) !== null) {
+    brands.push({ brand: match[1].replace(/\\(.)/g, '$1'), version: match[2].replace(/\\(.)/g, '$1') });
+  }
+  return brands.length > 0 ? brands : undefined;
+}
+
+/**
+ * Get Client Hints from request headers
+ * High-entropy hints (model, platformVersion, architecture, fullVersionList) are only sent after requestClientHints
+ */
+function getClientHints(req) {
+  const hints = {
     viewportWidth: req.headers['viewport-width'],
     deviceMemory: req.headers['device-memory'],
     dpr: req.headers['dpr'],
     width: req.headers['width'],
     ect: req.headers['ect'], // Effective connection type
     rtt: req.headers['rtt'], // Round-trip time
-    downlink: req.headers['downlink']
+    downlink: req.headers['downlink'],
+    platform: parseHintString(req.headers['sec-ch-ua-platform']),
+    model: parseHintString(req.headers['sec-ch-ua-model']),
+    platformVersion: parseHintString(req.headers['sec-ch-ua-platform-version']),
+    architecture: parseHintString(req.headers['sec-ch-ua-arch']),
+    fullVersionList: parseBrandList(req.headers['sec-ch-ua-full-version-list'])
   };
-  
+
   // Remove undefined values
-  Object.keys(clientHints).forEach(key => {
-    if (clientHints[key] === undefined) {
-      delete clientHints[key];
+  Object.keys(hints).forEach(key => {
+    if (hints[key] === undefined) {
+      delete hints[key];
     }
   });
-  
+
+  return Object.keys(hints).length > 0 ? hints : null;
+}
+
+/**
+ * Captures server-side data from the request
+ * (IP, User-Agent parsed with device-detector-js, Client Hints)
+ */
+function captureServerData(req) {
+  const userAgent = req.headers['user-agent'] || '';
+
+  // Parse User-Agent using device-detector-js
+  const deviceInfo = deviceDetector.parse(userAgent);
+
   return {
-    ip: ip.trim(),
-    userAgent,
-    clientHints: Object.keys(clientHints).length > 0 ? clientHints : null
+    ip: getClientIP(req),
+    userAgent: userAgent,
+    os: deviceInfo.os?.name || null,
+    osVersion: deviceInfo.os?.version || null,
+    browser: deviceInfo.client?.name || null,
+    browserVersion: deviceInfo.client?.version || null,
+    deviceBrand: deviceInfo.device?.brand || null,
+    deviceModel: deviceInfo.device?.model || null,
+    deviceType: deviceInfo.device?.type || null,
+    acceptLanguage: req.headers['accept-language'] || null, // Preferred languages (regional eSIM variants)
+    clientHints: getClientHints(req),
+    timestamp: new Date().toISOString()
   };
 }
 
 module.exports = {
-  captureServerData
+  getClientIP,
+  getClientHints,
+  requestClientHints,
+  captureServerData,
+  HIGH_ENTROPY_HINTS
 };
-
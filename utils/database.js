@@ -2,7 +2,7 @@ const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
 
-const DB_PATH = path.join(__dirname, '../data', 'devices.db');
+const DB_PATH = path.join(process.env.DATA_DIR || path.join(__dirname, '../data'), 'devices.db');
 const DATA_DIR = path.dirname(DB_PATH);
 
 // Ensure data directory exists
@@ -12,128 +12,276 @@ if (!fs.existsSync(DATA_DIR)) {
 
 let db = null;
 
+// Prepared statements of the current connection, keyed by SQL
+let statements = new Map();
+
 /**
- * Initialize the SQLite database
+ * Columns of the scans table (one row per scan record)
+ * Nested scan fields are flattened: gsmaData -> gsma_*, mediaQueries -> mq_*, clientHintsData -> ch_*
+ * New columns added here are created on existing databases by initDatabase()
  */
-function initDatabase() {
-  try {
-    db = new Database(DB_PATH);
-    
-    // Create devices table
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS devices (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        scan_id TEXT NOT NULL,
-        timestamp TEXT NOT NULL,
-        ip_address TEXT,
-        user_agent TEXT,
-        os TEXT,
-        os_version TEXT,
-        browser TEXT,
-        browser_version TEXT,
-        device_brand TEXT,
-        device_model TEXT,
-        device_type TEXT,
-        screen_width INTEGER,
-        screen_height INTEGER,
-        pixel_ratio REAL,
-        gpu_renderer TEXT,
-        battery_level REAL,
-        battery_charging INTEGER,
-        redirect_url TEXT,
-        client_hints TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+const SCAN_COLUMNS = {
+  id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+  internal_id: 'TEXT NOT NULL UNIQUE',
+  scan_id: 'TEXT NOT NULL',
+  timestamp: 'TEXT NOT NULL',
+  // Server-side data
+  ip_address: 'TEXT',
+  user_agent: 'TEXT',
+  os: 'TEXT',
+  os_version: 'TEXT',
+  browser: 'TEXT',
+  browser_version: 'TEXT',
+  device_brand: 'TEXT',
+  device_model: 'TEXT',
+  device_type: 'TEXT',
+  accept_language: 'TEXT',
+  client_hints: 'TEXT', // JSON
+  // High-entropy Client Hints (clientHintsData)
+  ch_model: 'TEXT',
+  ch_brand: 'TEXT',
+  ch_platform_version: 'TEXT',
+  ch_architecture: 'TEXT',
+  ch_brands: 'TEXT', // JSON
+  // Client-side data
+  full_user_agent: 'TEXT',
+  screen_width: 'INTEGER',
+  screen_height: 'INTEGER',
+  pixel_ratio: 'REAL',
+  gpu_renderer: 'TEXT',
+  gpu_vendor: 'TEXT',
+  hardware_concurrency: 'INTEGER',
+  device_memory: 'REAL',
+  timezone: 'TEXT',
+  // Media queries (mediaQueries)
+  mq_is_p3: 'INTEGER',
+  mq_is_hdr: 'INTEGER',
+  mq_is_wide_color_gamut: 'INTEGER',
+  mq_prefers_color_scheme: 'TEXT',
+  battery_level: 'REAL',
+  battery_charging: 'INTEGER',
+  redirect_url: 'TEXT',
+  hardware_signature: 'TEXT',
+  // GSMA enrichment (gsmaData)
+  gsma_full_name: 'TEXT',
+  gsma_manufacturer: 'TEXT',
+  gsma_device_type: 'TEXT',
+  gsma_operating_system: 'TEXT',
+  gsma_bands: 'TEXT',
+  gsma_lte: 'TEXT',
+  gsma_g5: 'TEXT',
+  gsma_simslot: 'TEXT',
+  gsma_euicc: 'TEXT',
+  gsma_euicc_support: 'TEXT', // unanimous | mixed (model records)
+  gsma_tac_count: 'INTEGER',
+  gsma_euicc_tac_count: 'INTEGER',
+  // Matching verdict
+  match_confidence: 'INTEGER',
+  confidence_breakdown: 'TEXT', // JSON
+  match_strategy: 'TEXT',
+  match_trace: 'TEXT', // JSON
+  esim_decision: 'TEXT', // JSON
+  // SIM configuration profile (simProfile)
+  sim_physical_slots: 'INTEGER',
+  sim_esim: 'INTEGER',
+  sim_esim_only: 'INTEGER',
+  sim_dual_esim: 'INTEGER',
+  sim_dsds: 'INTEGER',
+  sim_regional_variant: 'TEXT', // JSON
+  sim_profile_sources: 'TEXT', // JSON
+  deduced_model: 'TEXT',
+  candidates: 'TEXT', // JSON, ranked candidate models
+  iphone_fingerprint: 'TEXT', // JSON
+  esim_fallback: 'INTEGER',
+  esim_compatible: 'INTEGER',
+  is_resolution_based: 'INTEGER',
+  // Manual correction by staff (the verdict columns above keep the original verdict)
+  corrected_model: 'TEXT',
+  corrected_esim: 'INTEGER',
+  correction_note: 'TEXT',
+  corrected_at: 'TEXT',
+  // Campaign the scan was made through (null for ad-hoc QR codes)
+  campaign_id: 'TEXT',
+  created_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP'
+};
+
+/**
+ * Columns of the campaigns table (QR code campaigns, see utils/campaignRepository.js)
+ */
+const CAMPAIGN_COLUMNS = {
+  id: 'TEXT PRIMARY KEY',
+  name: 'TEXT NOT NULL',
+  redirect_url: 'TEXT',
+  mode: 'TEXT', // 'result' | 'redirect' | null (server APP_MODE)
+  expires_at: 'TEXT',
+  scan_limit: 'INTEGER',
+  landing_text: 'TEXT',
+  status: "TEXT NOT NULL DEFAULT 'active'", // 'active' | 'paused'
+  created_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP',
+  updated_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP'
+};
+
+/**
+ * Columns of the signature_proposals table (fingerprint rules learned from scans, see utils/signatureLearner.js)
+ */
+const SIGNATURE_PROPOSAL_COLUMNS = {
+  id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+  cluster_key: 'TEXT NOT NULL UNIQUE', // platform | resolution@DPR (| GPU for Android)
+  section: 'TEXT NOT NULL', // fingerprint rules section: 'android' | 'iphone'
+  rule: 'TEXT NOT NULL', // JSON, proposed rule
+  confidence: 'INTEGER NOT NULL',
+  scan_count: 'INTEGER NOT NULL',
+  unmatched_count: 'INTEGER NOT NULL',
+  labelled_count: 'INTEGER NOT NULL',
+  correction_count: 'INTEGER NOT NULL',
+  labels: 'TEXT', // JSON, models seen in the cluster: [{ model, count, corrections }]
+  status: "TEXT NOT NULL DEFAULT 'pending'", // 'pending' | 'accepted' | 'rejected'
+  decided_at: 'TEXT',
+  created_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP',
+  updated_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP'
+};
+
+/**
+ * Columns of the model_aliases table (model codes and codenames of GSMA models, see utils/aliasRepository.js)
+ */
+const MODEL_ALIAS_COLUMNS = {
+  id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+  code: 'TEXT NOT NULL', // as entered: "SM-S911B", "panther", "SM-S911*" (prefix)
+  code_key: 'TEXT NOT NULL UNIQUE', // normalized code: lowercase, single spaces
+  gsma_name: 'TEXT NOT NULL',
+  manufacturer: 'TEXT',
+  kind: "TEXT NOT NULL DEFAULT 'model_code'", // 'model_code' | 'codename'
+  source: "TEXT NOT NULL DEFAULT 'manual'", // 'manual' | 'csv'
+  created_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP',
+  updated_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP'
+};
+
+/**
+ * Create a table and add any column missing from an older schema
+ * @param {string} table - Table name
+ * @param {Object} columnDefs - Column name -> SQL type
+ * @param {Array<string>} indexedColumns - Columns to index (idx_<table>_<column>)
+ */
+function migrateTable(table, columnDefs, indexedColumns = []) {
+  const columns = Object.entries(columnDefs)
+    .map(([name, type]) => `${name} ${type}`)
+    .join(',\n        ');
+  
+  db.exec(`
+      CREATE TABLE IF NOT EXISTS ${table} (
+        ${columns}
       )
     `);
-    
-    // Create index on scan_id for faster lookups
-    db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_scan_id ON devices(scan_id)
-    `);
-    
-    // Create index on timestamp for time-based queries
+  
+  const existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name));
+  for (const [name, type] of Object.entries(columnDefs)) {
+    if (!existing.has(name)) {
+      // SQLite cannot add UNIQUE/PRIMARY KEY columns: only plain columns are added later
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+      console.log(`🔧 Added column ${table}.${name}`);
+    }
+  }
+  
+  for (const column of indexedColumns) {
     db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_timestamp ON devices(timestamp)
+      CREATE INDEX IF NOT EXISTS idx_${table}_${column} ON ${table}(${column})
     `);
-    
-    console.log('✅ Database initialized successfully');
-  } catch (error) {
-    console.error('❌ Error initializing database:', error);
-    throw error;
   }
 }
 
+// Columns shared by the legacy devices table and the scans table
+const LEGACY_DEVICE_COLUMNS = [
+  'scan_id', 'timestamp', 'ip_address', 'user_agent',
+  'os', 'os_version', 'browser', 'browser_version',
+  'device_brand', 'device_model', 'device_type',
+  'screen_width', 'screen_height', 'pixel_ratio',
+  'gpu_renderer', 'battery_level', 'battery_charging',
+  'redirect_url', 'client_hints', 'created_at'
+];
+
+// Placeholder the legacy server stored for unparsed User-Agent fields
+const LEGACY_UNKNOWN_COLUMNS = ['os', 'os_version', 'browser', 'browser_version', 'device_brand', 'device_model', 'device_type'];
+
 /**
- * Log device data to the database
+ * Copy rows of the legacy devices table (written by the former server.js) into scans, then drop it
+ * Rows get internal_id 'devices-<id>' so the copy is idempotent if it is interrupted
  */
-function logDeviceData(data) {
-  if (!db) {
-    throw new Error('Database not initialized');
+function migrateLegacyDevicesTable() {
+  const legacy = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'devices'").get();
+  if (!legacy) {
+    return;
   }
   
+  const values = LEGACY_DEVICE_COLUMNS.map(column =>
+    LEGACY_UNKNOWN_COLUMNS.includes(column) ? `NULLIF(${column}, 'Unknown')` : column
+  );
+  
+  const migrate = db.transaction(() => {
+    const result = db.prepare(`
+      INSERT OR IGNORE INTO scans (internal_id, ${LEGACY_DEVICE_COLUMNS.join(', ')})
+      SELECT 'devices-' || id, ${values.join(', ')} FROM devices
+    `).run();
+    db.exec('DROP TABLE devices');
+    return result.changes;
+  });
+  
+  console.log(`📥 Migrated ${migrate()} legacy device record(s) into scans`);
+}
+
+/**
+ * Initialize the SQLite database
+ */
+function initDatabase() {
   try {
-    const stmt = db.prepare(`
-      INSERT INTO devices (
-        scan_id, timestamp, ip_address, user_agent,
-        os, os_version, browser, browser_version,
-        device_brand, device_model, device_type,
-        screen_width, screen_height, pixel_ratio,
-        gpu_renderer, battery_level, battery_charging,
-        redirect_url, client_hints
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
+    db = new Database(DB_PATH);
+    statements = new Map();
+    
+    // WAL lets readers (result pages, scripts) run while a scan is being written
+    db.pragma('journal_mode = WAL');
+    
+    // Create scans table (scan records of the QR code flow)
+    migrateTable('scans', SCAN_COLUMNS, ['scan_id', 'timestamp', 'campaign_id']);
     
-    const clientHintsJson = data.clientHints ? JSON.stringify(data.clientHints) : null;
+    // Create campaigns table
+    migrateTable('campaigns', CAMPAIGN_COLUMNS);
     
-    stmt.run(
-      data.scanId,
-      data.timestamp,
-      data.ip,
-      data.userAgent,
-      data.os,
-      data.osVersion,
-      data.browser,
-      data.browserVersion,
-      data.deviceBrand,
-      data.deviceModel,
-      data.deviceType,
-      data.screenWidth,
-      data.screenHeight,
-      data.pixelRatio,
-      data.gpuRenderer,
-      data.batteryLevel,
-      data.batteryCharging ? 1 : 0,
-      data.redirectUrl,
-      clientHintsJson
-    );
+    // Create signature_proposals table
+    migrateTable('signature_proposals', SIGNATURE_PROPOSAL_COLUMNS, ['status']);
     
-    console.log(`📊 Logged device data for scan ID: ${data.scanId}`);
+    // Create model_aliases table
+    migrateTable('model_aliases', MODEL_ALIAS_COLUMNS, ['gsma_name']);
+    
+    // Move records of the former standalone server into the scans table
+    migrateLegacyDevicesTable();
+    
+    console.log('✅ Database initialized successfully');
   } catch (error) {
-    console.error('❌ Error logging device data:', error);
+    console.error('❌ Error initializing database:', error);
     throw error;
   }
 }
 
 /**
- * Get all device records
+ * Get the database connection (for repositories)
  */
-function getAllDevices() {
+function getDatabase() {
   if (!db) {
     throw new Error('Database not initialized');
   }
   
-  return db.prepare('SELECT * FROM devices ORDER BY created_at DESC').all();
+  return db;
 }
 
 /**
- * Get device records by scan ID
+ * Get a prepared statement, cached for the lifetime of the connection
+ * @param {string} sql - SQL text
  */
-function getDevicesByScanId(scanId) {
-  if (!db) {
-    throw new Error('Database not initialized');
+function prepareStatement(sql) {
+  const db = getDatabase();
+  if (!statements.has(sql)) {
+    statements.set(sql, db.prepare(sql));
   }
-  
-  return db.prepare('SELECT * FROM devices WHERE scan_id = ? ORDER BY created_at DESC').all(scanId);
+  return statements.get(sql);
 }
 
 /**
@@ -143,14 +291,15 @@ function closeDatabase() {
   if (db) {
     db.close();
     db = null;
+    statements = new Map();
   }
 }
 
 module.exports = {
   initDatabase,
-  logDeviceData,
-  getAllDevices,
-  getDevicesByScanId,
-  closeDatabase
+  getDatabase,
+  prepareStatement,
+  closeDatabase,
+  DB_PATH
 };
 
@@ -0,0 +1,202 @@
+/**
+ * Delimited text files (CSV, pipe or tab separated): streaming reader and field formatting
+ */
+
+// Delimiters tried when the delimiter is 'auto', by order of preference on ties
+const AUTO_DELIMITERS = ['|', ';', '\t', ','];
+
+// A quoted field spanning more lines than this is treated as a stray quote
+const MAX_RECORD_LINES = 50;
+
+/**
+ * Create a streaming text decoder, with a clear error for unknown encodings
+ */
+function createDecoder(encoding) {
+  try {
+    // The BOM, if any, is removed by the decoder
+    return new TextDecoder(encoding);
+  } catch (error) {
+    throw new Error(`Unsupported encoding: ${encoding}`);
+  }
+}
+
+/**
+ * Split a record into fields
+ * Quoted fields may contain delimiters, doubled quotes and line breaks.
+ * A quote that does not open a field is kept as a literal character.
+ * @param {string} text - Record text (lines joined with \n)
+ * @returns {Object} { fields, complete } (complete is false while a quoted field is open)
+ */
+function parseRecord(text, delimiter, quote) {
+  if (!quote || !text.includes(quote)) {
+    return { fields: text.split(delimiter), complete: true };
+  }
+
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  let atFieldStart = true;
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === quote) {
+        if (text[i + 1] === quote) {
+          field += quote;
+          i += 2;
+          continue;
+        }
+        quoted = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (text.startsWith(delimiter, i)) {
+      fields.push(field);
+      field = '';
+      atFieldStart = true;
+      i += delimiter.length;
+      continue;
+    }
+
+    // Spaces before an opening quote are ignored
+    if (char === quote && atFieldStart) {
+      quoted = true;
+      atFieldStart = false;
+      field = '';
+    } else {
+      field += char;
+      if (char.trim() !== '') {
+        atFieldStart = false;
+      }
+    }
+    i++;
+  }
+
+  if (quoted) {
+    return { fields: null, complete: false };
+  }
+  fields.push(field);
+  return { fields, complete: true };
+}
+
+/**
+ * Guess the delimiter of a file from its header line
+ * @returns {string} The candidate found most often outside quotes (',' if none)
+ */
+function detectDelimiter(line, quote = '"') {
+  const unquoted = quote ? line.split(quote).filter((part, index) => index % 2 === 0).join('') : line;
+  let best = ',';
+  let bestCount = 0;
+  for (const candidate of AUTO_DELIMITERS) {
+    const count = unquoted.split(candidate).length - 1;
+    if (count > bestCount) {
+      best = candidate;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Read the records of a delimited file
+ * Empty lines are skipped. A record whose quote is never closed is yielded with an error
+ * and its following lines are parsed again as records.
+ * @param {Readable} input - Byte stream (file, stdin)
+ * @param {Object} options - { delimiter ('auto' to detect from the first line), quote, encoding, onDelimiter }
+ * @yields {Object} { line, endLine, fields } or { line, endLine, fields: null, error, raw }
+ */
+async function* readDelimited(input, options = {}) {
+  const { quote = '"', encoding = 'utf-8', onDelimiter = null } = options;
+  let delimiter = options.delimiter || ',';
+  const decoder = createDecoder(encoding);
+
+  let lineNumber = 0;
+  let remainder = '';
+  let pending = null; // Open quoted record: { lines: [{ number, text }] }
+
+  function* processLine(number, text) {
+    if (delimiter === 'auto') {
+      if (!text.trim()) {
+        return;
+      }
+      delimiter = detectDelimiter(text, quote);
+      if (onDelimiter) {
+        onDelimiter(delimiter);
+      }
+    }
+
+    if (!pending && !text.trim()) {
+      return;
+    }
+
+    const lines = pending ? [...pending.lines, { number, text }] : [{ number, text }];
+    const { fields, complete } = parseRecord(lines.map(l => l.text).join('\n'), delimiter, quote);
+
+    if (complete) {
+      pending = null;
+      yield { line: lines[0].number, endLine: number, fields };
+      return;
+    }
+
+    if (lines.length < MAX_RECORD_LINES) {
+      pending = { lines };
+      return;
+    }
+
+    // Stray quote: reject the first line and parse the following ones again
+    pending = null;
+    yield { line: lines[0].number, endLine: lines[0].number, fields: null, error: 'Unterminated quote', raw: lines[0].text };
+    for (const next of lines.slice(1)) {
+      yield* processLine(next.number, next.text);
+    }
+  }
+
+  function* processText(text, final) {
+    remainder += text;
+    const parts = remainder.split('\n');
+    remainder = final ? '' : parts.pop();
+    for (const part of parts) {
+      lineNumber++;
+      yield* processLine(lineNumber, part.endsWith('\r') ? part.slice(0, -1) : part);
+    }
+  }
+
+  for await (const chunk of input) {
+    yield* processText(decoder.decode(chunk, { stream: true }), false);
+  }
+  yield* processText(decoder.decode(), true);
+
+  // End of file inside a quoted field: same as a stray quote
+  while (pending) {
+    const lines = pending.lines;
+    pending = null;
+    yield { line: lines[0].number, endLine: lines[0].number, fields: null, error: 'Unterminated quote', raw: lines[0].text };
+    for (const next of lines.slice(1)) {
+      yield* processLine(next.number, next.text);
+    }
+  }
+}
+
+/**
+ * Format a value as a CSV field (RFC 4180 quoting, JSON for objects)
+ */
+function toCSVField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+  readDelimited,
+  parseRecord,
+  detectDelimiter,
+  toCSVField
+};
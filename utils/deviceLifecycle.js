@@ -0,0 +1,207 @@
+const path = require('path');
+const fs = require('fs');
+
+const LIFECYCLE_PATH = process.env.DEVICE_LIFECYCLE_PATH || path.join(__dirname, '../config', 'deviceLifecycle.json');
+
+const PLATFORMS = ['iOS', 'Android'];
+
+// Versions reduced User-Agents report whatever the installed OS: Chrome sends "Android 10; K",
+// Safari 26 keeps "iPhone OS 18_6". The real version is only known to be at least this one.
+const FROZEN_OS_VERSIONS = {
+  Android: ['10'],
+  iOS: ['18.6']
+};
+
+const VERSION_PATTERN = /^\d+(\.\d+)*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}(-\d{2})?$/;
+
+let lifecycleIndex = null;
+
+/**
+ * Normalize a device name for lookups (lowercase, single spaces)
+ */
+function normalizeName(name) {
+  return (name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Split a version string into numbers ("17.4.1" -> [17, 4, 1])
+ */
+function parseVersion(version) {
+  const match = String(version || '').trim().replace(/_/g, '.').match(/^\d+(\.\d+)*/);
+  return match ? match[0].split('.').map(Number) : null;
+}
+
+/**
+ * Compare two parsed versions (missing parts count as 0)
+ * @param {number} length - Only compare the first parts (e.g. 1 to compare major versions)
+ * @returns {number} Negative, 0 or positive
+ */
+function compareVersions(a, b, length = Math.max(a.length, b.length)) {
+  for (let i = 0; i < length; i++) {
+    const diff = (a[i] || 0) - (b[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Validate a device lifecycle document
+ * @param {Object} doc - Parsed lifecycle file
+ * @returns {Array<string>} List of validation errors (empty if valid)
+ */
+function validateLifecycle(doc) {
+  if (!doc || !Array.isArray(doc.devices)) {
+    return ['devices must be an array'];
+  }
+
+  const errors = [];
+  doc.devices.forEach((device, index) => {
+    const label = `devices[${index}]`;
+    if (typeof device.model !== 'string' || device.model.trim() === '') {
+      errors.push(`${label}: model must be a non-empty string`);
+    }
+    if (!PLATFORMS.includes(device.os)) {
+      errors.push(`${label}: os must be one of ${PLATFORMS.join(', ')}`);
+    }
+    if (device.released !== undefined && !DATE_PATTERN.test(device.released)) {
+      errors.push(`${label}: released must be a YYYY-MM or YYYY-MM-DD date`);
+    }
+    for (const key of ['firstOS', 'lastOS']) {
+      if (device[key] !== undefined && !VERSION_PATTERN.test(device[key])) {
+        errors.push(`${label}: ${key} must be a version such as "17" or "14.1"`);
+      }
+    }
+    if (typeof device.firstOS !== 'string') {
+      errors.push(`${label}: firstOS is required`);
+    } else if (VERSION_PATTERN.test(device.firstOS) && VERSION_PATTERN.test(device.lastOS || '') &&
+        compareVersions(parseVersion(device.lastOS), parseVersion(device.firstOS), device.lastOS.split('.').length) < 0) {
+      errors.push(`${label}: lastOS must not be older than firstOS`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Load the device lifecycle table and index it by model name and aliases
+ * @returns {Map} Normalized name -> lifecycle entry
+ */
+function loadLifecycle() {
+  const index = new Map();
+
+  try {
+    const doc = JSON.parse(fs.readFileSync(LIFECYCLE_PATH, 'utf8'));
+    const errors = validateLifecycle(doc);
+    if (errors.length > 0) {
+      throw new Error(`Invalid device lifecycle:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    for (const device of doc.devices) {
+      for (const name of [device.model, ...(device.aliases || [])]) {
+        index.set(normalizeName(name), device);
+      }
+    }
+    console.log(`✅ Device lifecycle v${doc.version} loaded: ${doc.devices.length} model(s)`);
+  } catch (error) {
+    console.error(`❌ Error loading device lifecycle (${LIFECYCLE_PATH}): ${error.message}`);
+  }
+
+  return index;
+}
+
+/**
+ * Find the lifecycle of a device name (model name or alias, with or without the manufacturer prefix)
+ * @param {string} fullName - Model name (fingerprint or GSMA name)
+ * @param {string} manufacturer - GSMA standardised manufacturer (optional)
+ * @returns {Object|null} { model, os, released, firstOS, lastOS } or null
+ */
+function findLifecycle(fullName, manufacturer = null) {
+  if (!lifecycleIndex) {
+    lifecycleIndex = loadLifecycle();
+  }
+
+  const name = normalizeName(fullName);
+  if (lifecycleIndex.has(name)) {
+    return lifecycleIndex.get(name);
+  }
+
+  const maker = normalizeName(manufacturer);
+  if (maker && name.startsWith(maker + ' ')) {
+    return lifecycleIndex.get(name.slice(maker.length + 1)) || null;
+  }
+  if (maker) {
+    return lifecycleIndex.get(`${maker} ${name}`) || null;
+  }
+  return null;
+}
+
+/**
+ * OS version the device reported: Client Hints platformVersion, else the User-Agent version
+ * @param {Object} signals - Normalized signals (see normalizeSignals in matchingEngine)
+ * @returns {Object|null} { platform, version, parts, exact, source } - exact is false for frozen
+ *   User-Agent versions (the device runs this version or a newer one)
+ */
+function getObservedOSVersion(signals) {
+  const platform = PLATFORMS.find(name => name.toLowerCase() === normalizeName(signals.os));
+  if (!platform) {
+    return null;
+  }
+
+  const platformVersion = signals.clientHints ? signals.clientHints.platformVersion : null;
+  if (parseVersion(platformVersion)) {
+    return { platform, version: platformVersion, parts: parseVersion(platformVersion), exact: true, source: 'clientHints' };
+  }
+
+  const parts = parseVersion(signals.osVersion);
+  if (!parts) {
+    return null;
+  }
+  const frozen = FROZEN_OS_VERSIONS[platform].some(version => compareVersions(parts, parseVersion(version)) === 0);
+  return { platform, version: signals.osVersion, parts, exact: !frozen, source: 'userAgent' };
+}
+
+/**
+ * Human-readable support window of a lifecycle entry ("iOS 11.0–16", "Android 13+")
+ */
+function describeSupport(lifecycle) {
+  return `${lifecycle.os} ${lifecycle.firstOS}${lifecycle.lastOS ? `–${lifecycle.lastOS}` : '+'}`;
+}
+
+/**
+ * Check whether a model can run the observed OS version
+ * @param {Object} lifecycle - Lifecycle entry (see findLifecycle)
+ * @param {Object} observed - Observed OS version (see getObservedOSVersion)
+ * @returns {boolean|null} true/false, or null when the platforms differ (not comparable)
+ */
+function supportsOSVersion(lifecycle, observed) {
+  if (lifecycle.os !== observed.platform) {
+    return null;
+  }
+
+  // lastOS "16" allows every 16.x release
+  if (lifecycle.lastOS) {
+    const last = parseVersion(lifecycle.lastOS);
+    if (compareVersions(observed.parts, last, last.length) > 0) {
+      return false;
+    }
+  }
+  // A frozen version is a lower bound: a model released later can still report it
+  if (observed.exact && compareVersions(observed.parts, parseVersion(lifecycle.firstOS)) < 0) {
+    return false;
+  }
+  return true;
+}
+
+module.exports = {
+  findLifecycle,
+  getObservedOSVersion,
+  supportsOSVersion,
+  describeSupport,
+  validateLifecycle,
+  parseVersion,
+  compareVersions,
+  FROZEN_OS_VERSIONS,
+  LIFECYCLE_PATH
+};
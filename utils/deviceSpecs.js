@@ -0,0 +1,207 @@
+const path = require('path');
+const fs = require('fs');
+
+const SPECS_PATH = process.env.DEVICE_SPECS_PATH || path.join(__dirname, '../config', 'deviceSpecs.json');
+
+// Screen dimensions are compared in CSS pixels (what screen.width/height report)
+const RESOLUTION_TOLERANCE = 2;
+const PIXEL_RATIO_TOLERANCE = 0.1;
+
+// Score weights used to rank GSMA candidates (total is clamped to 0-100)
+const SCORE_WEIGHTS = {
+  brandModelQuery: 30, // Candidate found with brand + model
+  modelOnlyQuery: 20, // Candidate found with model only
+  exactName: 20,
+  prefixName: 10,
+  resolutionMatch: 30,
+  resolutionMismatch: -20,
+  pixelRatioMatch: 10,
+  pixelRatioMismatch: -10,
+  gpuMatch: 20,
+  gpuMismatch: -15,
+  smartphone: 5
+};
+
+let specIndex = null;
+
+/**
+ * Normalize a device name for lookups (lowercase, single spaces)
+ */
+function normalizeName(name) {
+  return (name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Validate a device specs document
+ * @param {Object} doc - Parsed specs file
+ * @returns {Array<string>} List of validation errors (empty if valid)
+ */
+function validateSpecs(doc) {
+  if (!doc || !Array.isArray(doc.devices)) {
+    return ['devices must be an array'];
+  }
+
+  const errors = [];
+  doc.devices.forEach((spec, index) => {
+    const label = `devices[${index}]`;
+    if (typeof spec.model !== 'string' || spec.model.trim() === '') {
+      errors.push(`${label}: model must be a non-empty string`);
+    }
+    if (!Array.isArray(spec.displays) || spec.displays.length === 0 ||
+        !spec.displays.every(d => d.width > 0 && d.height > 0)) {
+      errors.push(`${label}: displays must be a non-empty list of { width, height }`);
+    }
+    if (spec.pixelRatio !== undefined && !(spec.pixelRatio > 0)) {
+      errors.push(`${label}: pixelRatio must be a positive number`);
+    }
+    if (spec.gpu !== undefined && typeof spec.gpu !== 'string' && !Array.isArray(spec.gpu)) {
+      errors.push(`${label}: gpu must be a string or a list of strings`);
+    }
+    for (const key of ['ram', 'cores']) {
+      if (spec[key] !== undefined && ![].concat(spec[key]).every(value => Number.isInteger(value) && value > 0)) {
+        errors.push(`${label}: ${key} must be a positive integer or a list of positive integers`);
+      }
+    }
+    for (const key of ['p3', 'hdr']) {
+      if (spec[key] !== undefined && typeof spec[key] !== 'boolean') {
+        errors.push(`${label}: ${key} must be a boolean`);
+      }
+    }
+  });
+  return errors;
+}
+
+/**
+ * Load the device specs table and index it by model name and aliases
+ * @returns {Map} Normalized name -> spec
+ */
+function loadSpecs() {
+  const index = new Map();
+
+  try {
+    const doc = JSON.parse(fs.readFileSync(SPECS_PATH, 'utf8'));
+    const errors = validateSpecs(doc);
+    if (errors.length > 0) {
+      throw new Error(`Invalid device specs:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    for (const spec of doc.devices) {
+      const entry = { ...spec, gpu: spec.gpu ? [].concat(spec.gpu).map(normalizeName) : [] };
+      for (const name of [spec.model, ...(spec.aliases || [])]) {
+        index.set(normalizeName(name), entry);
+      }
+    }
+    console.log(`✅ Device specs v${doc.version} loaded: ${doc.devices.length} model(s)`);
+  } catch (error) {
+    console.error(`❌ Error loading device specs (${SPECS_PATH}): ${error.message}`);
+  }
+
+  return index;
+}
+
+/**
+ * Find the reference spec of a GSMA device name
+ * Matches the model name or an alias, with or without the manufacturer prefix
+ * @param {string} fullName - GSMA standardised full name
+ * @param {string} manufacturer - GSMA standardised manufacturer (optional)
+ * @returns {Object|null} Device spec or null
+ */
+function findDeviceSpec(fullName, manufacturer = null) {
+  if (!specIndex) {
+    specIndex = loadSpecs();
+  }
+
+  const name = normalizeName(fullName);
+  if (specIndex.has(name)) {
+    return specIndex.get(name);
+  }
+
+  const maker = normalizeName(manufacturer);
+  if (maker && name.startsWith(maker + ' ')) {
+    return specIndex.get(name.slice(maker.length + 1)) || null;
+  }
+  if (maker) {
+    return specIndex.get(`${maker} ${name}`) || null;
+  }
+  return null;
+}
+
+/**
+ * Check if a screen (in either orientation) matches one of the spec displays
+ */
+function matchesDisplay(spec, screenWidth, screenHeight) {
+  const short = Math.min(screenWidth, screenHeight);
+  const long = Math.max(screenWidth, screenHeight);
+
+  return spec.displays.some(display =>
+    Math.abs(Math.min(display.width, display.height) - short) <= RESOLUTION_TOLERANCE &&
+    Math.abs(Math.max(display.width, display.height) - long) <= RESOLUTION_TOLERANCE
+  );
+}
+
+/**
+ * Score a GSMA candidate against the observed signals
+ * @param {Object} candidate - GSMA device record
+ * @param {Object} params - Observed signals
+ * @param {string} params.searchTerm - Name the candidate was searched with
+ * @param {boolean} params.modelOnly - True if the candidate was found with the model only
+ * @param {number} params.screenWidth - Screen width (CSS pixels)
+ * @param {number} params.screenHeight - Screen height (CSS pixels)
+ * @param {number} params.pixelRatio - Device pixel ratio
+ * @param {string} params.gpuRenderer - GPU renderer string
+ * @returns {Object} { score, breakdown, spec }
+ */
+function scoreCandidate(candidate, params) {
+  const breakdown = {};
+  const spec = findDeviceSpec(candidate.standardised_full_name, candidate.standardised_manufacturer);
+
+  breakdown.query = params.modelOnly ? SCORE_WEIGHTS.modelOnlyQuery : SCORE_WEIGHTS.brandModelQuery;
+
+  const name = normalizeName(candidate.standardised_full_name);
+  const term = normalizeName(params.searchTerm);
+  if (term && name === term) {
+    breakdown.name = SCORE_WEIGHTS.exactName;
+  } else if (term && name.startsWith(term)) {
+    breakdown.name = SCORE_WEIGHTS.prefixName;
+  }
+
+  if (spec && params.screenWidth && params.screenHeight) {
+    breakdown.resolution = matchesDisplay(spec, params.screenWidth, params.screenHeight)
+      ? SCORE_WEIGHTS.resolutionMatch
+      : SCORE_WEIGHTS.resolutionMismatch;
+  }
+
+  if (spec && spec.pixelRatio && params.pixelRatio) {
+    breakdown.pixelRatio = Math.abs(spec.pixelRatio - params.pixelRatio) <= PIXEL_RATIO_TOLERANCE
+      ? SCORE_WEIGHTS.pixelRatioMatch
+      : SCORE_WEIGHTS.pixelRatioMismatch;
+  }
+
+  if (spec && spec.gpu.length > 0 && params.gpuRenderer) {
+    const renderer = normalizeName(params.gpuRenderer);
+    breakdown.gpu = spec.gpu.some(gpu => renderer.includes(gpu))
+      ? SCORE_WEIGHTS.gpuMatch
+      : SCORE_WEIGHTS.gpuMismatch;
+  }
+
+  if (normalizeName(candidate.device_type) === 'smartphone') {
+    breakdown.smartphone = SCORE_WEIGHTS.smartphone;
+  }
+
+  const total = Object.values(breakdown).reduce((sum, value) => sum + value, 0);
+  return {
+    score: Math.max(0, Math.min(100, total)),
+    breakdown: breakdown,
+    spec: spec
+  };
+}
+
+module.exports = {
+  findDeviceSpec,
+  matchesDisplay,
+  scoreCandidate,
+  validateSpecs,
+  SCORE_WEIGHTS,
+  PIXEL_RATIO_TOLERANCE,
+  SPECS_PATH
+};
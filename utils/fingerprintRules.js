@@ -0,0 +1,309 @@
+const path = require('path');
+const fs = require('fs');
+
+const RULES_PATH = process.env.FINGERPRINT_RULES_PATH || path.join(__dirname, '../config', 'fingerprints.json');
+
+// Default matching tolerances (used when a rule does not specify its own)
+const DEFAULT_TOLERANCES = {
+  signature: { width: 0 },
+  android: { width: 2, height: 2, pixelRatio: 0.1 },
+  iphone: { width: 0, height: 0 }
+};
+
+let rules = null;
+let watching = false;
+
+/**
+ * Check that a value is a positive number
+ */
+function isPositiveNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * Check that a value is a non-empty array of non-empty strings
+ */
+function isStringList(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(v => typeof v === 'string' && v.trim() !== '');
+}
+
+/**
+ * Validate the optional tolerance block of a rule
+ */
+function validateTolerance(rule, label, errors) {
+  if (rule.tolerance === undefined || rule.tolerance === null) {
+    return;
+  }
+  if (typeof rule.tolerance !== 'object') {
+    errors.push(`${label}: tolerance must be an object`);
+    return;
+  }
+  for (const [key, value] of Object.entries(rule.tolerance)) {
+    if (typeof value !== 'number' || value < 0) {
+      errors.push(`${label}: tolerance.${key} must be a number >= 0`);
+    }
+  }
+}
+
+/**
+ * Validate a rules document
+ * @param {Object} doc - Parsed rules file
+ * @returns {Array<string>} List of validation errors (empty if valid)
+ */
+function validateRules(doc) {
+  const errors = [];
+
+  if (!doc || typeof doc !== 'object') {
+    return ['rules file must contain a JSON object'];
+  }
+
+  if (typeof doc.version !== 'string' || doc.version.trim() === '') {
+    errors.push('version must be a non-empty string');
+  }
+
+  const ids = new Set();
+  const checkId = (rule, label) => {
+    if (typeof rule.id !== 'string' || rule.id.trim() === '') {
+      errors.push(`${label}: id must be a non-empty string`);
+    } else if (ids.has(rule.id)) {
+      errors.push(`${label}: duplicate id "${rule.id}"`);
+    } else {
+      ids.add(rule.id);
+    }
+  };
+  const checkConfidence = (rule, label) => {
+    if (rule.confidence !== undefined && rule.confidence !== null &&
+        (typeof rule.confidence !== 'number' || rule.confidence < 0 || rule.confidence > 100)) {
+      errors.push(`${label}: confidence must be a number between 0 and 100`);
+    }
+  };
+
+  for (const section of ['signatures', 'android', 'iphone']) {
+    if (!Array.isArray(doc[section])) {
+      errors.push(`${section} must be an array`);
+    }
+  }
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  doc.signatures.forEach((rule, index) => {
+    const label = `signatures[${index}]`;
+    checkId(rule, label);
+    if (typeof rule.gpu !== 'string' || rule.gpu.trim() === '') {
+      errors.push(`${label}: gpu must be a non-empty string`);
+    }
+    if (!isPositiveNumber(rule.width)) {
+      errors.push(`${label}: width must be a positive number`);
+    }
+    if (typeof rule.deducedModel !== 'string' || rule.deducedModel.trim() === '') {
+      errors.push(`${label}: deducedModel must be a non-empty string`);
+    }
+    if (!isStringList(rule.searchTerms)) {
+      errors.push(`${label}: searchTerms must be a non-empty list of strings`);
+    }
+    checkConfidence(rule, label);
+    validateTolerance(rule, label, errors);
+  });
+
+  doc.android.forEach((rule, index) => {
+    const label = `android[${index}]`;
+    checkId(rule, label);
+    if (typeof rule.gpu !== 'string' || rule.gpu.trim() === '') {
+      errors.push(`${label}: gpu must be a non-empty string`);
+    }
+    if (!isPositiveNumber(rule.width)) {
+      errors.push(`${label}: width must be a positive number`);
+    }
+    if (rule.height !== undefined && rule.height !== null && !isPositiveNumber(rule.height)) {
+      errors.push(`${label}: height must be a positive number or null`);
+    }
+    if (rule.pixelRatio !== undefined && rule.pixelRatio !== null && !isPositiveNumber(rule.pixelRatio)) {
+      errors.push(`${label}: pixelRatio must be a positive number or null`);
+    }
+    if (typeof rule.displayName !== 'string' || rule.displayName.trim() === '') {
+      errors.push(`${label}: displayName must be a non-empty string`);
+    }
+    if (!isStringList(rule.models)) {
+      errors.push(`${label}: models must be a non-empty list of strings`);
+    }
+    checkConfidence(rule, label);
+    validateTolerance(rule, label, errors);
+  });
+
+  doc.iphone.forEach((rule, index) => {
+    const label = `iphone[${index}]`;
+    checkId(rule, label);
+    if (!isPositiveNumber(rule.width) || !isPositiveNumber(rule.height)) {
+      errors.push(`${label}: width and height must be positive numbers`);
+    }
+    if (!isPositiveNumber(rule.pixelRatio)) {
+      errors.push(`${label}: pixelRatio must be a positive number`);
+    }
+    if (!isStringList(rule.models)) {
+      errors.push(`${label}: models must be a non-empty list of strings`);
+    }
+    checkConfidence(rule, label);
+    validateTolerance(rule, label, errors);
+  });
+
+  return errors;
+}
+
+/**
+ * Merge default tolerances into each rule so matchers don't need to
+ */
+function applyDefaults(doc) {
+  const withTolerance = (section, rule) => ({
+    ...rule,
+    tolerance: { ...DEFAULT_TOLERANCES[section], ...(rule.tolerance || {}) }
+  });
+
+  return {
+    version: doc.version,
+    signatures: doc.signatures.map(rule => withTolerance('signature', rule)),
+    android: doc.android.map(rule => withTolerance('android', rule)),
+    iphone: doc.iphone.map(rule => withTolerance('iphone', rule))
+  };
+}
+
+/**
+ * Read, parse and validate the rules file
+ * @param {string} filePath - Path to the rules file
+ * @returns {Object} Validated rules with defaults applied
+ * @throws {Error} If the file cannot be read, parsed or fails validation
+ */
+function readRulesFile(filePath = RULES_PATH) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  const doc = JSON.parse(raw);
+  const errors = validateRules(doc);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid fingerprint rules (${filePath}):\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return applyDefaults(doc);
+}
+
+/**
+ * Load (or reload) the fingerprint rules
+ * On failure, previously loaded rules are kept
+ * @returns {boolean} True if the rules were loaded successfully
+ */
+function loadRules() {
+  try {
+    const loaded = readRulesFile(RULES_PATH);
+    rules = loaded;
+    console.log(`✅ Fingerprint rules v${loaded.version} loaded: ${loaded.signatures.length} signature(s), ${loaded.android.length} Android, ${loaded.iphone.length} iPhone`);
+    return true;
+  } catch (error) {
+    console.error(`❌ Error loading fingerprint rules: ${error.message}`);
+    if (rules) {
+      console.error(`⚠️  Keeping previously loaded rules v${rules.version}`);
+    }
+    return false;
+  }
+}
+
+/**
+ * Get the current fingerprint rules (loads them on first use)
+ * @returns {Object} Rules with signatures, android and iphone arrays
+ */
+function getRules() {
+  if (!rules && !loadRules()) {
+    // Rules file unusable: behave as if no rules were defined
+    return { version: null, signatures: [], android: [], iphone: [] };
+  }
+  return rules;
+}
+
+/**
+ * Serialize the rules file the way it is written by hand: arrays of strings/numbers on one line,
+ * one line per iPhone rule
+ */
+function formatRulesFile(doc) {
+  const inline = value => Array.isArray(value)
+    ? `[${value.map(inline).join(', ')}]`
+    : (value && typeof value === 'object')
+      ? `{ ${Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}: ${inline(item)}`).join(', ')} }`
+      : JSON.stringify(value);
+  const inlineArrays = json => json.replace(/\[\n\s+([^\[\]{}]*?)\n\s*\]/g, (match, items) => `[${items.split(/,\n\s+/).join(', ')}]`);
+
+  const entries = Object.entries(doc).map(([key, value]) => {
+    if (!Array.isArray(value)) {
+      return `  ${JSON.stringify(key)}: ${JSON.stringify(value)}`;
+    }
+    const rules = value.map(rule => key === 'iphone'
+      ? `    ${inline(rule)}`
+      : inlineArrays(JSON.stringify(rule, null, 2)).replace(/^/gm, '    '));
+    return `  ${JSON.stringify(key)}: [\n${rules.join(',\n')}\n  ]`;
+  });
+  return `{\n${entries.join(',\n')}\n}\n`;
+}
+
+/**
+ * Append a rule to the rules file and reload the rules
+ * The whole file is validated before it is replaced (written to a temporary file, then renamed)
+ * @param {string} section - 'signatures', 'android' or 'iphone'
+ * @param {Object} rule - Rule to add (its id must be unique)
+ * @returns {Object} Reloaded rules
+ * @throws {Error} If the rules file cannot be read or would become invalid
+ */
+function addRule(section, rule) {
+  const doc = JSON.parse(fs.readFileSync(RULES_PATH, 'utf8'));
+  if (!Array.isArray(doc[section])) {
+    throw new Error(`Unknown fingerprint rules section: ${section}`);
+  }
+
+  doc[section].push(rule);
+  const errors = validateRules(doc);
+  if (errors.length > 0) {
+    throw new Error(`Invalid fingerprint rule "${rule.id}":\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const tempPath = `${RULES_PATH}.tmp`;
+  fs.writeFileSync(tempPath, formatRulesFile(doc));
+  fs.renameSync(tempPath, RULES_PATH);
+  console.log(`➕ Fingerprint rule "${rule.id}" added to ${section}`);
+
+  loadRules();
+  return getRules();
+}
+
+/**
+ * Watch the rules file and reload it when it changes (hot reload)
+ */
+function watchRules() {
+  if (watching) {
+    return;
+  }
+  watching = true;
+
+  fs.watchFile(RULES_PATH, { interval: 2000 }, (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs) {
+      console.log(`🔄 Fingerprint rules file changed, reloading...`);
+      loadRules();
+    }
+  });
+}
+
+/**
+ * Stop watching the rules file
+ */
+function unwatchRules() {
+  if (watching) {
+    fs.unwatchFile(RULES_PATH);
+    watching = false;
+  }
+}
+
+module.exports = {
+  getRules,
+  loadRules,
+  readRulesFile,
+  validateRules,
+  addRule,
+  watchRules,
+  unwatchRules,
+  RULES_PATH
+};
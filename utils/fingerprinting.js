@@ -0,0 +1,280 @@
+const { getRules: getFingerprintRules } = require('./fingerprintRules');
+
+/**
+ * Check if device matches a known hardware signature (from fingerprint rules)
+ * @param {string} gpuRenderer - GPU renderer string
+ * @param {number} screenWidth - Screen width in pixels
+ * @returns {Object|null} Signature match or null
+ */
+function checkDeviceSignature(gpuRenderer, screenWidth) {
+  const signature = findSignatureRule(gpuRenderer, screenWidth);
+  if (signature) {
+    console.log(`🔍 Signature match: ${signature.deducedModel} [${signature.id}] (GPU: ${gpuRenderer}, Width: ${screenWidth})`);
+  }
+  return signature;
+}
+
+/**
+ * Find the "signatures" rule matching a GPU and screen width (no logging)
+ * @returns {Object|null} Rule or null
+ */
+function findSignatureRule(gpuRenderer, screenWidth) {
+  if (!gpuRenderer || !screenWidth) {
+    return null;
+  }
+  
+  const normalizedGPU = gpuRenderer.trim().toLowerCase();
+  
+  return getFingerprintRules().signatures.find(signature =>
+    normalizedGPU.includes(signature.gpu.toLowerCase()) &&
+    Math.abs(screenWidth - signature.width) <= signature.tolerance.width
+  ) || null;
+}
+
+/**
+ * Try to refine iPhone model detection using GPU/performance hints
+ * @param {string} gpuRenderer - GPU renderer string
+ * @param {number} hardwareConcurrency - CPU cores
+ * @param {Array} possibleModels - Array of possible iPhone models
+ * @returns {string|null} Refined model or null if cannot distinguish
+ */
+function refineiPhoneModel(gpuRenderer, hardwareConcurrency, possibleModels) {
+  if (!gpuRenderer || possibleModels.length <= 1) {
+    return null; // Cannot refine if no GPU info or already unique
+  }
+  
+  // Note: GPU-based refinement is limited as Apple uses similar GPUs across generations
+  // This is a placeholder for future enhancements (WebGL benchmarks, API availability checks)
+  // For now, we cannot reliably distinguish iPhone 12/13/14 via GPU alone
+  
+  return null; // Cannot distinguish, return null to use series name
+}
+
+/**
+ * Android GPU & Resolution Fingerprinting
+ * Maps GPU renderer + screen width + pixel ratio to device series using the "android" fingerprint rules
+ * @param {string} gpuRenderer - GPU renderer string
+ * @param {number} screenWidth - Screen width in pixels
+ * @param {number} screenHeight - Screen height in pixels
+ * @param {number} pixelRatio - Device pixel ratio
+ * @returns {Object|null} Object with displayName and models array, or null
+ */
+function identifyAndroidByGPU(gpuRenderer, screenWidth, screenHeight, pixelRatio) {
+  if (!gpuRenderer || !screenWidth) {
+    return null;
+  }
+  
+  const fingerprint = findAndroidRule(gpuRenderer, screenWidth, screenHeight, pixelRatio);
+  if (!fingerprint) {
+    return null;
+  }
+  
+  console.log(`🤖 Android fingerprint match: ${fingerprint.displayName} (GPU: ${gpuRenderer}, Screen: ${screenWidth}x${screenHeight}, PixelRatio: ${pixelRatio || 'N/A'})`);
+  return {
+    id: fingerprint.id,
+    displayName: fingerprint.displayName,
+    models: fingerprint.models,
+    isUnique: fingerprint.models.length === 1,
+    confidence: fingerprint.confidence || 75,
+    pixelRatio: fingerprint.pixelRatio || null // null when the rule does not check the pixel ratio
+  };
+}
+
+/**
+ * Find the "android" fingerprint rule matching a GPU and resolution (no logging)
+ * Tolerances come from the rule, default ±2px for screen dimensions, ±0.1 for pixelRatio
+ * @returns {Object|null} Rule or null
+ */
+function findAndroidRule(gpuRenderer, screenWidth, screenHeight, pixelRatio) {
+  if (!gpuRenderer || !screenWidth) {
+    return null;
+  }
+  
+  // Normalize GPU renderer string (case-insensitive, remove extra spaces)
+  const normalizedGPU = gpuRenderer.trim().toLowerCase();
+  
+  return getFingerprintRules().android.find(fingerprint => {
+    if (!normalizedGPU.includes(fingerprint.gpu.toLowerCase())) {
+      return false;
+    }
+    const { tolerance } = fingerprint;
+    const widthMatch = Math.abs(screenWidth - fingerprint.width) <= tolerance.width;
+    const heightMatch = !fingerprint.height || Math.abs(screenHeight - fingerprint.height) <= tolerance.height;
+    const pixelRatioMatch = !fingerprint.pixelRatio || (pixelRatio && Math.abs(pixelRatio - fingerprint.pixelRatio) <= tolerance.pixelRatio);
+    return widthMatch && heightMatch && pixelRatioMatch;
+  }) || null;
+}
+
+/**
+ * Find the "iphone" fingerprint rule matching a resolution (no logging)
+ * Tolerance defaults to 0px, the pixel ratio is compared rounded
+ * @returns {Object|null} Rule or null
+ */
+function findiPhoneRule(screenWidth, screenHeight, pixelRatio) {
+  if (!screenWidth || !screenHeight || !pixelRatio) {
+    return null;
+  }
+  
+  // Normalize pixel ratio (round to nearest integer for matching)
+  const normalizedRatio = Math.round(pixelRatio);
+  
+  return getFingerprintRules().iphone.find(entry =>
+    Math.abs(screenWidth - entry.width) <= entry.tolerance.width &&
+    Math.abs(screenHeight - entry.height) <= entry.tolerance.height &&
+    normalizedRatio === Math.round(entry.pixelRatio)
+  ) || null;
+}
+
+/**
+ * iPhone Fingerprinting: Identify specific iPhone model(s) based on screen resolution and pixel ratio
+ * @param {number} screenWidth - Screen width in pixels
+ * @param {number} screenHeight - Screen height in pixels
+ * @param {number} pixelRatio - Device pixel ratio
+ * @param {string} gpuRenderer - GPU renderer string (optional, for refinement)
+ * @param {number} hardwareConcurrency - CPU cores (optional, for refinement)
+ * @returns {Object|null} Object with rule id, models array, isUnique flag, displayName and rule confidence, or null
+ */
+function identifyiPhoneModel(screenWidth, screenHeight, pixelRatio, gpuRenderer = null, hardwareConcurrency = null) {
+  // Try to find exact match (tolerance defaults to 0px, see "iphone" fingerprint rules)
+  const entry = findiPhoneRule(screenWidth, screenHeight, pixelRatio);
+  if (!entry) {
+    return null;
+  }
+  
+  const possibleModels = [...entry.models];
+  const isUnique = possibleModels.length === 1;
+  
+  // Try to refine using GPU/performance data
+  let refinedModel = null;
+  if (!isUnique && (gpuRenderer || hardwareConcurrency)) {
+    refinedModel = refineiPhoneModel(gpuRenderer, hardwareConcurrency, possibleModels);
+  }
+  
+  // Build display name
+  let displayName;
+  if (refinedModel) {
+    displayName = refinedModel;
+  } else if (isUnique) {
+    displayName = possibleModels[0];
+  } else {
+    // Group models by series with better formatting
+    // Extract numbers and variants (Pro, Max, Plus, etc.)
+    const modelInfo = possibleModels.map(m => {
+      const numMatch = m.match(/iPhone\s*(\d+)/);
+      const variantMatch = m.match(/iPhone\s*\d+\s*(Pro|Max|Plus|Mini)?/i);
+      return {
+        number: numMatch ? parseInt(numMatch[1]) : null,
+        variant: variantMatch ? variantMatch[1] : null,
+        full: m
+      };
+    });
+    
+    const numbers = modelInfo.map(m => m.number).filter(n => n !== null).sort((a, b) => a - b);
+    const variants = [...new Set(modelInfo.map(m => m.variant).filter(v => v))];
+    
+    if (numbers.length > 0) {
+      const minNum = numbers[0];
+      const maxNum = numbers[numbers.length - 1];
+      
+      // Build series name
+      if (minNum === maxNum) {
+        // Same number, different variants
+        if (variants.length > 0) {
+          const variantStr = variants.map(v => v || 'Standard').join(' & ');
+          displayName = `iPhone ${minNum} ${variantStr} Series`;
+        } else {
+          displayName = `iPhone ${minNum} Series`;
+        }
+      } else {
+        // Different numbers - format as "iPhone 12 / 13 / 14 Series" or "iPhone 12 / 13 / 14 Plus & Max Series"
+        if (variants.length > 0) {
+          // Group variants: if all have same variants, show them; otherwise show all variants
+          const uniqueVariants = [...new Set(variants.filter(v => v))];
+          if (uniqueVariants.length === 1) {
+            displayName = `iPhone ${minNum} / ${maxNum} ${uniqueVariants[0]} Series`;
+          } else if (uniqueVariants.length > 1) {
+            const variantStr = uniqueVariants.join(' & ');
+            displayName = `iPhone ${minNum} / ${maxNum} ${variantStr} Series`;
+          } else {
+            displayName = `iPhone ${minNum} / ${maxNum} Series`;
+          }
+        } else {
+          displayName = `iPhone ${minNum} / ${maxNum} Series`;
+        }
+      }
+    } else {
+      // Fallback: join all models
+      displayName = possibleModels.join(' / ') + ' Series';
+    }
+  }
+  
+  return {
+    id: entry.id,
+    models: possibleModels,
+    isUnique: isUnique || refinedModel !== null, // Unique if single model OR successfully refined
+    displayName: displayName,
+    refinedModel: refinedModel,
+    confidence: entry.confidence || null
+  };
+}
+
+/**
+ * eSIM support of one iPhone model name (fallback rule)
+ * iPhone XS, XS Max, XR (2018), SE (2nd and 3rd generation), 11 and later support eSIM;
+ * iPhone X, 8 and earlier, and the first SE do not
+ * @param {string} model - iPhone model name (e.g. "iPhone 13 Pro", "Apple iPhone SE (2nd generation)")
+ * @returns {boolean|null} null for names the rule does not know
+ */
+function iPhoneModelESIM(model) {
+  const name = (model || '').toLowerCase().replace(/\s+/g, ' ');
+  if (/iphone x ?[sr]\b/.test(name) || /iphone air\b/.test(name)) {
+    return true;
+  }
+  if (/iphone x\b/.test(name)) {
+    return false;
+  }
+  if (/iphone se\b/.test(name)) {
+    if (/\b(2|3|2nd|3rd|second|third|2020|2022)\b/.test(name)) {
+      return true;
+    }
+    return /\b(1|1st|first|2016)\b/.test(name) ? false : null;
+  }
+  const match = name.match(/iphone (\d+)/);
+  if (!match) {
+    return null;
+  }
+  const number = Number(match[1]);
+  if (number >= 11) {
+    return true;
+  }
+  return number <= 8 ? false : null;
+}
+
+/**
+ * Check if iPhone model(s) support eSIM (fallback rule)
+ * @param {string|Array} iphoneModelOrModels - iPhone model name(s) (e.g., "iPhone 13" or ["iPhone 12", "iPhone 13"])
+ * @returns {boolean|null} True if all models support eSIM, false if none does,
+ *   null if they differ or the rule does not know one of them
+ */
+function isiPhoneESIMCompatible(iphoneModelOrModels) {
+  const models = Array.isArray(iphoneModelOrModels) ? iphoneModelOrModels : [iphoneModelOrModels];
+  const values = models
+    .filter(model => model && model.toLowerCase().includes('iphone'))
+    .map(iPhoneModelESIM);
+
+  if (values.length === 0 || values[0] === null || values.some(value => value !== values[0])) {
+    return null;
+  }
+  return values[0];
+}
+
+module.exports = {
+  checkDeviceSignature,
+  refineiPhoneModel,
+  identifyAndroidByGPU,
+  identifyiPhoneModel,
+  findSignatureRule,
+  findAndroidRule,
+  findiPhoneRule,
+  isiPhoneESIMCompatible
+};
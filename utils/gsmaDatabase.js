@@ -1,6 +1,8 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { scoreCandidate } = require('./deviceSpecs');
+const { normalizeModelTokens, expandToken, buildMatchQuery, scoreName } = require('./modelSearch');
 
 const DB_PATH = path.join(__dirname, '../data', 'gsma.db');
 const DATA_DIR = path.dirname(DB_PATH);
@@ -12,6 +14,181 @@ if (!fs.existsSync(DATA_DIR)) {
 
 let db = null;
 
+// Terms of the full-text index, reloaded when another connection (an import) changed the database
+let vocabulary = null;
+let vocabularyVersion = null;
+
+// Full-text matches re-scored per search
+const FTS_CANDIDATE_LIMIT = 200;
+
+// Minimum search score for searchDevice to return a model, and for advancedDeviceMatch candidates
+const MIN_MATCH_SCORE = 75;
+const MIN_CANDIDATE_SCORE = 60;
+
+// Catalog pages, and the cap on the ranked results of a catalog search
+const CATALOG_PAGE_SIZE = 50;
+const MAX_CATALOG_PAGE_SIZE = 200;
+const CATALOG_SEARCH_LIMIT = 1000;
+
+// Catalog eSIM filters
+const CATALOG_EUICC_FILTERS = {
+  yes: "euicc = 'true'",
+  no: "euicc = 'false'",
+  mixed: "euicc = 'mixed'",
+  unknown: 'euicc IS NULL'
+};
+
+// Descriptive columns of a model: the value most of its TACs report
+const MODEL_MAJORITY_COLUMNS = [
+  'standardised_manufacturer',
+  'device_type',
+  'operating_system',
+  'bands',
+  'lte',
+  'g5',
+  'simslot'
+];
+
+/**
+ * Create the device_models table: one row per standardised full name, aggregating its TACs
+ * euicc_support: 'unanimous' (every TAC agrees), 'mixed' (TACs disagree, euicc = 'mixed'),
+ * null (no TAC reports eUICC)
+ */
+function createDeviceModelsTable(database) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS device_models (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      standardised_full_name TEXT NOT NULL,
+      ${MODEL_MAJORITY_COLUMNS.map(column => `${column} TEXT`).join(',\n      ')},
+      euicc TEXT,
+      euicc_support TEXT,
+      tac_count INTEGER NOT NULL,
+      euicc_tac_count INTEGER NOT NULL,
+      non_euicc_tac_count INTEGER NOT NULL,
+      search_tokens TEXT
+    )
+  `);
+  database.exec('CREATE INDEX IF NOT EXISTS idx_models_full_name ON device_models(standardised_full_name)');
+  database.exec('CREATE INDEX IF NOT EXISTS idx_models_full_name_lower ON device_models(LOWER(standardised_full_name))');
+  database.exec('CREATE INDEX IF NOT EXISTS idx_models_manufacturer ON device_models(standardised_manufacturer)');
+}
+
+/**
+ * Most frequent non-empty value of a list (first one on ties)
+ */
+function mostCommon(values) {
+  const counts = new Map();
+  for (const value of values) {
+    if (value !== null && value !== '') {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+  }
+  let best = null;
+  let bestCount = 0;
+  for (const [value, count] of counts) {
+    if (count > bestCount) {
+      best = value;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Aggregate the TAC rows of one model
+ * @param {Array<Object>} rows - devices rows sharing a standardised full name
+ * @returns {Object} device_models row
+ */
+function aggregateModel(rows) {
+  const model = { standardised_full_name: rows[0].standardised_full_name };
+  for (const column of MODEL_MAJORITY_COLUMNS) {
+    model[column] = mostCommon(rows.map(row => row[column]));
+  }
+
+  const euiccValue = row => (row.euicc || '').toLowerCase();
+  const withEUICC = rows.filter(row => euiccValue(row) === 'true');
+  const withoutEUICC = rows.filter(row => euiccValue(row) === 'false');
+
+  model.tac_count = rows.length;
+  model.euicc_tac_count = withEUICC.length;
+  model.non_euicc_tac_count = withoutEUICC.length;
+
+  if (withEUICC.length === 0 && withoutEUICC.length === 0) {
+    model.euicc = null;
+    model.euicc_support = null;
+  } else if (withoutEUICC.length === 0 || withEUICC.length === 0) {
+    model.euicc = withEUICC.length > 0 ? 'true' : 'false';
+    model.euicc_support = 'unanimous';
+  } else {
+    // The TAC range does not tell the market of a variant (reporting body 86 allocates
+    // TACs of global models too): a model whose TACs disagree stays mixed
+    model.euicc = 'mixed';
+    model.euicc_support = 'mixed';
+  }
+  return model;
+}
+
+/**
+ * Rebuild device_models from the devices table
+ * @param {Database} database - Open GSMA database (the caller handles transactions)
+ * @returns {number} Number of models
+ */
+function buildDeviceModels(database) {
+  database.exec('DROP TABLE IF EXISTS device_models');
+  createDeviceModelsTable(database);
+
+  // Rows are grouped while iterating, models are inserted once the iteration is done
+  const models = [];
+  let group = [];
+  const rows = database.prepare(`
+    SELECT tac_imei, standardised_full_name, ${MODEL_MAJORITY_COLUMNS.join(', ')}, euicc
+    FROM devices
+    WHERE standardised_full_name IS NOT NULL
+    ORDER BY standardised_full_name, id
+  `).iterate();
+  for (const row of rows) {
+    if (group.length > 0 && group[0].standardised_full_name !== row.standardised_full_name) {
+      models.push(aggregateModel(group));
+      group = [];
+    }
+    group.push(row);
+  }
+  if (group.length > 0) {
+    models.push(aggregateModel(group));
+  }
+
+  // Full-text index of the normalized names (rowid = device_models.id)
+  database.exec('DROP TABLE IF EXISTS device_models_fts');
+  database.exec('CREATE VIRTUAL TABLE device_models_fts USING fts5(tokens)');
+  database.exec(`CREATE VIRTUAL TABLE IF NOT EXISTS device_models_vocab USING fts5vocab(device_models_fts, 'row')`);
+
+  const columns = ['standardised_full_name', ...MODEL_MAJORITY_COLUMNS, 'euicc', 'euicc_support',
+    'tac_count', 'euicc_tac_count', 'non_euicc_tac_count', 'search_tokens'];
+  const insertStmt = database.prepare(`
+    INSERT INTO device_models (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+  `);
+  const insertFtsStmt = database.prepare('INSERT INTO device_models_fts (rowid, tokens) VALUES (?, ?)');
+  for (const model of models) {
+    model.search_tokens = normalizeModelTokens(model.standardised_full_name).join(' ');
+    const { lastInsertRowid } = insertStmt.run(...columns.map(column => model[column]));
+    insertFtsStmt.run(lastInsertRowid, model.search_tokens);
+  }
+  vocabulary = null;
+  return models.length;
+}
+
+/**
+ * Terms of the full-text index (cached until the database changes)
+ */
+function getVocabulary() {
+  const version = db.pragma('data_version', { simple: true });
+  if (!vocabulary || version !== vocabularyVersion) {
+    vocabulary = db.prepare('SELECT term FROM device_models_vocab').all().map(row => row.term);
+    vocabularyVersion = version;
+  }
+  return vocabulary;
+}
+
 /**
  * Initialize the GSMA database
  */
@@ -57,12 +234,26 @@ function initDatabase() {
       CREATE INDEX IF NOT EXISTS idx_full_name_lower ON devices(LOWER(standardised_full_name))
     `);
     
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_tac_imei ON devices(tac_imei)
+    `);
+    
     // Verify database has data
     const count = db.prepare('SELECT COUNT(*) as count FROM devices').get();
     if (count.count === 0) {
       console.warn(`⚠️  GSMA database is empty! Please run: npm run import-gsma`);
       return false;
     }
+
+    // Databases imported before the model table (or its search index): build them from the TACs
+    createDeviceModelsTable(db);
+    // Models aggregated when TACs with prefix 86 were taken for China-market variants
+    db.prepare(`UPDATE device_models SET euicc = 'mixed', euicc_support = 'mixed' WHERE euicc_support = 'regional'`).run();
+    const hasSearchIndex = !!db.prepare(`SELECT 1 FROM sqlite_master WHERE name = 'device_models_fts'`).get();
+    if (!hasSearchIndex || !db.prepare('SELECT 1 FROM device_models LIMIT 1').get()) {
+      const modelCount = db.transaction(() => buildDeviceModels(db))();
+      console.log(`✅ GSMA device models built: ${modelCount} models`);
+    }
     
     console.log(`✅ GSMA Database initialized: ${count.count} devices loaded`);
     return true;
@@ -72,11 +263,97 @@ function initDatabase() {
   }
 }
 
+/**
+ * Build the conditions of catalog filters on device_models (see parseCatalogQuery)
+ * @param {Object} filters - { manufacturer, type, euicc }
+ * @returns {Object} { conditions, params }
+ */
+function buildModelConditions(filters = {}) {
+  const conditions = [];
+  const params = [];
+  if (filters.manufacturer) {
+    conditions.push('standardised_manufacturer = ? COLLATE NOCASE');
+    params.push(filters.manufacturer);
+  }
+  if (filters.type) {
+    conditions.push('device_type = ? COLLATE NOCASE');
+    params.push(filters.type);
+  }
+  if (CATALOG_EUICC_FILTERS[filters.euicc]) {
+    conditions.push(CATALOG_EUICC_FILTERS[filters.euicc]);
+  }
+  return { conditions, params };
+}
+
+/**
+ * Ranked search over the GSMA models (full-text index, typo tolerant)
+ * The term and the names are normalized (case, accents, "5G", storage sizes, SIM variants),
+ * query words without digits tolerate 1-2 typos, and every candidate is scored 0-100 on how
+ * much of the query it contains and how much of its name the query covers.
+ * @param {string} searchTerm - The device name to search for
+ * @param {Object} options - { limit: max candidates, minScore: min searchScore,
+ *   filters: catalog filters (see buildModelConditions), candidateLimit: full-text matches re-scored,
+ *   strictVariants: reject names whose variant tokens differ from the query, see scoreName }
+ * @returns {Array<Object>} Model records (device_models rows) with searchScore, matchedTokens
+ * and corrections, best first (smartphones first on equal scores)
+ */
+function searchDeviceCandidates(searchTerm, options = {}) {
+  const { limit = 10, minScore = 0, filters = {}, candidateLimit = FTS_CANDIDATE_LIMIT, strictVariants = false } = options;
+
+  // Ensure database is initialized
+  if (!db) {
+    const initResult = initDatabase();
+    if (!initResult || !db) {
+      // Database not available, return empty array gracefully
+      return [];
+    }
+  }
+
+  const queryTokens = normalizeModelTokens(searchTerm);
+  if (queryTokens.length === 0) {
+    return [];
+  }
+
+  try {
+    const vocabularyTerms = getVocabulary();
+    const expansions = queryTokens.map(token => expandToken(token, vocabularyTerms));
+    const matchQuery = buildMatchQuery(expansions);
+    if (!matchQuery) {
+      return [];
+    }
+
+    const { conditions, params } = buildModelConditions(filters);
+    const rows = db.prepare(`
+      SELECT m.* FROM device_models_fts f
+      JOIN device_models m ON m.id = f.rowid
+      WHERE device_models_fts MATCH ?${conditions.map(condition => ` AND ${condition}`).join('')}
+      ORDER BY bm25(device_models_fts)
+      LIMIT ?
+    `).all(matchQuery, ...params, candidateLimit);
+
+    const isSmartphone = row => (row.device_type || '').toLowerCase() === 'smartphone';
+    return rows
+      .map(row => {
+        const { score, matchedTokens, corrections } = scoreName(expansions, queryTokens, row.search_tokens.split(' '), { strictVariants });
+        return { ...row, searchScore: score, matchedTokens, corrections };
+      })
+      .filter(candidate => candidate.searchScore >= minScore)
+      .sort((a, b) => b.searchScore - a.searchScore ||
+        isSmartphone(b) - isSmartphone(a) ||
+        a.standardised_full_name.localeCompare(b.standardised_full_name))
+      .slice(0, limit);
+  } catch (error) {
+    console.error('Error searching device candidates:', error);
+    return [];
+  }
+}
+
 /**
  * Search device by Marketing Name or Model Name with fuzzy matching
- * Priority: Smartphone devices > Other device types
+ * Exact name first, then the best ranked candidate if its score is high enough
+ * (a query matching many models equally, like "Galaxy", returns null)
  * @param {string} searchTerm - The device name to search for
- * @returns {Object|null} Device information or null if not found
+ * @returns {Object|null} Model record (device_models row) or null if not found
  */
 function searchDevice(searchTerm) {
   // Ensure database is initialized
@@ -93,64 +370,18 @@ function searchDevice(searchTerm) {
   }
   
   try {
-    const cleanTerm = searchTerm.trim();
-    
-    // Strategy 1: Try exact match first (case-insensitive)
-    let stmt = db.prepare(`
-      SELECT * FROM devices 
+    const exact = db.prepare(`
+      SELECT * FROM device_models
       WHERE LOWER(standardised_full_name) = LOWER(?)
       LIMIT 1
-    `);
-    
-    let result = stmt.get(cleanTerm);
-    
-    // Strategy 2: If no exact match, try "STARTS WITH" match (prioritize Smartphone)
-    if (!result) {
-      stmt = db.prepare(`
-        SELECT * FROM devices 
-        WHERE LOWER(standardised_full_name) LIKE LOWER(?)
-        ORDER BY CASE 
-          WHEN LOWER(device_type) = 'smartphone' THEN 1
-          ELSE 2
-        END
-        LIMIT 1
-      `);
-      result = stmt.get(`${cleanTerm}%`);
+    `).get(searchTerm.trim());
+    if (exact) {
+      return { ...exact, searchScore: 100, matchedTokens: exact.search_tokens.split(' '), corrections: [] };
     }
-    
-    // Strategy 3: If no "starts with" match, try "CONTAINS" match (prioritize Smartphone)
-    if (!result) {
-      stmt = db.prepare(`
-        SELECT * FROM devices 
-        WHERE LOWER(standardised_full_name) LIKE LOWER(?)
-        ORDER BY CASE 
-          WHEN LOWER(device_type) = 'smartphone' THEN 1
-          ELSE 2
-        END
-        LIMIT 1
-      `);
-      result = stmt.get(`%${cleanTerm}%`);
-    }
-    
-    // Strategy 4: If still no match, try searching individual words (prioritize Smartphone)
-    if (!result && cleanTerm.length > 3) {
-      const words = cleanTerm.split(/\s+/).filter(w => w.length > 2);
-      for (const word of words) {
-        stmt = db.prepare(`
-          SELECT * FROM devices 
-          WHERE LOWER(standardised_full_name) LIKE LOWER(?)
-          ORDER BY CASE 
-            WHEN LOWER(device_type) = 'smartphone' THEN 1
-            ELSE 2
-          END
-          LIMIT 1
-        `);
-        result = stmt.get(`%${word}%`);
-        if (result) break;
-      }
-    }
-    
-    return result || null;
+
+    // "Galaxy S23 Ultra" must not resolve to "Galaxy S23": a variant is another model
+    const [best] = searchDeviceCandidates(searchTerm, { limit: 1, minScore: MIN_MATCH_SCORE, strictVariants: true });
+    return best || null;
   } catch (error) {
     console.error('Error searching device:', error);
     return null;
@@ -159,13 +390,15 @@ function searchDevice(searchTerm) {
 
 /**
  * Advanced device matching using screen resolution and GPU
+ * Up to 20 search candidates are ranked against the device specs table (display, DPR, GPU)
  * @param {Object} params - Matching parameters
  * @param {string} params.brand - Device brand
  * @param {string} params.model - Device model
  * @param {number} params.screenWidth - Screen width
  * @param {number} params.screenHeight - Screen height
+ * @param {number} params.pixelRatio - Device pixel ratio
  * @param {string} params.gpuRenderer - GPU renderer string
- * @returns {Object|null} Best matching device or null
+ * @returns {Object|null} Best matching model record (with matchScore and scoreBreakdown) or null
  */
 function advancedDeviceMatch(params) {
   // Ensure database is initialized
@@ -177,77 +410,277 @@ function advancedDeviceMatch(params) {
     }
   }
   
-  const { brand, model, screenWidth, screenHeight, gpuRenderer } = params;
+  const { brand, model, screenWidth, screenHeight, pixelRatio, gpuRenderer } = params;
   
   try {
+    const findCandidates = term => searchDeviceCandidates(term, { limit: 20, minScore: MIN_CANDIDATE_SCORE, strictVariants: true });
     let candidates = [];
+    let searchTerm = null;
+    let modelOnly = false;
     
     // Step 1: Try to find by brand + model
     if (brand && model) {
-      const searchTerm = `${brand} ${model}`.trim();
-      let stmt = db.prepare(`
-        SELECT * FROM devices 
-        WHERE LOWER(standardised_full_name) LIKE LOWER(?)
-        LIMIT 20
-      `);
-      candidates = stmt.all(`%${searchTerm}%`);
+      searchTerm = `${brand} ${model}`.trim();
+      candidates = findCandidates(searchTerm);
     }
     
     // Step 2: If no candidates, try with just model
     if (candidates.length === 0 && model) {
-      let stmt = db.prepare(`
-        SELECT * FROM devices 
-        WHERE LOWER(standardised_full_name) LIKE LOWER(?)
-        LIMIT 20
-      `);
-      candidates = stmt.all(`%${model}%`);
+      searchTerm = model.trim();
+      modelOnly = true;
+      candidates = findCandidates(searchTerm);
     }
     
-    // Step 3: If we have candidates, try to narrow down using screen resolution
-    // For now, we'll return the first match (can be enhanced with resolution matching)
-    if (candidates.length > 0) {
-      return candidates[0];
+    if (candidates.length === 0) {
+      return null;
     }
     
-    return null;
+    // Step 3: Rank candidates against screen resolution, pixel ratio and GPU
+    // (stable sort: equal scores keep the search ranking)
+    const ranked = candidates
+      .map(candidate => ({
+        candidate,
+        ...scoreCandidate(candidate, { searchTerm, modelOnly, screenWidth, screenHeight, pixelRatio, gpuRenderer })
+      }))
+      .sort((a, b) => b.score - a.score);
+    
+    const best = ranked[0];
+    return {
+      ...best.candidate,
+      matchScore: best.score,
+      scoreBreakdown: best.breakdown,
+      candidateCount: candidates.length
+    };
   } catch (error) {
     console.error('Error in advanced device match:', error);
     return null;
   }
 }
 
+/**
+ * Get the exact device record for a TAC (Type Allocation Code, first 8 digits of the IMEI)
+ * @param {string} tac - 8-digit TAC
+ * @returns {Object|null} Device information or null if not found
+ */
+function getDeviceByTAC(tac) {
+  // Ensure database is initialized
+  if (!db) {
+    const initResult = initDatabase();
+    if (!initResult || !db) {
+      // Database not available, return null gracefully
+      return null;
+    }
+  }
+  
+  try {
+    return db.prepare('SELECT * FROM devices WHERE tac_imei = ? LIMIT 1').get(tac) || null;
+  } catch (error) {
+    console.error('Error looking up TAC:', error);
+    return null;
+  }
+}
+
+/**
+ * Format a GSMA device record for scans and API responses
+ * @param {Object} device - Raw GSMA device record
+ * @returns {Object|null} Device data with camelCase fields
+ */
+function formatDevice(device) {
+  if (!device) {
+    return null;
+  }
+  
+  return {
+    standardisedFullName: device.standardised_full_name,
+    standardisedManufacturer: device.standardised_manufacturer,
+    deviceType: device.device_type,
+    operatingSystem: device.operating_system,
+    bands: device.bands,
+    lte: device.lte,
+    g5: device.g5,
+    simslot: device.simslot,
+    euicc: device.euicc, // eSIM compatibility ('true'/'false', 'mixed' for models whose TACs disagree)
+    // Model records only (see device_models)
+    euiccSupport: device.euicc_support || null,
+    tacCount: device.tac_count || null,
+    euiccTacCount: device.euicc_tac_count === undefined ? null : device.euicc_tac_count
+  };
+}
+
 /**
  * Search multiple devices (for debugging/analysis)
  * @param {string} searchTerm - The device name to search for
  * @param {number} limit - Maximum number of results
- * @returns {Array} Array of device information
+ * @returns {Array} Scored model records (see searchDeviceCandidates)
  */
 function searchDevices(searchTerm, limit = 10) {
+  return searchDeviceCandidates(searchTerm, { limit });
+}
+
+/**
+ * Parse the catalog query string (/catalog, /api/devices)
+ * @param {Object} query - { q, manufacturer, type, euicc (yes, no, mixed, unknown), page, pageSize }
+ * @returns {Object} { filters, page, pageSize, errors }
+ */
+function parseCatalogQuery(query = {}) {
+  const errors = [];
+  const value = key => (typeof query[key] === 'string' && query[key].trim() !== '' ? query[key].trim() : null);
+  const filters = {};
+
+  for (const key of ['q', 'manufacturer', 'type']) {
+    if (value(key)) {
+      filters[key] = value(key);
+    }
+  }
+
+  if (value('euicc')) {
+    if (CATALOG_EUICC_FILTERS[value('euicc')]) {
+      filters.euicc = value('euicc');
+    } else {
+      errors.push(`Invalid euicc filter: ${value('euicc')} (${Object.keys(CATALOG_EUICC_FILTERS).join(', ')})`);
+    }
+  }
+
+  const page = Math.max(1, parseInt(value('page'), 10) || 1);
+  const pageSize = Math.min(MAX_CATALOG_PAGE_SIZE, Math.max(1, parseInt(value('pageSize'), 10) || CATALOG_PAGE_SIZE));
+
+  return { filters, page, pageSize, errors };
+}
+
+/**
+ * Find catalog models, paginated
+ * With a search term, models are ranked by searchScore (at most CATALOG_SEARCH_LIMIT results),
+ * otherwise sorted by name.
+ * @param {Object} options - { filters, page, pageSize } (see parseCatalogQuery)
+ * @returns {Object} { models, total, page, pageSize, pages }
+ */
+function findDeviceModels({ filters = {}, page = 1, pageSize = CATALOG_PAGE_SIZE } = {}) {
+  const empty = { models: [], total: 0, page, pageSize, pages: 1 };
+
   // Ensure database is initialized
   if (!db) {
     const initResult = initDatabase();
     if (!initResult || !db) {
-      // Database not available, return empty array gracefully
-      return [];
+      // Database not available, return an empty page gracefully
+      return empty;
     }
   }
-  
-  if (!searchTerm || searchTerm.trim() === '') {
-    return [];
+
+  try {
+    if (filters.q) {
+      const ranked = searchDeviceCandidates(filters.q, {
+        limit: CATALOG_SEARCH_LIMIT,
+        minScore: MIN_CANDIDATE_SCORE,
+        filters: filters,
+        candidateLimit: CATALOG_SEARCH_LIMIT
+      });
+      return {
+        models: ranked.slice((page - 1) * pageSize, page * pageSize),
+        total: ranked.length,
+        page,
+        pageSize,
+        pages: Math.max(1, Math.ceil(ranked.length / pageSize))
+      };
+    }
+
+    const { conditions, params } = buildModelConditions(filters);
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM device_models ${where}`).get(...params).count;
+    const models = db.prepare(`
+      SELECT * FROM device_models ${where}
+      ORDER BY standardised_full_name COLLATE NOCASE, id
+      LIMIT ? OFFSET ?
+    `).all(...params, pageSize, (page - 1) * pageSize);
+
+    return { models, total, page, pageSize, pages: Math.max(1, Math.ceil(total / pageSize)) };
+  } catch (error) {
+    console.error('Error listing device models:', error);
+    return empty;
   }
-  
+}
+
+/**
+ * Get a catalog model and its TACs
+ * @param {string} name - Standardised full name (exact)
+ * @returns {Object|null} { model: device_models row, tacs: devices rows by TAC } or null if not found
+ */
+function getDeviceModel(name) {
+  // Ensure database is initialized
+  if (!db) {
+    const initResult = initDatabase();
+    if (!initResult || !db) {
+      // Database not available, return null gracefully
+      return null;
+    }
+  }
+
   try {
-    const cleanTerm = searchTerm.trim();
-    const stmt = db.prepare(`
-      SELECT * FROM devices 
-      WHERE LOWER(standardised_full_name) LIKE LOWER(?)
-      LIMIT ?
-    `);
-    
-    return stmt.all(`%${cleanTerm}%`, limit);
+    const model = db.prepare('SELECT * FROM device_models WHERE standardised_full_name = ?').get(name);
+    if (!model) {
+      return null;
+    }
+    const tacs = db.prepare('SELECT * FROM devices WHERE standardised_full_name = ? ORDER BY tac_imei').all(name);
+    return { model, tacs };
   } catch (error) {
-    console.error('Error searching devices:', error);
-    return [];
+    console.error('Error getting device model:', error);
+    return null;
+  }
+}
+
+/**
+ * Exact standardised name of a model, ignoring case (no fuzzy search)
+ * @param {string} name - Model name
+ * @returns {string|null|undefined} Standardised full name, null if unknown, undefined if the database is unavailable
+ */
+function findModelName(name) {
+  // Ensure database is initialized
+  if (!db) {
+    const initResult = initDatabase();
+    if (!initResult || !db) {
+      return undefined;
+    }
+  }
+
+  try {
+    const model = db.prepare(`
+      SELECT standardised_full_name FROM device_models
+      WHERE LOWER(standardised_full_name) = LOWER(?)
+      LIMIT 1
+    `).get(name.trim());
+    return model ? model.standardised_full_name : null;
+  } catch (error) {
+    console.error('Error finding model name:', error);
+    return undefined;
+  }
+}
+
+/**
+ * Distinct values offered by the catalog filters
+ * @returns {Object} { manufacturers, types }
+ */
+function getCatalogFilterOptions() {
+  // Ensure database is initialized
+  if (!db) {
+    const initResult = initDatabase();
+    if (!initResult || !db) {
+      return { manufacturers: [], types: [] };
+    }
+  }
+
+  try {
+    const distinct = column => db.prepare(`
+      SELECT DISTINCT ${column} AS value FROM device_models
+      WHERE ${column} IS NOT NULL AND ${column} != ''
+      ORDER BY value COLLATE NOCASE
+    `).all().map(row => row.value);
+
+    return {
+      manufacturers: distinct('standardised_manufacturer'),
+      types: distinct('device_type')
+    };
+  } catch (error) {
+    console.error('Error getting catalog filter options:', error);
+    return { manufacturers: [], types: [] };
   }
 }
 
@@ -266,8 +699,10 @@ function getStats() {
   
   try {
     const count = db.prepare('SELECT COUNT(*) as count FROM devices').get();
+    const models = db.prepare('SELECT COUNT(*) as count FROM device_models').get();
     return {
       totalDevices: count.count,
+      totalModels: models.count,
       databasePath: DB_PATH
     };
   } catch (error) {
@@ -290,7 +725,17 @@ module.exports = {
   initDatabase,
   searchDevice,
   searchDevices,
+  searchDeviceCandidates,
   advancedDeviceMatch,
+  getDeviceByTAC,
+  formatDevice,
+  parseCatalogQuery,
+  findDeviceModels,
+  getDeviceModel,
+  findModelName,
+  getCatalogFilterOptions,
+  buildDeviceModels,
+  aggregateModel,
   getStats,
   closeDatabase,
   DB_PATH
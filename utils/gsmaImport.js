@@ -0,0 +1,650 @@
+const Database = require('better-sqlite3');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DB_PATH, buildDeviceModels } = require('./gsmaDatabase');
+const { readDelimited, toCSVField } = require('./delimited');
+
+const IMPORT_CONFIG_PATH = process.env.GSMA_IMPORT_CONFIG_PATH || path.join(__dirname, '../config', 'gsmaImport.json');
+
+const STAGING_TABLE = 'devices_staging';
+const BATCH_SIZE = 1000;
+
+// GSMA columns stored in the devices table (their source headers come from the import config)
+const GSMA_COLUMNS = [
+  'tac_imei',
+  'standardised_full_name',
+  'standardised_manufacturer',
+  'device_type',
+  'operating_system',
+  'bands',
+  'lte',
+  'g5',
+  'simslot',
+  'euicc'
+];
+
+// Reasons a row is rejected (rejected rows report)
+const REJECT_REASONS = {
+  unterminated_quote: 'Unterminated quote',
+  column_count: 'Column count differs from the header',
+  missing_tac: 'Missing TAC',
+  invalid_tac: 'TAC is not 8 digits',
+  missing_name: 'Missing device name',
+  placeholder_name: 'Placeholder device name'
+};
+
+// Columns compared between two imports of the same TAC
+const DIFF_COLUMNS = GSMA_COLUMNS.filter(column => column !== 'tac_imei');
+
+// Indexes of the live devices table (same as gsmaDatabase.initDatabase)
+const DEVICE_INDEXES = [
+  'CREATE INDEX IF NOT EXISTS idx_full_name ON devices(standardised_full_name)',
+  'CREATE INDEX IF NOT EXISTS idx_manufacturer ON devices(standardised_manufacturer)',
+  'CREATE INDEX IF NOT EXISTS idx_full_name_lower ON devices(LOWER(standardised_full_name))',
+  'CREATE INDEX IF NOT EXISTS idx_tac_imei ON devices(tac_imei)'
+];
+
+/**
+ * SQL creating a devices table (live or staging)
+ */
+function devicesTableSQL(table) {
+  return `
+    CREATE TABLE IF NOT EXISTS ${table} (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ${GSMA_COLUMNS.map(column => `${column} TEXT`).join(',\n      ')},
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+}
+
+/**
+ * Open the GSMA database and create the import bookkeeping tables
+ * WAL mode lets the server keep reading the live table while an import runs
+ */
+function openImportDatabase(dbPath = DB_PATH) {
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+
+  db.exec(devicesTableSQL('devices'));
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS import_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      file_name TEXT NOT NULL,
+      file_hash TEXT NOT NULL,
+      file_size INTEGER,
+      status TEXT NOT NULL,
+      lines_read INTEGER DEFAULT 0,
+      rows_imported INTEGER DEFAULT 0,
+      rows_skipped INTEGER DEFAULT 0,
+      previous_count INTEGER,
+      added_count INTEGER,
+      removed_count INTEGER,
+      changed_count INTEGER,
+      euicc_flipped_count INTEGER,
+      rejected_reasons TEXT,
+      rejects_file TEXT,
+      error TEXT,
+      started_at TEXT NOT NULL,
+      finished_at TEXT
+    )
+  `);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS import_changes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      import_id INTEGER NOT NULL,
+      change_type TEXT NOT NULL,
+      tac_imei TEXT,
+      standardised_full_name TEXT,
+      changed_fields TEXT,
+      euicc_before TEXT,
+      euicc_after TEXT
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_import_changes_import ON import_changes(import_id, change_type)');
+  // Rejected rows of the running import, committed with each checkpoint (the report is written from them)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS import_rejects (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      import_id INTEGER NOT NULL,
+      line INTEGER NOT NULL,
+      reason TEXT NOT NULL,
+      detail TEXT,
+      content TEXT
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_import_rejects_import ON import_rejects(import_id, line)');
+
+  // History tables created before the rejected rows report
+  const historyColumns = db.prepare('PRAGMA table_info(import_history)').all().map(column => column.name);
+  for (const column of ['rejected_reasons', 'rejects_file']) {
+    if (!historyColumns.includes(column)) {
+      db.exec(`ALTER TABLE import_history ADD COLUMN ${column} TEXT`);
+    }
+  }
+
+  return db;
+}
+
+/**
+ * SHA-256 of a file, streamed
+ * @returns {Promise<string>} Hex digest
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Normalize a header for comparisons (lowercase letters and digits only)
+ */
+function normalizeHeader(header) {
+  return (header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Validate an import config document
+ * @returns {Array<string>} List of validation errors (empty if valid)
+ */
+function validateImportConfig(config) {
+  if (!config || typeof config !== 'object') {
+    return ['config must be an object'];
+  }
+
+  const errors = [];
+  if (typeof config.delimiter !== 'string' || config.delimiter === '') {
+    errors.push('delimiter must be a non-empty string (or "auto")');
+  }
+  if (config.quote !== undefined && (typeof config.quote !== 'string' || config.quote.length > 1)) {
+    errors.push('quote must be a single character (or "" to disable quoting)');
+  }
+  if (typeof config.encoding !== 'string') {
+    errors.push('encoding must be a string');
+  }
+  if (!config.columns || typeof config.columns !== 'object') {
+    errors.push('columns must map each devices column to a list of headers');
+  } else {
+    for (const [column, headers] of Object.entries(config.columns)) {
+      if (!GSMA_COLUMNS.includes(column)) {
+        errors.push(`columns.${column}: unknown column (${GSMA_COLUMNS.join(', ')})`);
+      } else if (!Array.isArray(headers) || headers.length === 0 || !headers.every(h => typeof h === 'string')) {
+        errors.push(`columns.${column}: must be a non-empty list of header names`);
+      }
+    }
+  }
+  for (const column of config.required || []) {
+    if (!config.columns || !config.columns[column]) {
+      errors.push(`required: ${column} has no header mapping`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Load the import config (file layout and header mapping)
+ * @param {string} configPath - Config file (default: config/gsmaImport.json)
+ * @returns {Object} Config with defaults applied
+ */
+function loadImportConfig(configPath = IMPORT_CONFIG_PATH) {
+  const config = {
+    quote: '"',
+    encoding: 'utf-8',
+    required: [],
+    placeholderNames: [],
+    ...JSON.parse(fs.readFileSync(configPath, 'utf8'))
+  };
+  const errors = validateImportConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid GSMA import config (${configPath}):\n  - ${errors.join('\n  - ')}`);
+  }
+  return config;
+}
+
+/**
+ * Find the file column of each devices column from the header row
+ * @param {Array<string>} headers - Header fields of the file
+ * @param {Object} config - Import config
+ * @returns {Object} { mapping: column -> index, missing: unmapped columns }
+ * @throws {Error} If a required column has no header
+ */
+function resolveColumns(headers, config) {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+  const missing = [];
+
+  for (const column of GSMA_COLUMNS) {
+    const candidates = (config.columns[column] || []).map(normalizeHeader);
+    const index = normalized.findIndex(header => candidates.includes(header));
+    if (index === -1) {
+      missing.push(column);
+    } else {
+      mapping[column] = index;
+    }
+  }
+
+  const missingRequired = missing.filter(column => config.required.includes(column));
+  if (missingRequired.length > 0) {
+    throw new Error(`Required column(s) not found: ${missingRequired.join(', ')} (headers: ${headers.join(', ')})`);
+  }
+  return { mapping, missing };
+}
+
+/**
+ * Convert a data record of the GSMA file to a devices row
+ * @param {Array<string>} fields - Record fields
+ * @param {number} headerCount - Number of header fields
+ * @param {Object} mapping - Column -> field index (see resolveColumns)
+ * @param {Object} config - Import config
+ * @returns {Object} { device } or { reason } (key of REJECT_REASONS)
+ */
+function parseDeviceRecord(fields, headerCount, mapping, config) {
+  if (fields.length !== headerCount) {
+    return { reason: 'column_count', detail: `expected ${headerCount}, found ${fields.length}` };
+  }
+
+  const device = {};
+  for (const column of GSMA_COLUMNS) {
+    device[column] = column in mapping ? (fields[mapping[column]].trim() || null) : null;
+  }
+
+  if (!device.tac_imei) {
+    return { reason: 'missing_tac' };
+  }
+  if (!/^\d{8}$/.test(device.tac_imei)) {
+    return { reason: 'invalid_tac', detail: device.tac_imei };
+  }
+  if (!device.standardised_full_name) {
+    return { reason: 'missing_name' };
+  }
+  if (config.placeholderNames.includes(device.standardised_full_name)) {
+    return { reason: 'placeholder_name', detail: device.standardised_full_name };
+  }
+  return { device };
+}
+
+/**
+ * Convert an import_history row to an import summary
+ */
+function rowToImport(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    fileName: row.file_name,
+    fileHash: row.file_hash,
+    fileSize: row.file_size,
+    status: row.status,
+    linesRead: row.lines_read,
+    rowsImported: row.rows_imported,
+    rowsSkipped: row.rows_skipped,
+    previousCount: row.previous_count,
+    added: row.added_count,
+    removed: row.removed_count,
+    changed: row.changed_count,
+    euiccFlipped: row.euicc_flipped_count,
+    rejectedReasons: row.rejected_reasons ? JSON.parse(row.rejected_reasons) : {},
+    rejectsFile: row.rejects_file,
+    error: row.error,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at
+  };
+}
+
+/**
+ * Record the differences between the staging table and the live devices table in import_changes, by TAC
+ * The comparison runs in SQL, so neither table is loaded in memory
+ * @param {Database} db - Import database
+ * @param {number} importId - Import id
+ * @param {boolean} recordAdded - Store the added TACs (otherwise they are only counted)
+ * @returns {Object} { added, removed, changed, euiccFlipped } counts
+ */
+function recordChanges(db, importId, recordAdded) {
+  const insertChanges = select => db.prepare(`
+    INSERT INTO import_changes (import_id, change_type, tac_imei, standardised_full_name, changed_fields, euicc_before, euicc_after)
+    ${select}
+  `).run(importId).changes;
+
+  const addedSelect = `
+    FROM ${STAGING_TABLE} s
+    LEFT JOIN devices d ON d.tac_imei = s.tac_imei
+    WHERE d.id IS NULL
+  `;
+  const added = recordAdded
+    ? insertChanges(`SELECT ?, 'added', s.tac_imei, s.standardised_full_name, NULL, NULL, s.euicc ${addedSelect}`)
+    : db.prepare(`SELECT COUNT(*) AS count ${addedSelect}`).get().count;
+
+  const removed = insertChanges(`
+    SELECT ?, 'removed', d.tac_imei, d.standardised_full_name, NULL, d.euicc, NULL
+    FROM devices d
+    LEFT JOIN ${STAGING_TABLE} s ON s.tac_imei = d.tac_imei
+    WHERE s.id IS NULL
+  `);
+
+  // Before and after value of each changed field: { column: { before, after } }
+  const changedFields = `(
+    SELECT json_group_object(field, json_object('before', old_value, 'after', new_value))
+    FROM (${DIFF_COLUMNS.map(column => `SELECT '${column}' AS field, d.${column} AS old_value, s.${column} AS new_value`).join(' UNION ALL ')})
+    WHERE old_value IS NOT new_value
+  )`;
+  const changed = insertChanges(`
+    SELECT ?, 'changed', s.tac_imei, s.standardised_full_name, ${changedFields}, d.euicc, s.euicc
+    FROM ${STAGING_TABLE} s
+    JOIN devices d ON d.tac_imei = s.tac_imei
+    WHERE ${DIFF_COLUMNS.map(column => `d.${column} IS NOT s.${column}`).join(' OR ')}
+  `);
+
+  const euiccFlipped = db.prepare(`
+    SELECT COUNT(*) AS count FROM import_changes
+    WHERE import_id = ? AND change_type = 'changed' AND euicc_before IS NOT euicc_after
+  `).get(importId).count;
+
+  return { added, removed, changed, euiccFlipped };
+}
+
+/**
+ * Write the rejected rows report of an import from import_rejects (rows are streamed, by line)
+ */
+function writeRejectsReport(db, importId, rejectsPath) {
+  const fd = fs.openSync(rejectsPath, 'w');
+  try {
+    fs.writeSync(fd, 'line,reason,message,detail,content\r\n');
+    const rows = db.prepare('SELECT * FROM import_rejects WHERE import_id = ? ORDER BY line').iterate(importId);
+    for (const reject of rows) {
+      fs.writeSync(fd, [
+        reject.line, reject.reason, REJECT_REASONS[reject.reason], reject.detail, reject.content
+      ].map(toCSVField).join(',') + '\r\n');
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Import a GSMA TAC file into the devices table
+ *
+ * Rows are loaded into a staging table, checkpointed every batch so an interrupted
+ * import of the same file resumes where it stopped. Once the file is read, the
+ * staging table is compared with the live table and swapped in in one transaction:
+ * readers see either the previous or the new database, never a partial one.
+ * Rows that cannot be imported are checkpointed with their line number and reason,
+ * and written to a rejected rows report (CSV) covering the whole file, resumes included.
+ *
+ * @param {string} filePath - GSMA file (layout described by the import config)
+ * @param {Object} options - { force: re-import an unchanged file, config, delimiter, encoding, quote, rejectsPath, dbPath, log }
+ * @returns {Promise<Object>} Import summary (see rowToImport), status 'completed' or 'unchanged'
+ */
+async function importGSMAFile(filePath, options = {}) {
+  const { force = false, dbPath = DB_PATH, log = console.log } = options;
+  const config = { ...(options.config || loadImportConfig()) };
+  for (const key of ['delimiter', 'encoding', 'quote']) {
+    if (options[key] !== undefined && options[key] !== null) {
+      config[key] = options[key];
+    }
+  }
+
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`GSMA file not found: ${filePath}`);
+  }
+
+  const fileHash = await hashFile(filePath);
+  const fileSize = fs.statSync(filePath).size;
+  const db = openImportDatabase(dbPath);
+
+  try {
+    const lastCompleted = db.prepare(`
+      SELECT * FROM import_history WHERE status = 'completed' ORDER BY id DESC LIMIT 1
+    `).get();
+    if (!force && lastCompleted && lastCompleted.file_hash === fileHash) {
+      log(`⏭️  File unchanged since import #${lastCompleted.id} (${lastCompleted.finished_at}), nothing to do`);
+      return { ...rowToImport(lastCompleted), status: 'unchanged' };
+    }
+
+    const stagingExists = !!db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?`).get(STAGING_TABLE);
+    const unfinished = db.prepare(`
+      SELECT * FROM import_history WHERE status IN ('running', 'failed') ORDER BY id DESC LIMIT 1
+    `).get();
+
+    let importRow;
+    if (unfinished && unfinished.file_hash === fileHash && stagingExists) {
+      importRow = unfinished;
+      db.prepare(`UPDATE import_history SET status = 'running', error = NULL WHERE id = ?`).run(importRow.id);
+      log(`↩️  Resuming import #${importRow.id} after line ${importRow.lines_read} (${importRow.rows_imported} rows already staged)`);
+    } else {
+      db.prepare(`UPDATE import_history SET status = 'abandoned', finished_at = ? WHERE status IN ('running', 'failed')`)
+        .run(new Date().toISOString());
+      db.exec('DELETE FROM import_rejects');
+      db.exec(`DROP TABLE IF EXISTS ${STAGING_TABLE}`);
+      db.exec(devicesTableSQL(STAGING_TABLE));
+
+      const result = db.prepare(`
+        INSERT INTO import_history (file_name, file_hash, file_size, status, started_at)
+        VALUES (?, ?, ?, 'running', ?)
+      `).run(path.basename(filePath), fileHash, fileSize, new Date().toISOString());
+      importRow = db.prepare('SELECT * FROM import_history WHERE id = ?').get(result.lastInsertRowid);
+      log(`🆕 Import #${importRow.id} started (sha256 ${fileHash.substring(0, 12)}…)`);
+    }
+
+    const importId = importRow.id;
+    const resumeAfter = importRow.lines_read;
+    const rejectsPath = options.rejectsPath || importRow.rejects_file ||
+      path.join(path.dirname(dbPath), `gsma-import-${importId}-rejected.csv`);
+    let linesRead = importRow.lines_read;
+    let rowsImported = importRow.rows_imported;
+    let rowsSkipped = importRow.rows_skipped;
+    let rejectCounts = importRow.rejected_reasons ? JSON.parse(importRow.rejected_reasons) : {};
+
+    db.prepare('UPDATE import_history SET rejects_file = ? WHERE id = ?').run(rejectsPath, importId);
+
+    const insertStmt = db.prepare(`
+      INSERT INTO ${STAGING_TABLE} (${GSMA_COLUMNS.join(', ')})
+      VALUES (${GSMA_COLUMNS.map(() => '?').join(', ')})
+    `);
+    const insertRejectStmt = db.prepare(`
+      INSERT INTO import_rejects (import_id, line, reason, detail, content) VALUES (?, ?, ?, ?, ?)
+    `);
+    const checkpointStmt = db.prepare(`
+      UPDATE import_history SET lines_read = ?, rows_imported = ?, rows_skipped = ?, rejected_reasons = ? WHERE id = ?
+    `);
+
+    // A batch, its rejected rows and its checkpoint are committed together, so a resume never duplicates rows
+    const commitBatch = db.transaction((devices, rejects, checkpoint) => {
+      for (const device of devices) {
+        insertStmt.run(...GSMA_COLUMNS.map(column => device[column]));
+      }
+      for (const reject of rejects) {
+        insertRejectStmt.run(importId, reject.line, reject.reason, reject.detail, reject.content);
+      }
+      checkpointStmt.run(checkpoint.linesRead, checkpoint.rowsImported, checkpoint.rowsSkipped,
+        JSON.stringify(checkpoint.rejectCounts), importId);
+    });
+
+    let lastLine = linesRead;
+    let header = null;
+    let batch = [];
+    let rejected = [];
+
+    const flush = () => {
+      const counts = { ...rejectCounts };
+      for (const reject of rejected) {
+        counts[reject.reason] = (counts[reject.reason] || 0) + 1;
+      }
+      commitBatch(batch, rejected, {
+        linesRead: lastLine,
+        rowsImported: rowsImported + batch.length,
+        rowsSkipped: rowsSkipped + rejected.length,
+        rejectCounts: counts
+      });
+      rowsImported += batch.length;
+      rowsSkipped += rejected.length;
+      rejectCounts = counts;
+      linesRead = lastLine;
+      batch = [];
+      rejected = [];
+    };
+
+    try {
+      const records = readDelimited(fs.createReadStream(filePath), {
+        delimiter: config.delimiter,
+        quote: config.quote,
+        encoding: config.encoding,
+        onDelimiter: delimiter => {
+          config.delimiter = delimiter;
+          log(`🔎 Delimiter detected: ${JSON.stringify(delimiter)}`);
+        }
+      });
+
+      for await (const record of records) {
+        // The header is read again on resume, to map the columns
+        if (!header) {
+          if (record.error) {
+            throw new Error(`Invalid header line ${record.line}: ${record.error}`);
+          }
+          const { mapping, missing } = resolveColumns(record.fields, config);
+          header = { count: record.fields.length, mapping };
+          log(`📋 Headers found: ${record.fields.length} columns`);
+          if (missing.length > 0) {
+            log(`⚠️  Columns not found in the file (left empty): ${missing.join(', ')}`);
+          }
+          continue;
+        }
+
+        if (record.line <= resumeAfter) {
+          continue;
+        }
+        lastLine = record.endLine;
+
+        if (record.error) {
+          rejected.push({ line: record.line, reason: 'unterminated_quote', detail: null, content: record.raw });
+        } else {
+          const parsed = parseDeviceRecord(record.fields, header.count, header.mapping, config);
+          if (parsed.device) {
+            batch.push(parsed.device);
+          } else {
+            rejected.push({ line: record.line, reason: parsed.reason, detail: parsed.detail || null, content: record.fields.join(config.delimiter) });
+          }
+        }
+
+        if (batch.length + rejected.length >= BATCH_SIZE) {
+          flush();
+          log(`✅ Staged ${rowsImported} devices...`);
+        }
+      }
+      if (!header) {
+        throw new Error('File is empty (no header line)');
+      }
+      flush();
+    } catch (error) {
+      db.prepare(`UPDATE import_history SET status = 'failed', error = ? WHERE id = ?`).run(error.message, importId);
+      throw error;
+    } finally {
+      writeRejectsReport(db, importId, rejectsPath);
+    }
+
+    log(`📦 Staging complete: ${rowsImported} devices, ${rowsSkipped} rows rejected`);
+    if (rowsSkipped > 0) {
+      log(`📝 Rejected rows report: ${rejectsPath}`);
+    }
+
+    // Swap: diff against the live table, then replace it
+    const previousCount = db.prepare('SELECT COUNT(*) AS count FROM devices').get().count;
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_${STAGING_TABLE}_tac ON ${STAGING_TABLE}(tac_imei)`);
+
+    let modelCount = 0;
+    db.transaction(() => {
+      // The first import adds every TAC: only the counts are worth keeping
+      const diff = recordChanges(db, importId, previousCount > 0);
+
+      db.exec('DROP TABLE devices');
+      db.exec(`DROP INDEX IF EXISTS idx_${STAGING_TABLE}_tac`);
+      db.exec(`ALTER TABLE ${STAGING_TABLE} RENAME TO devices`);
+      for (const sql of DEVICE_INDEXES) {
+        db.exec(sql);
+      }
+      modelCount = buildDeviceModels(db);
+
+      db.prepare(`
+        UPDATE import_history
+        SET status = 'completed', lines_read = ?, rows_imported = ?, rows_skipped = ?, previous_count = ?,
+            added_count = ?, removed_count = ?, changed_count = ?, euicc_flipped_count = ?, finished_at = ?
+        WHERE id = ?
+      `).run(linesRead, rowsImported, rowsSkipped, previousCount, diff.added, diff.removed,
+        diff.changed, diff.euiccFlipped, new Date().toISOString(), importId);
+      db.prepare('DELETE FROM import_rejects WHERE import_id = ?').run(importId);
+    })();
+
+    log(`🧩 Device models rebuilt: ${modelCount} models`);
+    return rowToImport(db.prepare('SELECT * FROM import_history WHERE id = ?').get(importId));
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * List past imports, most recent first
+ */
+function getImportHistory(limit = 20, dbPath = DB_PATH) {
+  const db = openImportDatabase(dbPath);
+  try {
+    return db.prepare('SELECT * FROM import_history ORDER BY id DESC LIMIT ?').all(limit).map(rowToImport);
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Diff report of an import: summary and added / removed / changed TACs
+ * @param {number} importId - Import id (defaults to the last completed import)
+ * @returns {Object|null} { import, added, removed, changed, euiccFlipped } or null if not found
+ */
+function getImportReport(importId = null, dbPath = DB_PATH) {
+  const db = openImportDatabase(dbPath);
+  try {
+    const row = importId
+      ? db.prepare('SELECT * FROM import_history WHERE id = ?').get(importId)
+      : db.prepare(`SELECT * FROM import_history WHERE status = 'completed' ORDER BY id DESC LIMIT 1`).get();
+    if (!row) {
+      return null;
+    }
+
+    const changes = db.prepare('SELECT * FROM import_changes WHERE import_id = ? ORDER BY id').all(row.id)
+      .map(change => ({
+        type: change.change_type,
+        tac: change.tac_imei,
+        name: change.standardised_full_name,
+        changedFields: change.changed_fields ? JSON.parse(change.changed_fields) : null,
+        euiccBefore: change.euicc_before,
+        euiccAfter: change.euicc_after
+      }));
+
+    const changed = changes.filter(change => change.type === 'changed');
+    return {
+      import: rowToImport(row),
+      added: changes.filter(change => change.type === 'added'),
+      removed: changes.filter(change => change.type === 'removed'),
+      changed: changed,
+      euiccFlipped: changed.filter(change => 'euicc' in change.changedFields)
+    };
+  } finally {
+    db.close();
+  }
+}
+
+module.exports = {
+  importGSMAFile,
+  getImportHistory,
+  getImportReport,
+  loadImportConfig,
+  resolveColumns,
+  parseDeviceRecord,
+  hashFile,
+  GSMA_COLUMNS,
+  REJECT_REASONS,
+  IMPORT_CONFIG_PATH
+};
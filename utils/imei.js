@@ -0,0 +1,85 @@
+/**
+ * IMEI / TAC helpers
+ * An IMEI has 15 digits: 8-digit TAC (Type Allocation Code) + 6-digit serial + Luhn check digit
+ */
+
+const IMEI_LENGTH = 15;
+const TAC_LENGTH = 8;
+
+/**
+ * Remove separators users typically type or copy from *#06# (spaces, dashes, slashes, dots)
+ * @param {string} input - Raw IMEI input
+ * @returns {string} Normalized IMEI
+ */
+function normalizeIMEI(input) {
+  return String(input || '').replace(/[\s\-\/.]/g, '');
+}
+
+/**
+ * Check the Luhn checksum of a digit string
+ * @param {string} digits - Digits only, check digit last
+ * @returns {boolean} True if the checksum is valid
+ */
+function isValidLuhn(digits) {
+  let sum = 0;
+  let double = false;
+
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = parseInt(digits[i], 10);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+    double = !double;
+  }
+
+  return sum % 10 === 0;
+}
+
+/**
+ * Validate an IMEI and extract its TAC
+ * @param {string} input - Raw IMEI input
+ * @returns {Object} { valid, imei, tac, error }
+ */
+function validateIMEI(input) {
+  const imei = normalizeIMEI(input);
+
+  if (!/^\d+$/.test(imei)) {
+    return { valid: false, imei, tac: null, error: 'IMEI must contain digits only' };
+  }
+  if (imei.length !== IMEI_LENGTH) {
+    return { valid: false, imei, tac: null, error: `IMEI must have ${IMEI_LENGTH} digits (got ${imei.length})` };
+  }
+  if (!isValidLuhn(imei)) {
+    return { valid: false, imei, tac: null, error: 'Invalid IMEI check digit (Luhn)' };
+  }
+
+  return { valid: true, imei, tac: extractTAC(imei), error: null };
+}
+
+/**
+ * Extract the TAC (first 8 digits) of an IMEI
+ * @param {string} imei - Normalized IMEI
+ * @returns {string} TAC
+ */
+function extractTAC(imei) {
+  return imei.substring(0, TAC_LENGTH);
+}
+
+/**
+ * Check that a value is a well-formed TAC (8 digits)
+ */
+function isValidTAC(tac) {
+  return new RegExp(`^\\d{${TAC_LENGTH}}$`).test(String(tac || ''));
+}
+
+module.exports = {
+  normalizeIMEI,
+  isValidLuhn,
+  validateIMEI,
+  extractTAC,
+  isValidTAC
+};
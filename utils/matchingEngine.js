@@ -0,0 +1,873 @@
+const {
+  searchDevice: searchGSMADevice,
+  advancedDeviceMatch: advancedGSMADeviceMatch
+} = require('./gsmaDatabase');
+const {
+  checkDeviceSignature,
+  identifyAndroidByGPU,
+  identifyiPhoneModel,
+  isiPhoneESIMCompatible
+} = require('./fingerprinting');
+const { findLifecycle, getObservedOSVersion, supportsOSVersion, describeSupport } = require('./deviceLifecycle');
+const { detectRegions, findRegionalRule } = require('./regionalESIM');
+const { buildSIMProfile } = require('./simProfile');
+const { scoreVerdict, rankCandidates } = require('./confidenceScoring');
+const { resolveModelAlias } = require('./aliasRepository');
+const { normalizeModelTokens, VARIANT_TOKENS } = require('./modelSearch');
+
+/**
+ * Top 50 eSIM-compatible devices (fallback when database is unavailable)
+ * Format: { deviceName: { euicc: true/false, manufacturer: string } }
+ */
+const TOP_ESIM_DEVICES = {
+  'iPhone 12': { euicc: true, manufacturer: 'Apple' },
+  'iPhone 13': { euicc: true, manufacturer: 'Apple' },
+  'iPhone 14': { euicc: true, manufacturer: 'Apple' },
+  'iPhone 15': { euicc: true, manufacturer: 'Apple' },
+  'iPhone 16': { euicc: true, manufacturer: 'Apple' },
+  'iPhone XS': { euicc: true, manufacturer: 'Apple' },
+  'iPhone XR': { euicc: true, manufacturer: 'Apple' },
+  'iPhone 11': { euicc: true, manufacturer: 'Apple' },
+  'Motorola Edge 50': { euicc: true, manufacturer: 'Motorola' },
+  'Moto G84': { euicc: true, manufacturer: 'Motorola' },
+  'Google Pixel 7': { euicc: true, manufacturer: 'Google' },
+  'Google Pixel 7a': { euicc: true, manufacturer: 'Google' },
+  'Google Pixel 8': { euicc: true, manufacturer: 'Google' },
+  'Samsung Galaxy S23': { euicc: true, manufacturer: 'Samsung' },
+  'Samsung Galaxy S24': { euicc: true, manufacturer: 'Samsung' },
+  'Samsung Galaxy S25': { euicc: true, manufacturer: 'Samsung' },
+  'OnePlus 11': { euicc: true, manufacturer: 'OnePlus' },
+  'OnePlus 12': { euicc: true, manufacturer: 'OnePlus' }
+};
+
+/**
+ * Fallback GSMA search using hardcoded list (when database unavailable)
+ */
+function searchGSMADeviceFallback(searchTerm) {
+  if (!searchTerm) return null;
+  
+  const normalized = searchTerm.toLowerCase().trim();
+  
+  // Try exact match first
+  for (const [deviceName, data] of Object.entries(TOP_ESIM_DEVICES)) {
+    if (normalized === deviceName.toLowerCase()) {
+      return {
+        standardised_full_name: deviceName,
+        standardised_manufacturer: data.manufacturer,
+        euicc: data.euicc ? 'true' : 'false'
+      };
+    }
+  }
+  
+  // Try partial match: one name's tokens contain the other's ("Apple iPhone 13" / "iPhone 13"),
+  // with the same variant tokens ("iPhone 13 mini" is not "iPhone 13")
+  const queryTokens = normalizeModelTokens(searchTerm);
+  const variantsOf = tokens => tokens.filter(token => VARIANT_TOKENS.has(token)).sort().join(' ');
+  for (const [deviceName, data] of Object.entries(TOP_ESIM_DEVICES)) {
+    const nameTokens = normalizeModelTokens(deviceName);
+    const contains = (tokens, others) => others.every(token => tokens.includes(token));
+    if (queryTokens.length > 0 && variantsOf(queryTokens) === variantsOf(nameTokens) &&
+        (contains(queryTokens, nameTokens) || contains(nameTokens, queryTokens))) {
+      return {
+        standardised_full_name: deviceName,
+        standardised_manufacturer: data.manufacturer,
+        euicc: data.euicc ? 'true' : 'false'
+      };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Convert a client-provided value to a number (null if missing or invalid)
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Build a normalized signal object from the /log/:id payload
+ * (server-side data captured on /s/:id merged with client-side data)
+ * @param {Object} clientData - Raw request body posted by the collector
+ * @returns {Object} Normalized signals consumed by the matching engine
+ */
+function normalizeSignals(clientData = {}) {
+  const serverData = clientData.serverData || {};
+  const clientHintsData = clientData.clientHintsData || {};
+  // Client Hints request headers (Accept-CH on /s/:id), used when the collector could not read them
+  const headerHints = serverData.clientHints || {};
+
+  return {
+    brand: serverData.deviceBrand || null,
+    model: serverData.deviceModel || null,
+    os: serverData.os || null,
+    osVersion: serverData.osVersion || null,
+    userAgent: serverData.userAgent || clientData.fullUserAgent || null,
+    screenWidth: toNumber(clientData.screenWidth),
+    screenHeight: toNumber(clientData.screenHeight),
+    pixelRatio: toNumber(clientData.pixelRatio),
+    gpuRenderer: clientData.gpuRenderer || null,
+    hardwareConcurrency: toNumber(clientData.hardwareConcurrency),
+    deviceMemory: toNumber(clientData.deviceMemory),
+    timezone: clientData.timezone || null,
+    acceptLanguage: serverData.acceptLanguage || null,
+    clientHints: {
+      model: clientHintsData.model || headerHints.model || null,
+      brand: clientHintsData.brand || null,
+      platformVersion: clientHintsData.platformVersion || headerHints.platformVersion || null
+    },
+    mediaQueries: clientData.mediaQueries || {}
+  };
+}
+
+/**
+ * Check if the User-Agent brand/model is masked or missing
+ * ("K" is the frozen model Chrome reports with a reduced User-Agent)
+ */
+function isMaskedDevice(signals) {
+  return !signals.brand || !signals.model || signals.model === 'K';
+}
+
+/**
+ * Check if the signals describe an Apple/iPhone device
+ */
+function isAppleDevice(signals) {
+  return (signals.brand && signals.brand.toLowerCase().includes('apple')) ||
+         (signals.model && signals.model.toLowerCase().includes('iphone'));
+}
+
+/**
+ * Check if a GSMA record reports eUICC (eSIM) support
+ * @returns {boolean|null} null for models whose TACs disagree (eSIM support varies by variant)
+ */
+function hasEUICC(record) {
+  if (record.euicc_support === 'mixed' || record.euicc === 'mixed') {
+    return null;
+  }
+  return record.euicc === 'true' || record.euicc === true;
+}
+
+/**
+ * Whether a record comes from the GSMA database (records of the hardcoded fallback list are tagged source: 'fallback')
+ */
+function isGSMARecord(record) {
+  return Boolean(record) && record.source !== 'fallback';
+}
+
+/**
+ * Tag a record of the hardcoded fallback list, so it is never reported as a GSMA match
+ */
+function tagFallbackRecord(record) {
+  return record ? { ...record, source: 'fallback' } : null;
+}
+
+/**
+ * Record standing for a list of candidates: the first GSMA record, else the first fallback record
+ */
+function pickRecord(records) {
+  return records.find(isGSMARecord) || records.find(Boolean) || null;
+}
+
+/**
+ * Describe the eUICC value of a GSMA record for decision reasons
+ */
+function describeEUICC(record) {
+  if (record.euicc_support === 'mixed') {
+    return `mixed eUICC support (${record.euicc_tac_count} of ${record.tac_count} TACs)`;
+  }
+  return `eUICC = ${record.euicc}`;
+}
+
+/**
+ * Look up every candidate model of a fingerprint in GSMA
+ * Only a repeated model name gives a single candidate: close models ("iPhone X" / "iPhone XS")
+ * stay apart, each with its own GSMA record, so that later filters (OS version) keep the right one
+ * @returns {Array<Object>} [{ model, gsmaRecord }] in the order of the rule
+ */
+function lookupCandidates(models, lookup) {
+  const candidates = new Map();
+  for (const model of models) {
+    const key = model.toLowerCase().replace(/\s+/g, ' ').trim();
+    if (!candidates.has(key)) {
+      candidates.set(key, { model, gsmaRecord: lookup.search(model) });
+    }
+  }
+  return [...candidates.values()];
+}
+
+/**
+ * Candidate of a verdict as stored on the scan: name, probability and eSIM status
+ * Candidates missing from GSMA use the hardcoded fallback list, or the iPhone eSIM fallback rule when it applies
+ */
+function describeCandidate(candidate) {
+  const record = isGSMARecord(candidate.gsmaRecord) ? candidate.gsmaRecord : null;
+  const fallbackRecord = record ? null : candidate.gsmaRecord;
+  const isiPhone = !record && /iphone/i.test(candidate.model);
+  let eSIMCompatible = null;
+  if (record) {
+    eSIMCompatible = hasEUICC(record);
+  } else if (fallbackRecord) {
+    eSIMCompatible = hasEUICC(fallbackRecord);
+  } else if (isiPhone) {
+    eSIMCompatible = isiPhoneESIMCompatible([candidate.model]);
+  }
+  return {
+    model: candidate.model,
+    gsmaName: record ? record.standardised_full_name : null,
+    probability: candidate.probability,
+    euicc: record ? record.euicc : null,
+    euiccSupport: record ? record.euicc_support || null : null,
+    simslot: record ? record.simslot || null : null,
+    eSIMCompatible: eSIMCompatible,
+    eSIMSource: record ? 'gsma' : (fallbackRecord || isiPhone ? 'fallback' : null)
+  };
+}
+
+/**
+ * Matching strategies, in priority order
+ * Each strategy:
+ * - skipReason(signals, verdict): why it does not apply (null if it applies)
+ * - input(signals): the signals it uses (recorded in the match trace)
+ * - run(signals, lookup): { match, reason } where match is a partial verdict, or null if nothing was found
+ */
+const strategies = [
+  {
+    // Known hardware signatures (GPU + width) for devices that mask their User-Agent
+    name: 'signature',
+    skipReason(signals) {
+      if (!isMaskedDevice(signals) && signals.clientHints.model) {
+        return 'User-Agent brand/model and Client Hints model are available';
+      }
+      if (!signals.gpuRenderer || !signals.screenWidth) {
+        return 'GPU renderer or screen width missing';
+      }
+      return null;
+    },
+    input: (signals) => ({ gpuRenderer: signals.gpuRenderer, screenWidth: signals.screenWidth }),
+    run(signals, lookup) {
+      const signature = checkDeviceSignature(signals.gpuRenderer, signals.screenWidth);
+      if (!signature) {
+        return { match: null, reason: 'No signature rule matches this GPU and screen width' };
+      }
+
+      const candidates = lookupCandidates(signature.searchTerms, lookup);
+      const gsmaRecord = pickRecord(candidates.map(candidate => candidate.gsmaRecord));
+      return {
+        match: {
+          deducedModel: signature.deducedModel,
+          candidateModels: [...signature.searchTerms],
+          candidates: candidates,
+          gsmaRecord: gsmaRecord,
+          signatureMatch: signature
+        },
+        reason: `Signature rule "${signature.id}" matched` +
+          (isGSMARecord(gsmaRecord) ? '' : ', but none of its search terms is in GSMA')
+      };
+    }
+  },
+  {
+    // Android GPU + resolution fingerprint table
+    name: 'androidFingerprint',
+    skipReason(signals, verdict) {
+      if (verdict.signatureMatch) {
+        return 'A signature rule already matched';
+      }
+      if (!isMaskedDevice(signals)) {
+        return 'User-Agent brand/model are not masked';
+      }
+      if (!signals.gpuRenderer || !signals.screenWidth) {
+        return 'GPU renderer or screen width missing';
+      }
+      return null;
+    },
+    input: (signals) => ({
+      gpuRenderer: signals.gpuRenderer,
+      screenWidth: signals.screenWidth,
+      screenHeight: signals.screenHeight,
+      pixelRatio: signals.pixelRatio
+    }),
+    run(signals, lookup) {
+      const fingerprint = identifyAndroidByGPU(signals.gpuRenderer, signals.screenWidth, signals.screenHeight, signals.pixelRatio);
+      if (!fingerprint) {
+        return { match: null, reason: 'No Android fingerprint matches this GPU and resolution' };
+      }
+
+      const candidates = lookupCandidates(fingerprint.models, lookup);
+      const gsmaRecord = pickRecord(candidates.map(candidate => candidate.gsmaRecord));
+      return {
+        match: {
+          deducedModel: fingerprint.displayName,
+          candidateModels: [...fingerprint.models],
+          candidates: candidates,
+          gsmaRecord: gsmaRecord,
+          androidFingerprint: fingerprint
+        },
+        reason: `Android fingerprint "${fingerprint.displayName}" matched` +
+          (isGSMARecord(gsmaRecord) ? '' : ', but none of its models is in GSMA')
+      };
+    }
+  },
+  {
+    // iPhone resolution fingerprint table, every candidate model is looked up in GSMA
+    name: 'iphoneFingerprint',
+    skipReason(signals, verdict) {
+      if (verdict.androidFingerprint) {
+        return 'An Android fingerprint already matched';
+      }
+      if (!isAppleDevice(signals)) {
+        return 'Not an Apple device';
+      }
+      return null;
+    },
+    input: (signals) => ({
+      screenWidth: signals.screenWidth,
+      screenHeight: signals.screenHeight,
+      pixelRatio: signals.pixelRatio
+    }),
+    run(signals, lookup) {
+      const fingerprint = identifyiPhoneModel(signals.screenWidth, signals.screenHeight, signals.pixelRatio, signals.gpuRenderer, signals.hardwareConcurrency);
+      if (!fingerprint) {
+        return { match: null, reason: `No iPhone model has resolution ${signals.screenWidth}x${signals.screenHeight}@${signals.pixelRatio}x` };
+      }
+
+      const candidates = lookupCandidates(fingerprint.models, lookup);
+      const gsmaMatches = candidates
+        .map(candidate => candidate.gsmaRecord)
+        .filter(isGSMARecord);
+
+      // Apply the iPhone eSIM rule when some (or all) models are missing from GSMA
+      let eSIMFallback = null;
+      if (candidates.some(candidate => !isGSMARecord(candidate.gsmaRecord))) {
+        eSIMFallback = isiPhoneESIMCompatible(fingerprint.models);
+      }
+
+      return {
+        match: {
+          deducedModel: fingerprint.displayName,
+          candidateModels: [...fingerprint.models],
+          candidates: candidates,
+          // First match is the primary result (for admin view)
+          gsmaRecord: pickRecord(candidates.map(candidate => candidate.gsmaRecord)),
+          gsmaMatches: gsmaMatches,
+          eSIMFallback: eSIMFallback,
+          iphoneFingerprint: fingerprint,
+          isResolutionBased: !fingerprint.isUnique
+        },
+        reason: `${fingerprint.models.length} iPhone model(s) share this resolution, ${gsmaMatches.length} found in GSMA` +
+          (eSIMFallback !== null ? `, iPhone eSIM fallback rule gives ${eSIMFallback ? 'YES' : 'NO'}` : '')
+      };
+    }
+  },
+  {
+    // High-entropy Client Hints model (bypasses masked User-Agent)
+    name: 'clientHints',
+    skipReason(signals, verdict) {
+      if (isGSMARecord(verdict.gsmaRecord)) {
+        return 'A GSMA record was already found';
+      }
+      if (verdict.androidFingerprint || verdict.iphoneFingerprint) {
+        return 'A fingerprint already matched';
+      }
+      if (!signals.clientHints.model) {
+        return 'No Client Hints model';
+      }
+      return null;
+    },
+    input: (signals) => ({ model: signals.clientHints.model, brand: signals.clientHints.brand }),
+    run(signals, lookup) {
+      const { model, brand } = signals.clientHints;
+      const searchTerm = brand ? `${brand} ${model}` : model;
+
+      // Try with just the model name if brand + model is not found
+      const gsmaRecord = lookup.search(searchTerm) || lookup.search(model);
+      if (!gsmaRecord) {
+        return { match: null, reason: `Client Hints model "${model}" not found in GSMA` };
+      }
+
+      return {
+        match: {
+          deducedModel: gsmaRecord.standardised_full_name,
+          candidateModels: [gsmaRecord.standardised_full_name],
+          candidates: [{ model: gsmaRecord.standardised_full_name, gsmaRecord }],
+          gsmaRecord: gsmaRecord
+        },
+        reason: `Client Hints model "${model}" found in ${isGSMARecord(gsmaRecord) ? 'GSMA' : 'the fallback list'}`
+      };
+    }
+  },
+  {
+    // GSMA candidates for the User-Agent brand/model, ranked with screen and GPU
+    name: 'advancedDeviceMatch',
+    skipReason(signals, verdict) {
+      if (isGSMARecord(verdict.gsmaRecord)) {
+        return 'A GSMA record was already found';
+      }
+      if (verdict.signatureMatch || verdict.androidFingerprint || verdict.iphoneFingerprint) {
+        return 'A fingerprint already matched';
+      }
+      if (!signals.brand && !signals.model) {
+        return 'No User-Agent brand or model';
+      }
+      return null;
+    },
+    input: (signals) => ({
+      brand: signals.brand,
+      model: signals.model,
+      screenWidth: signals.screenWidth,
+      screenHeight: signals.screenHeight,
+      pixelRatio: signals.pixelRatio,
+      gpuRenderer: signals.gpuRenderer
+    }),
+    run(signals, lookup) {
+      const gsmaRecord = lookup.advancedMatch({
+        brand: signals.brand,
+        model: signals.model,
+        screenWidth: signals.screenWidth,
+        screenHeight: signals.screenHeight,
+        pixelRatio: signals.pixelRatio,
+        gpuRenderer: signals.gpuRenderer
+      });
+      if (!gsmaRecord) {
+        return { match: null, reason: 'No GSMA candidate for this brand/model' };
+      }
+
+      // The ranking score explains the choice between candidates, the verdict confidence is scored by the engine
+      const hasScore = typeof gsmaRecord.matchScore === 'number';
+      const breakdown = Object.entries(gsmaRecord.scoreBreakdown || {})
+        .map(([key, value]) => `${key} ${value > 0 ? '+' : ''}${value}`)
+        .join(', ');
+      return {
+        match: {
+          gsmaRecord: gsmaRecord,
+          candidateModels: [gsmaRecord.standardised_full_name],
+          candidates: [{ model: gsmaRecord.standardised_full_name, gsmaRecord }]
+        },
+        reason: hasScore
+          ? `GSMA candidate "${gsmaRecord.standardised_full_name}" ranked best of ${gsmaRecord.candidateCount} (score ${gsmaRecord.matchScore}: ${breakdown})`
+          : `GSMA candidate "${gsmaRecord.standardised_full_name}" selected`
+      };
+    }
+  },
+  {
+    // Last resort: plain GSMA search on the User-Agent brand/model
+    name: 'searchDevice',
+    skipReason(signals, verdict) {
+      if (isGSMARecord(verdict.gsmaRecord)) {
+        return 'A GSMA record was already found';
+      }
+      if (!signals.brand && !signals.model) {
+        return 'No User-Agent brand or model';
+      }
+      return null;
+    },
+    input: (signals) => ({ brand: signals.brand, model: signals.model }),
+    run(signals, lookup) {
+      const { brand, model } = signals;
+      const searchTerm = brand && model ? `${brand} ${model}`.trim() : (model || brand);
+
+      let gsmaRecord = lookup.searchDatabase(searchTerm);
+      let modelOnly = false;
+
+      // If not found, try with just the model name
+      if (!gsmaRecord && model) {
+        gsmaRecord = lookup.searchDatabase(model);
+        modelOnly = true;
+      }
+      if (!gsmaRecord) {
+        return { match: null, reason: `"${searchTerm}" not found in GSMA` };
+      }
+
+      return {
+        match: {
+          gsmaRecord: gsmaRecord,
+          candidateModels: [gsmaRecord.standardised_full_name],
+          candidates: [{ model: gsmaRecord.standardised_full_name, gsmaRecord }]
+        },
+        reason: modelOnly ? `Model "${model}" found in GSMA` : `"${searchTerm}" found in GSMA`
+      };
+    }
+  }
+];
+
+/**
+ * Drop the candidate models that cannot run the reported OS version (see config/deviceLifecycle.json)
+ * Candidates without lifecycle data are kept, and so are all candidates when none fits (conflicting data).
+ * A verdict narrowed to one model takes that model's name and GSMA record.
+ * @param {Object} signals - Normalized signals
+ * @param {Object} verdict - Verdict built by the strategies (updated in place, osVersionFilter is set when candidates are dropped)
+ * @returns {Object} Match trace entry of the filter
+ */
+function filterCandidatesByOS(signals, verdict) {
+  const observed = getObservedOSVersion(signals);
+  const input = { os: signals.os, osVersion: signals.osVersion, platformVersion: signals.clientHints.platformVersion };
+  const entry = (status, reason) => ({
+    strategy: 'osVersion', status, input, candidate: null, lookups: [], reason
+  });
+
+  if (verdict.candidates.length === 0) {
+    return entry('skipped', 'No candidate model');
+  }
+  if (!observed) {
+    return entry('skipped', 'No iOS or Android version reported');
+  }
+
+  const label = `${observed.platform} ${observed.version}${observed.exact ? '' : ' (frozen User-Agent version, or newer)'}`;
+  const checks = verdict.candidates.map(candidate => {
+    const lifecycle = findLifecycle(candidate.model) ||
+      (candidate.gsmaRecord && findLifecycle(candidate.gsmaRecord.standardised_full_name, candidate.gsmaRecord.standardised_manufacturer));
+    return { candidate, lifecycle, supported: lifecycle ? supportsOSVersion(lifecycle, observed) : null };
+  });
+  const kept = checks.filter(check => check.supported !== false);
+  const removed = checks.filter(check => check.supported === false);
+
+  if (removed.length === 0) {
+    const known = checks.filter(check => check.supported).length;
+    return entry('rejected', known > 0
+      ? `${known} of ${checks.length} candidate(s) known to run ${label}, none ruled out`
+      : `No lifecycle data for the candidates to check ${label}`);
+  }
+  if (kept.length === 0) {
+    return entry('rejected', `No candidate supports ${label}: ${removed.map(check => `${check.candidate.model} (${describeSupport(check.lifecycle)})`).join(', ')}, all kept`);
+  }
+
+  const keptModels = kept.map(check => check.candidate);
+  verdict.candidates = keptModels;
+  verdict.candidateModels = verdict.candidateModels.filter(name => keptModels.some(candidate => candidate.model === name));
+  verdict.gsmaMatches = verdict.gsmaMatches.filter(record => keptModels.some(candidate => candidate.gsmaRecord === record));
+  if (!keptModels.some(candidate => candidate.gsmaRecord && candidate.gsmaRecord === verdict.gsmaRecord)) {
+    verdict.gsmaRecord = pickRecord(keptModels.map(candidate => candidate.gsmaRecord));
+  }
+  if (verdict.iphoneFingerprint) {
+    verdict.eSIMFallback = keptModels.some(candidate => !isGSMARecord(candidate.gsmaRecord))
+      ? isiPhoneESIMCompatible(keptModels.map(candidate => candidate.model))
+      : null;
+  }
+  if (keptModels.length === 1) {
+    verdict.deducedModel = keptModels[0].model;
+    verdict.isResolutionBased = false;
+  }
+
+  verdict.osVersionFilter = {
+    platform: observed.platform,
+    version: observed.version,
+    exact: observed.exact,
+    source: observed.source,
+    removed: removed.map(check => ({ model: check.candidate.model, support: describeSupport(check.lifecycle) })),
+    narrowed: keptModels.length === 1
+  };
+
+  const result = entry('accepted', `${label} rules out ${removed.map(check => `${check.candidate.model} (${describeSupport(check.lifecycle)})`).join(', ')}; ` +
+    `${keptModels.length} candidate(s) left`);
+  result.candidate = keptModels.length === 1 ? keptModels[0].model : null;
+  return result;
+}
+
+/**
+ * Determine the final eSIM status of a verdict
+ * Priority: GSMA matches of the candidates (if all agree) > Fallback rule > Most probable GSMA match
+ * A model whose TACs disagree on eUICC gives null (eSIM support varies by variant)
+ * Without GSMA record, the fallback statuses of the described candidates (fallback list, iPhone rule) decide when they agree
+ * @param {Object} verdict - Verdict built by the strategies, with its described candidates
+ * @returns {Object} { value: true|false|null, source: 'gsma'|'fallback'|null, reason }
+ */
+function resolveESIMStatus(verdict) {
+  const { iphoneFingerprint, gsmaMatches, eSIMFallback } = verdict;
+  const gsmaRecord = isGSMARecord(verdict.gsmaRecord) ? verdict.gsmaRecord : null;
+
+  if ((iphoneFingerprint || gsmaMatches.length > 1) && gsmaMatches.length > 0) {
+    // With several possible models, check if all GSMA matches agree
+    const euiccValues = gsmaMatches.map(hasEUICC);
+    const allAgree = euiccValues[0] !== null && euiccValues.every(v => v === euiccValues[0]);
+
+    if (allAgree) {
+      return { value: euiccValues[0], source: 'gsma', reason: `All ${gsmaMatches.length} GSMA match(es) agree on eUICC = ${euiccValues[0]}` };
+    }
+    if (eSIMFallback !== null) {
+      return { value: eSIMFallback, source: 'fallback', reason: 'GSMA matches disagree on eUICC, iPhone fallback rule used' };
+    }
+    return { value: hasEUICC(gsmaRecord), source: 'gsma', reason: `GSMA matches disagree on eUICC, most probable match "${gsmaRecord.standardised_full_name}" used (${describeEUICC(gsmaRecord)})` };
+  }
+  if (gsmaRecord && hasEUICC(gsmaRecord) === null) {
+    // The model's variants disagree: only a fallback rule can decide
+    if (eSIMFallback !== null) {
+      return { value: eSIMFallback, source: 'fallback', reason: `GSMA model "${gsmaRecord.standardised_full_name}" has ${describeEUICC(gsmaRecord)}, iPhone fallback rule used` };
+    }
+    return { value: null, source: 'gsma', reason: `GSMA model "${gsmaRecord.standardised_full_name}" has ${describeEUICC(gsmaRecord)}: eSIM support varies by variant` };
+  }
+  if (gsmaRecord) {
+    return { value: hasEUICC(gsmaRecord), source: 'gsma', reason: `GSMA record "${gsmaRecord.standardised_full_name}" has ${describeEUICC(gsmaRecord)}` };
+  }
+  const fallbackValues = (verdict.candidates || [])
+    .filter(candidate => candidate.eSIMSource === 'fallback')
+    .map(candidate => candidate.eSIMCompatible);
+  if (fallbackValues.length > 0) {
+    if (fallbackValues[0] !== null && fallbackValues.every(value => value === fallbackValues[0])) {
+      return { value: fallbackValues[0], source: 'fallback', reason: `No GSMA record, fallback rules agree on eSIM = ${fallbackValues[0]} for ${fallbackValues.length} model(s)` };
+    }
+    return { value: null, source: 'fallback', reason: 'No GSMA record, fallback rules disagree or do not know some possible models' };
+  }
+  if (eSIMFallback !== null) {
+    return { value: eSIMFallback, source: 'fallback', reason: 'No GSMA record, iPhone fallback rule used' };
+  }
+  return { value: null, source: null, reason: 'No GSMA record and no fallback rule applicable' };
+}
+
+/**
+ * Apply the regional eSIM exceptions (see config/regionalESIM.json) to a YES eSIM decision
+ * Models with an exception in the region given by the timezone and language become "likely not compatible"
+ * (false) when the rule says the regional variant has no eSIM and both signals point to the region,
+ * "depends on variant" (null) otherwise.
+ * @param {Object} signals - Normalized signals (timezone, acceptLanguage)
+ * @param {Object} verdict - Verdict with its described candidates and eSIM decision (updated in place)
+ * @returns {Object} Match trace entry of the regional check
+ */
+function applyRegionalRules(signals, verdict) {
+  const input = { timezone: signals.timezone, acceptLanguage: signals.acceptLanguage };
+  const entry = (status, reason) => ({
+    strategy: 'region', status, input, candidate: null, lookups: [], reason
+  });
+
+  const regions = detectRegions(signals);
+  if (regions.length === 0) {
+    return entry('skipped', 'Timezone and language match no region with eSIM exceptions');
+  }
+  const regionNames = regions.map(region => `${region.name} (${region.matchedBy.join(' + ')})`).join(', ');
+  if (verdict.eSIMCompatible !== true) {
+    return entry('skipped', `Device in ${regionNames}, but the eSIM status is not YES`);
+  }
+
+  const compatible = verdict.candidates.filter(candidate => candidate.eSIMCompatible === true);
+  const exceptions = [];
+  for (const candidate of compatible) {
+    for (const region of regions) {
+      const rule = findRegionalRule(candidate.gsmaName || candidate.model, region.code) ||
+        (candidate.gsmaName ? findRegionalRule(candidate.model, region.code) : null);
+      if (rule) {
+        // Both signals are needed to assume the regional variant
+        const status = rule.status === 'unlikely' && region.matchedBy.length === 2 ? 'unlikely' : 'variant';
+        exceptions.push({ candidate, region, rule, status });
+        break;
+      }
+    }
+  }
+  if (exceptions.length === 0) {
+    return entry('rejected', `Device in ${regionNames}, no regional exception for ${compatible.map(candidate => candidate.model).join(', ') || 'the model'}`);
+  }
+
+  for (const exception of exceptions) {
+    exception.candidate.eSIMCompatible = exception.status === 'unlikely' ? false : null;
+    exception.candidate.eSIMSource = 'regional';
+  }
+
+  // Unlikely only when every model of the YES decision is unlikely in the region
+  const status = exceptions.length === compatible.length && exceptions.every(exception => exception.status === 'unlikely')
+    ? 'unlikely'
+    : 'variant';
+  const [first] = exceptions;
+  const described = exceptions.map(exception => `${exception.candidate.model} (${exception.status})`).join(', ');
+
+  verdict.eSIMCompatible = status === 'unlikely' ? false : null;
+  verdict.eSIMDecision = {
+    value: verdict.eSIMCompatible,
+    source: 'regional',
+    reason: `${verdict.eSIMDecision.reason}; regional exception in ${first.region.name}: ${described}`,
+    region: {
+      code: first.region.code,
+      name: first.region.name,
+      matchedBy: first.region.matchedBy,
+      status: status,
+      note: first.rule.note
+    }
+  };
+
+  const result = entry('accepted', `Device in ${regionNames}: ${described}, eSIM ${status === 'unlikely' ? 'likely not compatible' : 'depends on variant'}`);
+  result.candidate = exceptions.length === 1 ? first.candidate.model : null;
+  return result;
+}
+
+/**
+ * Create a matching engine
+ * GSMA lookups can be injected so the engine (and each strategy) can run without the database
+ * @param {Object} deps - Optional lookup overrides
+ * @param {Function} deps.searchDevice - GSMA search by name (term => record|null)
+ * @param {Function} deps.advancedDeviceMatch - GSMA advanced match (params => record|null)
+ * @param {Function} deps.fallbackSearch - Search used when the database has no result
+ * @param {Function} deps.resolveModelAlias - Alias dictionary lookup (term => { code, gsmaName }|null)
+ * @returns {Object} Engine with a match(signals) method
+ */
+function createMatchingEngine(deps = {}) {
+  const searchDatabase = deps.searchDevice || searchGSMADevice;
+  const fallbackSearch = deps.fallbackSearch || searchGSMADeviceFallback;
+  const advancedMatch = deps.advancedDeviceMatch || advancedGSMADeviceMatch;
+  const resolveAlias = deps.resolveModelAlias || resolveModelAlias;
+
+  /**
+   * GSMA record of a model code or codename found in the alias dictionary
+   * Aliases are looked up before any fuzzy search: "SM-S911B" has no close GSMA name
+   */
+  function searchAlias(term) {
+    const alias = resolveAlias(term);
+    return alias ? searchDatabase(alias.gsmaName) : null;
+  }
+
+  /**
+   * Build the lookups used by strategies, recording every GSMA query in `lookups`
+   */
+  function createLookup(lookups) {
+    const record = (term, result, source) => {
+      lookups.push({
+        term: term,
+        source: source,
+        result: result ? result.standardised_full_name : null,
+        euicc: result ? result.euicc : null,
+        // Ranked search score (0-100) of the returned model
+        score: result && typeof result.searchScore === 'number' ? result.searchScore : null
+      });
+      return result;
+    };
+
+    return {
+      searchDatabase(term) {
+        const aliased = searchAlias(term);
+        return aliased ? record(term, aliased, 'alias') : record(term, searchDatabase(term), 'gsma');
+      },
+      // Database search, falling back to the hardcoded list when unavailable (records tagged source: 'fallback')
+      search(term) {
+        return this.searchDatabase(term) || record(term, tagFallbackRecord(fallbackSearch(term)), 'fallback');
+      },
+      advancedMatch(params) {
+        const term = `${params.brand || ''} ${params.model || ''}`.trim();
+        const aliased = searchAlias(term);
+        return aliased ? record(term, aliased, 'alias') : record(term, advancedMatch(params), 'gsma');
+      }
+    };
+  }
+
+  /**
+   * Run every applicable strategy and build the verdict
+   * @param {Object} signals - Normalized signals (see normalizeSignals)
+   * @returns {Object} Verdict: deducedModel, candidates (ranked, with probability and eSIM status), gsmaRecord,
+   *   eSIMCompatible, confidence (with its confidenceBreakdown), strategy, trace...
+   */
+  function match(signals) {
+    const verdict = {
+      strategy: null,
+      deducedModel: null,
+      candidateModels: [],
+      candidates: [],
+      gsmaRecord: null,
+      gsmaMatches: [],
+      eSIMCompatible: null,
+      eSIMFallback: null,
+      eSIMDecision: null,
+      simProfile: null,
+      confidence: 0,
+      confidenceBreakdown: null,
+      osVersionFilter: null,
+      signatureMatch: null,
+      androidFingerprint: null,
+      iphoneFingerprint: null,
+      isResolutionBased: false,
+      trace: []
+    };
+
+    for (const strategy of strategies) {
+      const input = strategy.input(signals);
+      const skipReason = strategy.skipReason(signals, verdict);
+      if (skipReason) {
+        verdict.trace.push({ strategy: strategy.name, status: 'skipped', input, candidate: null, lookups: [], reason: skipReason });
+        continue;
+      }
+
+      const lookups = [];
+      const { match: result, reason } = strategy.run(signals, createLookup(lookups));
+      const entry = { strategy: strategy.name, status: result ? 'accepted' : 'rejected', input, candidate: null, lookups, reason };
+
+      if (result) {
+        Object.assign(verdict, result, { strategy: strategy.name });
+        entry.candidate = verdict.deducedModel || verdict.gsmaRecord?.standardised_full_name || null;
+      }
+      verdict.trace.push(entry);
+      console.log(`${result ? '✅' : '❌'} [${strategy.name}] ${reason}`);
+    }
+
+    // Candidates that cannot run the reported OS version are dropped before ranking
+    const osEntry = filterCandidatesByOS(signals, verdict);
+    verdict.trace.push(osEntry);
+    if (osEntry.status !== 'skipped') {
+      console.log(`${osEntry.status === 'accepted' ? '✅' : '❌'} [osVersion] ${osEntry.reason}`);
+    }
+
+    // GSMA names resolved once for candidate ranking and confidence scoring
+    const resolved = new Map();
+    const search = term => {
+      if (!resolved.has(term)) {
+        resolved.set(term, searchAlias(term) || searchDatabase(term) || tagFallbackRecord(fallbackSearch(term)));
+      }
+      return resolved.get(term);
+    };
+
+    // Rank the candidates; several possible models use the most probable one found in GSMA
+    const ranked = rankCandidates(signals, verdict.candidates, { search });
+    if (ranked.length > 1) {
+      verdict.gsmaMatches = ranked.map(candidate => candidate.gsmaRecord).filter(isGSMARecord);
+      verdict.gsmaRecord = pickRecord(ranked.map(candidate => candidate.gsmaRecord));
+      console.log(`🎲 Candidates: ${ranked.map(candidate => `${candidate.model} ${Math.round(100 * candidate.probability)}%`).join(', ')}`);
+    }
+    verdict.candidates = ranked.map(describeCandidate);
+
+    const decision = resolveESIMStatus(verdict);
+    verdict.eSIMCompatible = decision.value;
+    verdict.eSIMDecision = decision;
+
+    // Regional variants without eSIM, from the timezone and language
+    const regionEntry = applyRegionalRules(signals, verdict);
+    verdict.trace.push(regionEntry);
+    if (regionEntry.status !== 'skipped') {
+      console.log(`${regionEntry.status === 'accepted' ? '✅' : '❌'} [region] ${regionEntry.reason}`);
+    }
+    const { value: eSIMValue, reason: eSIMReason } = verdict.eSIMDecision;
+    console.log(`📊 eUICC (eSIM) status: ${eSIMValue === null ? 'UNKNOWN' : (eSIMValue ? 'YES' : 'NO')} (${eSIMReason})`);
+
+    // SIM configuration of the candidate models (GSMA simslot + capabilities table)
+    verdict.simProfile = buildSIMProfile(signals, verdict);
+
+    // One score for every strategy: how much of the evidence agrees with the verdict
+    const scoring = scoreVerdict(signals, verdict, { search });
+    verdict.confidence = scoring.score;
+    verdict.confidenceBreakdown = scoring;
+    const counted = scoring.evidence.filter(item => item.weight !== 0);
+    console.log(`🎯 Confidence: ${scoring.score}% (prior ${scoring.prior ? `${scoring.prior.confidence}% ${scoring.prior.source}` : 'none'}` +
+      `${counted.map(item => `, ${item.signal} ${item.weight > 0 ? '+' : ''}${item.weight}`).join('')})`);
+    return verdict;
+  }
+
+  return { match };
+}
+
+const defaultEngine = createMatchingEngine();
+
+/**
+ * Match a device with the default engine (GSMA database lookups)
+ * @param {Object} signals - Normalized signals (see normalizeSignals)
+ * @returns {Object} Verdict
+ */
+function matchDevice(signals) {
+  return defaultEngine.match(signals);
+}
+
+module.exports = {
+  normalizeSignals,
+  createMatchingEngine,
+  matchDevice,
+  resolveESIMStatus,
+  filterCandidatesByOS,
+  applyRegionalRules,
+  searchGSMADeviceFallback,
+  strategies
+};
@@ -0,0 +1,195 @@
+/**
+ * Device name normalization and fuzzy scoring for the GSMA catalog search
+ */
+
+// Tokens that do not identify a model (network, SIM and marketing variants)
+const NOISE_TOKENS = new Set([
+  '5g', '4g', '3g', 'lte', 'nfc', 'ds', 'duos', 'dual', 'sim', 'dualsim',
+  'global', 'international', 'edition', 'version'
+]);
+
+// Tokens that name a variant of a model: "Galaxy S23" and "Galaxy S23 Ultra", "iPhone 13" and
+// "iPhone 13 mini" are different models, with their own eSIM and SIM slot data
+const VARIANT_TOKENS = new Set([
+  'pro', 'max', 'ultra', 'mini', 'plus', 'lite', 'fe', 'se', 'neo'
+]);
+
+// Storage sizes, glued ("128gb") or split ("128 gb")
+const STORAGE_TOKEN = /^\d+(gb|tb)$/;
+const STORAGE_UNITS = new Set(['gb', 'tb']);
+
+// Weights of the search score: how much of the query is found vs how much of the name is covered
+const QUERY_COVERAGE_WEIGHT = 0.6;
+const NAME_COVERAGE_WEIGHT = 0.4;
+
+// Score lost per edit of a corrected token
+const EDIT_PENALTY = 0.25;
+
+/**
+ * Split a device name into normalized tokens
+ * Lowercase, accents removed, "+" spelled "plus", noise tokens and storage sizes dropped
+ * @param {string} name - Device name or search term
+ * @returns {Array<string>} Tokens (may be empty)
+ */
+function normalizeModelTokens(name) {
+  const words = (name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\+/g, ' plus ')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+  const tokens = [];
+  for (const word of words) {
+    if (STORAGE_UNITS.has(word) && tokens.length > 0 && /^\d+$/.test(tokens[tokens.length - 1])) {
+      tokens.pop();
+      continue;
+    }
+    if (NOISE_TOKENS.has(word) || STORAGE_TOKEN.test(word)) {
+      continue;
+    }
+    tokens.push(word);
+  }
+  return tokens;
+}
+
+/**
+ * Maximum edit distance tolerated for a query token
+ * Tokens with digits ("s23", "13") must match exactly: one edit is another model
+ */
+function maxEditDistance(token) {
+  if (/\d/.test(token) || token.length < 4) {
+    return 0;
+  }
+  return token.length < 7 ? 1 : 2;
+}
+
+/**
+ * Edit distance (insertions, deletions, substitutions, adjacent transpositions)
+ * @param {number} max - Stop early and return max + 1 once the distance exceeds it
+ */
+function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousPrevious[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previousPrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Find the catalog terms close to a query token
+ * @param {string} token - Normalized query token
+ * @param {Array<string>} vocabulary - Terms of the search index
+ * @returns {Array<Object>} { term, distance } (the token itself first when it is a term)
+ */
+function expandToken(token, vocabulary) {
+  const max = maxEditDistance(token);
+  const variants = [];
+  for (const term of vocabulary) {
+    if (term === token) {
+      variants.unshift({ term, distance: 0 });
+    } else if (max > 0) {
+      const distance = editDistance(token, term, max);
+      if (distance <= max) {
+        variants.push({ term, distance });
+      }
+    }
+  }
+  return variants;
+}
+
+/**
+ * Build the FTS5 MATCH expression of expanded query tokens (any variant of any token)
+ * @param {Array<Array<Object>>} expansions - Variants of each query token (see expandToken)
+ * @returns {string|null} MATCH expression, or null if no token has a variant
+ */
+function buildMatchQuery(expansions) {
+  const terms = new Set();
+  for (const variants of expansions) {
+    for (const { term } of variants) {
+      terms.add(`"${term.replace(/"/g, '""')}"`);
+    }
+  }
+  return terms.size > 0 ? [...terms].join(' OR ') : null;
+}
+
+/**
+ * Score a catalog name against a search query (0-100)
+ * @param {Array<Array<Object>>} expansions - Variants of each query token
+ * @param {Array<string>} queryTokens - Normalized query tokens
+ * @param {Array<string>} nameTokens - Normalized tokens of the catalog name
+ * @param {Object} options - { strictVariants: a variant token (see VARIANT_TOKENS) of the query or the name
+ *   that the other one lacks scores 0, for lookups that must return the model itself }
+ * @returns {Object} { score, matchedTokens, corrections, missingVariants }
+ */
+function scoreName(expansions, queryTokens, nameTokens, options = {}) {
+  if (queryTokens.length === 0 || nameTokens.length === 0) {
+    return { score: 0, matchedTokens: [], corrections: [], missingVariants: [] };
+  }
+
+  const nameSet = new Set(nameTokens);
+  const covered = new Set();
+  const corrections = [];
+  const missingVariants = [];
+  let queryScore = 0;
+
+  expansions.forEach((variants, index) => {
+    const best = variants
+      .filter(({ term }) => nameSet.has(term) && !covered.has(term))
+      .sort((a, b) => a.distance - b.distance)[0];
+    if (!best) {
+      if (VARIANT_TOKENS.has(queryTokens[index])) {
+        missingVariants.push(queryTokens[index]);
+      }
+      return;
+    }
+    covered.add(best.term);
+    queryScore += Math.max(0, 1 - EDIT_PENALTY * best.distance);
+    if (best.distance > 0) {
+      corrections.push({ from: queryTokens[index], to: best.term });
+    }
+  });
+
+  missingVariants.push(...[...nameSet].filter(token => VARIANT_TOKENS.has(token) && !covered.has(token)));
+
+  const queryCoverage = queryScore / queryTokens.length;
+  const nameCoverage = covered.size / nameSet.size;
+  const rejected = options.strictVariants && missingVariants.length > 0;
+  return {
+    score: rejected ? 0 : Math.round(100 * (QUERY_COVERAGE_WEIGHT * queryCoverage + NAME_COVERAGE_WEIGHT * nameCoverage)),
+    matchedTokens: [...covered],
+    corrections: corrections,
+    missingVariants: missingVariants
+  };
+}
+
+module.exports = {
+  normalizeModelTokens,
+  editDistance,
+  expandToken,
+  buildMatchQuery,
+  scoreName,
+  NOISE_TOKENS,
+  VARIANT_TOKENS
+};
@@ -0,0 +1,168 @@
+const path = require('path');
+const fs = require('fs');
+
+const REGIONAL_ESIM_PATH = process.env.REGIONAL_ESIM_PATH || path.join(__dirname, '../config', 'regionalESIM.json');
+
+// 'unlikely': the regional variant has no eSIM; 'variant': only some regional variants lack it
+const REGIONAL_STATUSES = ['unlikely', 'variant'];
+
+let regionalTable = null;
+
+/**
+ * Normalize a device name for lookups (lowercase, single spaces)
+ */
+function normalizeName(name) {
+  return (name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Validate a regional eSIM rules document
+ * @param {Object} doc - Parsed rules file
+ * @returns {Array<string>} List of validation errors (empty if valid)
+ */
+function validateRegionalRules(doc) {
+  if (!doc || typeof doc.regions !== 'object' || doc.regions === null || !Array.isArray(doc.rules)) {
+    return ['regions must be an object and rules an array'];
+  }
+
+  const errors = [];
+  for (const [code, region] of Object.entries(doc.regions)) {
+    const label = `regions.${code}`;
+    if (typeof region.name !== 'string' || region.name.trim() === '') {
+      errors.push(`${label}: name must be a non-empty string`);
+    }
+    for (const key of ['timezones', 'languages']) {
+      if (!Array.isArray(region[key]) || region[key].some(value => typeof value !== 'string')) {
+        errors.push(`${label}: ${key} must be an array of strings`);
+      }
+    }
+  }
+
+  doc.rules.forEach((rule, index) => {
+    const label = `rules[${index}]`;
+    if (!doc.regions[rule.region]) {
+      errors.push(`${label}: unknown region "${rule.region}"`);
+    }
+    if (!REGIONAL_STATUSES.includes(rule.status)) {
+      errors.push(`${label}: status must be one of ${REGIONAL_STATUSES.join(', ')}`);
+    }
+    if (!Array.isArray(rule.models) || rule.models.length === 0 || rule.models.some(model => typeof model !== 'string')) {
+      errors.push(`${label}: models must be a non-empty array of strings`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Load the regional eSIM rules and index them by model name
+ * @returns {Object} { regions, rules: Map of normalized name -> rules }
+ */
+function loadRegionalRules() {
+  const table = { regions: {}, rules: new Map() };
+
+  try {
+    const doc = JSON.parse(fs.readFileSync(REGIONAL_ESIM_PATH, 'utf8'));
+    const errors = validateRegionalRules(doc);
+    if (errors.length > 0) {
+      throw new Error(`Invalid regional eSIM rules:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    for (const [code, region] of Object.entries(doc.regions)) {
+      table.regions[code] = {
+        code: code,
+        name: region.name,
+        timezones: region.timezones.map(timezone => timezone.toLowerCase()),
+        languages: region.languages.map(language => language.toLowerCase())
+      };
+    }
+    // Models are GSMA names ("Apple iPhone 15"): they are also indexed without the manufacturer ("iPhone 15")
+    for (const rule of doc.rules) {
+      for (const model of rule.models) {
+        const name = normalizeName(model);
+        for (const key of new Set([name, name.replace(/^\S+ /, '')])) {
+          table.rules.set(key, [...(table.rules.get(key) || []), rule]);
+        }
+      }
+    }
+    console.log(`✅ Regional eSIM rules v${doc.version} loaded: ${doc.rules.length} rule(s), ${Object.keys(doc.regions).length} region(s)`);
+  } catch (error) {
+    console.error(`❌ Error loading regional eSIM rules (${REGIONAL_ESIM_PATH}): ${error.message}`);
+  }
+
+  return table;
+}
+
+/**
+ * Loaded rules table (loaded on first use)
+ */
+function getTable() {
+  if (!regionalTable) {
+    regionalTable = loadRegionalRules();
+  }
+  return regionalTable;
+}
+
+/**
+ * Language tags of an Accept-Language header, most preferred first
+ * "fr-FR,fr;q=0.9,en;q=0.8" -> ['fr-fr', 'fr', 'en']
+ */
+function parseAcceptLanguage(header) {
+  if (!header) {
+    return [];
+  }
+
+  return String(header).split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(param => param.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+      return { tag: tag.trim().toLowerCase(), q: q ? Number(q[1]) : 1, index };
+    })
+    .filter(language => language.tag && language.tag !== '*' && language.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(language => language.tag);
+}
+
+/**
+ * Regions the device appears to be in, from its timezone and preferred language
+ * The timezone tells where the device is used, the language where its owner comes from:
+ * both are needed to assume a regional variant, one alone only makes it possible
+ * @param {Object} signals - Normalized signals (timezone, acceptLanguage)
+ * @returns {Array<Object>} [{ code, name, matchedBy: ['timezone', 'language'] }]
+ */
+function detectRegions(signals) {
+  const timezone = (signals.timezone || '').toLowerCase();
+  const language = parseAcceptLanguage(signals.acceptLanguage)[0] || null;
+
+  return Object.values(getTable().regions)
+    .map(region => ({
+      code: region.code,
+      name: region.name,
+      matchedBy: [
+        timezone && region.timezones.includes(timezone) ? 'timezone' : null,
+        language && region.languages.includes(language) ? 'language' : null
+      ].filter(Boolean)
+    }))
+    .filter(region => region.matchedBy.length > 0);
+}
+
+/**
+ * Find the regional eSIM rule of a model in a region
+ * @param {string} fullName - Model name (GSMA name or fingerprint model)
+ * @param {string} regionCode - Region code (see detectRegions)
+ * @returns {Object|null} { region, status, note } or null (only models listed in the rules table have one)
+ */
+function findRegionalRule(fullName, regionCode) {
+  const { rules } = getTable();
+  const name = normalizeName(fullName);
+  const rule = (rules.get(name) || []).find(candidate => candidate.region === regionCode);
+  return rule ? { region: rule.region, status: rule.status, note: rule.note || null } : null;
+}
+
+module.exports = {
+  detectRegions,
+  findRegionalRule,
+  parseAcceptLanguage,
+  validateRegionalRules,
+  REGIONAL_STATUSES,
+  REGIONAL_ESIM_PATH
+};
@@ -0,0 +1,127 @@
+const { iterateScanRows, SCAN_FIELDS } = require('./scanRepository');
+const { toCSVField } = require('./delimited');
+
+/**
+ * Export formats
+ */
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// Exported columns: the flattened scans columns (gsma_*, mq_*, ch_*...), in table order
+const EXPORT_COLUMNS = SCAN_FIELDS.map(({ column, type }) => ({ column, type }));
+
+// Training dataset: signals read by the fingerprint tables, the engine verdict and the
+// staff label (corrected_*), for corrected records only
+const TRAINING_COLUMNS = [
+  'internal_id', 'scan_id', 'timestamp',
+  'os', 'os_version', 'browser', 'device_brand', 'device_model', 'ch_model', 'ch_platform_version',
+  'screen_width', 'screen_height', 'pixel_ratio', 'gpu_renderer', 'gpu_vendor',
+  'hardware_concurrency', 'device_memory', 'mq_is_p3', 'mq_is_hdr', 'mq_is_wide_color_gamut',
+  'hardware_signature',
+  'match_strategy', 'match_confidence', 'deduced_model', 'gsma_full_name', 'esim_compatible',
+  'corrected_model', 'corrected_esim', 'correction_note', 'corrected_at'
+].map(column => EXPORT_COLUMNS.find(exportColumn => exportColumn.column === column));
+
+/**
+ * Export datasets: exported columns and filters added to the query
+ */
+const EXPORT_DATASETS = {
+  scans: { columns: EXPORT_COLUMNS, filters: {} },
+  training: { columns: TRAINING_COLUMNS, filters: { corrected: 'yes' } }
+};
+
+/**
+ * Convert a scans row to an export record (column -> typed value)
+ * Booleans become true/false, JSON columns are parsed
+ */
+function rowToRecord(row, columns = EXPORT_COLUMNS) {
+  const record = {};
+  for (const { column, type } of columns) {
+    let value = row[column] === undefined ? null : row[column];
+    if (value !== null && type === 'boolean') {
+      value = value === 1;
+    } else if (value !== null && type === 'json') {
+      try {
+        value = JSON.parse(value);
+      } catch (error) {
+        // Keep the stored text
+      }
+    }
+    record[column] = value;
+  }
+  return record;
+}
+
+/**
+ * Format an export record as a line of the given format
+ */
+function formatRecord(record, format, columns = EXPORT_COLUMNS) {
+  if (format === 'ndjson') {
+    return JSON.stringify(record) + '\n';
+  }
+  return columns.map(({ column }) => toCSVField(record[column])).join(',') + '\r\n';
+}
+
+/**
+ * Write a line, waiting for the stream to drain when its buffer is full
+ * (or to close, if the client goes away while we wait)
+ */
+async function writeLine(stream, line) {
+  if (stream.write(line)) {
+    return;
+  }
+  await new Promise(resolve => {
+    const done = () => {
+      stream.off('drain', done);
+      stream.off('close', done);
+      resolve();
+    };
+    stream.on('drain', done);
+    stream.on('close', done);
+  });
+}
+
+/**
+ * Stream the scans matching a query to a writable stream (HTTP response, file, stdout)
+ * @param {Writable} stream - Destination (not ended by this function)
+ * @param {string} format - 'csv' or 'ndjson'
+ * @param {Object} query - { filters, sort } (see parseScanQuery)
+ * @param {string} dataset - 'scans' (all columns) or 'training' (corrected records, see TRAINING_COLUMNS)
+ * @returns {Promise<number>} Number of exported scans
+ */
+async function writeScanExport(stream, format, query = {}, dataset = 'scans') {
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(`Unknown export format: ${format} (${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+  if (!EXPORT_DATASETS[dataset]) {
+    throw new Error(`Unknown export dataset: ${dataset} (${Object.keys(EXPORT_DATASETS).join(', ')})`);
+  }
+
+  const { columns, filters } = EXPORT_DATASETS[dataset];
+  if (format === 'csv') {
+    await writeLine(stream, columns.map(({ column }) => column).join(',') + '\r\n');
+  }
+
+  let count = 0;
+  for (const row of iterateScanRows({ ...query, filters: { ...query.filters, ...filters } })) {
+    if (stream.destroyed) {
+      // Client went away (HTTP download cancelled)
+      break;
+    }
+    await writeLine(stream, formatRecord(rowToRecord(row, columns), format, columns));
+    count++;
+  }
+
+  return count;
+}
+
+module.exports = {
+  writeScanExport,
+  rowToRecord,
+  EXPORT_FORMATS,
+  EXPORT_DATASETS,
+  EXPORT_COLUMNS,
+  TRAINING_COLUMNS
+};
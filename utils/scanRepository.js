@@ -0,0 +1,666 @@
+const fs = require('fs');
+const { getDatabase, prepareStatement } = require('./database');
+
+/**
+ * Mapping between scan record fields and scans table columns
+ * Nested fields use dotted paths (e.g. gsmaData.euicc -> gsma_euicc)
+ * type: 'json' (stored as JSON text) | 'boolean' (stored as 0/1) | undefined (stored as is)
+ */
+const SCAN_FIELDS = [
+  { field: 'internalId', column: 'internal_id' },
+  { field: 'scanId', column: 'scan_id' },
+  { field: 'timestamp', column: 'timestamp' },
+  { field: 'ip', column: 'ip_address' },
+  { field: 'userAgent', column: 'user_agent' },
+  { field: 'os', column: 'os' },
+  { field: 'osVersion', column: 'os_version' },
+  { field: 'browser', column: 'browser' },
+  { field: 'browserVersion', column: 'browser_version' },
+  { field: 'deviceBrand', column: 'device_brand' },
+  { field: 'deviceModel', column: 'device_model' },
+  { field: 'deviceType', column: 'device_type' },
+  { field: 'acceptLanguage', column: 'accept_language' },
+  { field: 'clientHints', column: 'client_hints', type: 'json' },
+  { field: 'clientHintsData.model', column: 'ch_model' },
+  { field: 'clientHintsData.brand', column: 'ch_brand' },
+  { field: 'clientHintsData.platformVersion', column: 'ch_platform_version' },
+  { field: 'clientHintsData.architecture', column: 'ch_architecture' },
+  { field: 'clientHintsData.brands', column: 'ch_brands', type: 'json' },
+  { field: 'fullUserAgent', column: 'full_user_agent' },
+  { field: 'screenWidth', column: 'screen_width' },
+  { field: 'screenHeight', column: 'screen_height' },
+  { field: 'pixelRatio', column: 'pixel_ratio' },
+  { field: 'gpuRenderer', column: 'gpu_renderer' },
+  { field: 'gpuVendor', column: 'gpu_vendor' },
+  { field: 'hardwareConcurrency', column: 'hardware_concurrency' },
+  { field: 'deviceMemory', column: 'device_memory' },
+  { field: 'timezone', column: 'timezone' },
+  { field: 'mediaQueries.isP3', column: 'mq_is_p3', type: 'boolean' },
+  { field: 'mediaQueries.isHDR', column: 'mq_is_hdr', type: 'boolean' },
+  { field: 'mediaQueries.isWideColorGamut', column: 'mq_is_wide_color_gamut', type: 'boolean' },
+  { field: 'mediaQueries.prefersColorScheme', column: 'mq_prefers_color_scheme' },
+  { field: 'batteryLevel', column: 'battery_level' },
+  { field: 'batteryCharging', column: 'battery_charging', type: 'boolean' },
+  { field: 'redirectUrl', column: 'redirect_url' },
+  { field: 'hardwareSignature', column: 'hardware_signature' },
+  { field: 'gsmaData.standardisedFullName', column: 'gsma_full_name' },
+  { field: 'gsmaData.standardisedManufacturer', column: 'gsma_manufacturer' },
+  { field: 'gsmaData.deviceType', column: 'gsma_device_type' },
+  { field: 'gsmaData.operatingSystem', column: 'gsma_operating_system' },
+  { field: 'gsmaData.bands', column: 'gsma_bands' },
+  { field: 'gsmaData.lte', column: 'gsma_lte' },
+  { field: 'gsmaData.g5', column: 'gsma_g5' },
+  { field: 'gsmaData.simslot', column: 'gsma_simslot' },
+  { field: 'gsmaData.euicc', column: 'gsma_euicc' },
+  { field: 'gsmaData.euiccSupport', column: 'gsma_euicc_support' },
+  { field: 'gsmaData.tacCount', column: 'gsma_tac_count' },
+  { field: 'gsmaData.euiccTacCount', column: 'gsma_euicc_tac_count' },
+  { field: 'matchConfidence', column: 'match_confidence' },
+  { field: 'confidenceBreakdown', column: 'confidence_breakdown', type: 'json' },
+  { field: 'matchStrategy', column: 'match_strategy' },
+  { field: 'matchTrace', column: 'match_trace', type: 'json' },
+  { field: 'eSIMDecision', column: 'esim_decision', type: 'json' },
+  { field: 'simProfile.physicalSlots', column: 'sim_physical_slots' },
+  { field: 'simProfile.esim', column: 'sim_esim', type: 'boolean' },
+  { field: 'simProfile.esimOnly', column: 'sim_esim_only', type: 'boolean' },
+  { field: 'simProfile.dualESIM', column: 'sim_dual_esim', type: 'boolean' },
+  { field: 'simProfile.dsds', column: 'sim_dsds', type: 'boolean' },
+  { field: 'simProfile.regionalVariant', column: 'sim_regional_variant', type: 'json' },
+  { field: 'simProfile.sources', column: 'sim_profile_sources', type: 'json' },
+  { field: 'deducedModel', column: 'deduced_model' },
+  { field: 'candidates', column: 'candidates', type: 'json' },
+  { field: 'iphoneFingerprint', column: 'iphone_fingerprint', type: 'json' },
+  { field: 'eSIMFallback', column: 'esim_fallback', type: 'boolean' },
+  { field: 'eSIMCompatible', column: 'esim_compatible', type: 'boolean' },
+  { field: 'isResolutionBased', column: 'is_resolution_based', type: 'boolean' },
+  { field: 'correction.model', column: 'corrected_model' },
+  { field: 'correction.eSIMCompatible', column: 'corrected_esim', type: 'boolean' },
+  { field: 'correction.note', column: 'correction_note' },
+  { field: 'correction.correctedAt', column: 'corrected_at' },
+  { field: 'campaignId', column: 'campaign_id' }
+];
+
+// Nested objects that are null on the record when none of their columns is set
+const NULLABLE_GROUPS = ['gsmaData', 'correction', 'simProfile'];
+
+const COLUMNS = SCAN_FIELDS.map(f => f.column);
+
+/**
+ * Read a dotted path from an object (undefined if any segment is missing)
+ */
+function getPath(object, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * Convert a flag to 0/1 (null when it is not a recognized boolean)
+ * Imported records may hold "true"/"false" or "1"/"0" strings: "false" must not count as set
+ */
+function toFlag(value) {
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  const text = String(value).trim().toLowerCase();
+  if (text === 'true' || text === '1') {
+    return 1;
+  }
+  if (text === 'false' || text === '0') {
+    return 0;
+  }
+  return null;
+}
+
+/**
+ * Convert a scan field value to its column value
+ */
+function toColumnValue(value, type) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (type === 'json') {
+    return JSON.stringify(value);
+  }
+  if (type === 'boolean') {
+    return toFlag(value);
+  }
+  // SQLite only binds numbers, strings and null: objects of an untyped field are kept as JSON text
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  return value;
+}
+
+/**
+ * Convert a column value back to its scan field value
+ */
+function fromColumnValue(value, type) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (type === 'json') {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+  if (type === 'boolean') {
+    return value === 1;
+  }
+  return value;
+}
+
+/**
+ * Convert a scan record to column values (in COLUMNS order)
+ */
+function scanToParams(scan) {
+  return SCAN_FIELDS.map(({ field, type }) => toColumnValue(getPath(scan, field), type));
+}
+
+/**
+ * Convert a scans table row back to a scan record
+ * @param {Object} row - Row from the scans table
+ * @returns {Object|null} Scan record (same shape as the one stored by /log/:id)
+ */
+function rowToScan(row) {
+  if (!row) {
+    return null;
+  }
+
+  const scan = {};
+  for (const { field, column, type } of SCAN_FIELDS) {
+    const value = fromColumnValue(row[column], type);
+    const [root, child] = field.split('.');
+    if (child) {
+      scan[root] = scan[root] || {};
+      scan[root][child] = value;
+    } else {
+      scan[root] = value;
+    }
+  }
+
+  for (const group of NULLABLE_GROUPS) {
+    if (Object.values(scan[group]).every(value => value === null)) {
+      scan[group] = null;
+    }
+  }
+
+  return scan;
+}
+
+/**
+ * Insert SQL for a scan row (INSERT OR IGNORE skips records already stored)
+ */
+function insertSQL(orIgnore) {
+  return `
+    INSERT ${orIgnore ? 'OR IGNORE ' : ''}INTO scans (${COLUMNS.join(', ')})
+    VALUES (${COLUMNS.map(() => '?').join(', ')})
+  `;
+}
+
+/**
+ * Add a new scan record
+ * @param {Object} scan - Scan record built by /log/:id
+ * @returns {boolean} True if the record was stored
+ */
+function addScan(scan) {
+  try {
+    prepareStatement(insertSQL(false)).run(scanToParams(scan));
+    return true;
+  } catch (error) {
+    console.error('❌ Error storing scan:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the latest scan of a session (scanId)
+ * @param {string} scanId - Session/Batch ID
+ * @returns {Object|null} Scan record or null
+ */
+function getLatestScanBySessionId(scanId) {
+  const row = prepareStatement(`
+    SELECT * FROM scans
+    WHERE scan_id = ?
+    ORDER BY timestamp DESC, id DESC
+    LIMIT 1
+  `).get(scanId);
+
+  return rowToScan(row);
+}
+
+/**
+ * Get all scans of a session (scanId), oldest first
+ * @param {string} scanId - Session/Batch ID
+ * @returns {Array} Scan records
+ */
+function getScansBySessionId(scanId) {
+  return prepareStatement(`
+    SELECT * FROM scans
+    WHERE scan_id = ?
+    ORDER BY timestamp ASC, id ASC
+  `).all(scanId).map(rowToScan);
+}
+
+/**
+ * Get the latest scans of a campaign, newest first
+ * @param {string} campaignId - Campaign ID
+ * @param {number} limit - Maximum number of scans
+ * @returns {Array} Scan records
+ */
+function getScansByCampaignId(campaignId, limit = 20) {
+  return prepareStatement(`
+    SELECT * FROM scans
+    WHERE campaign_id = ?
+    ORDER BY timestamp DESC, id DESC
+    LIMIT ?
+  `).all(campaignId, limit).map(rowToScan);
+}
+
+/**
+ * Get a scan by its unique record ID
+ * @param {string} internalId - Unique record ID
+ * @returns {Object|null} Scan record or null
+ */
+function getScanByInternalId(internalId) {
+  const row = prepareStatement('SELECT * FROM scans WHERE internal_id = ?').get(internalId);
+  return rowToScan(row);
+}
+
+/**
+ * Get all scans, oldest first
+ * @returns {Array} Scan records
+ */
+function getAllScans() {
+  return prepareStatement('SELECT * FROM scans ORDER BY timestamp ASC, id ASC').all().map(rowToScan);
+}
+
+// Detected model and brand as shown on /scans (GSMA first, then deduced model / User-Agent)
+const MODEL_EXPRESSION = 'COALESCE(gsma_full_name, deduced_model)';
+const BRAND_EXPRESSION = 'COALESCE(gsma_manufacturer, device_brand)';
+
+/**
+ * Sortable keys of findScans() and their SQL expression
+ */
+const SCAN_SORTS = {
+  timestamp: 'timestamp',
+  scanId: 'scan_id',
+  model: MODEL_EXPRESSION,
+  signature: 'hardware_signature',
+  esim: 'esim_compatible',
+  confidence: 'COALESCE(match_confidence, 0)',
+  os: 'os',
+  brand: BRAND_EXPRESSION,
+  browser: 'browser',
+  strategy: 'match_strategy',
+  campaign: 'campaign_id'
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Free-text search columns (model names and User-Agents)
+const SEARCH_COLUMNS = ['gsma_full_name', 'deduced_model', 'corrected_model', 'device_model', 'ch_model', 'user_agent', 'full_user_agent'];
+
+// Maximum length of the corrected model name and of the correction note
+const MAX_CORRECTED_MODEL_LENGTH = 200;
+const MAX_CORRECTION_NOTE_LENGTH = 1000;
+
+/**
+ * Parse a date filter value (YYYY-MM-DD or ISO date)
+ * Date-only upper bounds include the whole day
+ * @returns {string|null} ISO timestamp, or null if invalid
+ */
+function parseDateBound(value, endOfDay) {
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(dateOnly ? `${value}T00:00:00.000Z` : value);
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+  if (dateOnly && endOfDay) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Parse scan filters, sort and pagination from query parameters (HTTP query or CLI options)
+ * Parameters: from, to, scanId, campaign, os, brand, esim (yes|no|unknown), minConfidence,
+ * maxConfidence, corrected (yes|no), q (model / User-Agent search), sort, order (asc|desc), page, pageSize
+ * @param {Object} query - Raw parameters (strings)
+ * @returns {Object} { filters, sort, page, pageSize, errors }
+ */
+function parseScanQuery(query = {}) {
+  const errors = [];
+  const value = key => (typeof query[key] === 'string' && query[key].trim() !== '' ? query[key].trim() : null);
+  const filters = {};
+
+  for (const [key, endOfDay] of [['from', false], ['to', true]]) {
+    if (value(key)) {
+      const bound = parseDateBound(value(key), endOfDay);
+      if (bound) {
+        filters[key] = bound;
+      } else {
+        errors.push(`Invalid date for ${key}: ${value(key)}`);
+      }
+    }
+  }
+
+  for (const key of ['scanId', 'campaign', 'os', 'brand', 'q']) {
+    if (value(key)) {
+      filters[key] = value(key);
+    }
+  }
+
+  if (value('esim')) {
+    if (['yes', 'no', 'unknown'].includes(value('esim'))) {
+      filters.esim = value('esim');
+    } else {
+      errors.push(`Invalid esim filter: ${value('esim')} (yes, no or unknown)`);
+    }
+  }
+
+  if (value('corrected')) {
+    if (['yes', 'no'].includes(value('corrected'))) {
+      filters.corrected = value('corrected');
+    } else {
+      errors.push(`Invalid corrected filter: ${value('corrected')} (yes or no)`);
+    }
+  }
+
+  for (const key of ['minConfidence', 'maxConfidence']) {
+    if (value(key)) {
+      const confidence = Number(value(key));
+      if (Number.isFinite(confidence) && confidence >= 0 && confidence <= 100) {
+        filters[key] = confidence;
+      } else {
+        errors.push(`Invalid ${key}: ${value(key)} (0-100)`);
+      }
+    }
+  }
+
+  const sort = {
+    key: SCAN_SORTS[value('sort')] ? value('sort') : 'timestamp',
+    order: value('order') === 'asc' ? 'asc' : 'desc'
+  };
+  if (value('sort') && !SCAN_SORTS[value('sort')]) {
+    errors.push(`Invalid sort: ${value('sort')} (${Object.keys(SCAN_SORTS).join(', ')})`);
+  }
+
+  const page = Math.max(1, parseInt(value('page'), 10) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(value('pageSize'), 10) || DEFAULT_PAGE_SIZE));
+
+  return { filters, sort, page, pageSize, errors };
+}
+
+/**
+ * Build the WHERE clause of scan filters (see parseScanQuery)
+ * @param {Object} filters - Parsed filters
+ * @returns {Object} { where, params }
+ */
+function buildScanWhere(filters = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.from) {
+    conditions.push('timestamp >= ?');
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push('timestamp < ?');
+    params.push(filters.to);
+  }
+  if (filters.scanId) {
+    conditions.push('scan_id = ?');
+    params.push(filters.scanId);
+  }
+  if (filters.campaign) {
+    conditions.push('campaign_id = ?');
+    params.push(filters.campaign);
+  }
+  if (filters.os) {
+    conditions.push('os = ? COLLATE NOCASE');
+    params.push(filters.os);
+  }
+  if (filters.brand) {
+    conditions.push('(device_brand = ? COLLATE NOCASE OR gsma_manufacturer = ? COLLATE NOCASE)');
+    params.push(filters.brand, filters.brand);
+  }
+  if (filters.esim === 'yes') {
+    conditions.push('esim_compatible = 1');
+  } else if (filters.esim === 'no') {
+    conditions.push('esim_compatible = 0');
+  } else if (filters.esim === 'unknown') {
+    conditions.push('esim_compatible IS NULL');
+  }
+  if (filters.minConfidence !== undefined) {
+    conditions.push('COALESCE(match_confidence, 0) >= ?');
+    params.push(filters.minConfidence);
+  }
+  if (filters.maxConfidence !== undefined) {
+    conditions.push('COALESCE(match_confidence, 0) <= ?');
+    params.push(filters.maxConfidence);
+  }
+  if (filters.corrected === 'yes') {
+    conditions.push('corrected_model IS NOT NULL');
+  } else if (filters.corrected === 'no') {
+    conditions.push('corrected_model IS NULL');
+  }
+  if (filters.q) {
+    // LIKE wildcards typed by the user are matched literally
+    const pattern = `%${filters.q.replace(/[\\%_]/g, c => `\\${c}`)}%`;
+    conditions.push(`(${SEARCH_COLUMNS.map(column => `${column} LIKE ? ESCAPE '\\'`).join(' OR ')})`);
+    params.push(...SEARCH_COLUMNS.map(() => pattern));
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params: params
+  };
+}
+
+/**
+ * Find scans matching filters, sorted and paginated
+ * @param {Object} options - { filters, sort: { key, order }, page, pageSize } (see parseScanQuery)
+ * @returns {Object} { scans, total, page, pageSize, pages }
+ */
+function findScans({ filters = {}, sort = { key: 'timestamp', order: 'desc' }, page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+  const { where, params } = buildScanWhere(filters);
+  const orderBy = `${SCAN_SORTS[sort.key] || 'timestamp'} ${sort.order === 'asc' ? 'ASC' : 'DESC'}`;
+
+  const total = prepareStatement(`SELECT COUNT(*) AS count FROM scans ${where}`).get(...params).count;
+  const pages = Math.max(1, Math.ceil(total / pageSize));
+
+  const scans = prepareStatement(`
+    SELECT * FROM scans ${where}
+    ORDER BY ${orderBy}, id ${sort.order === 'asc' ? 'ASC' : 'DESC'}
+    LIMIT ? OFFSET ?
+  `).all(...params, pageSize, (page - 1) * pageSize).map(rowToScan);
+
+  return { scans, total, page, pageSize, pages };
+}
+
+/**
+ * Iterate over the raw scans rows matching filters, in sort order
+ * Rows are read in batches so no SQLite statement stays open between them
+ * (the caller can await between rows while /log/:id keeps writing)
+ * @param {Object} options - { filters, sort } (see parseScanQuery)
+ * @param {number} batchSize - Rows per query
+ * @returns {Generator<Object>} scans table rows
+ */
+function* iterateScanRows({ filters = {}, sort = { key: 'timestamp', order: 'desc' } } = {}, batchSize = 500) {
+  const { where, params } = buildScanWhere(filters);
+  const direction = sort.order === 'asc' ? 'ASC' : 'DESC';
+  
+  // Scans added during the export would shift the batches: stop at the rows present now
+  const lastId = prepareStatement('SELECT COALESCE(MAX(id), 0) AS id FROM scans').get().id;
+  const select = prepareStatement(`
+    SELECT * FROM scans ${where ? `${where} AND` : 'WHERE'} id <= ?
+    ORDER BY ${SCAN_SORTS[sort.key] || 'timestamp'} ${direction}, id ${direction}
+    LIMIT ? OFFSET ?
+  `);
+
+  for (let offset = 0; ; offset += batchSize) {
+    const rows = select.all(...params, lastId, batchSize, offset);
+    yield* rows;
+    if (rows.length < batchSize) {
+      return;
+    }
+  }
+}
+
+/**
+ * Distinct values offered by the /scans filters
+ * @returns {Object} { os, brands }
+ */
+function getScanFilterOptions() {
+  const distinct = expression => prepareStatement(`
+    SELECT DISTINCT ${expression} AS value FROM scans
+    WHERE ${expression} IS NOT NULL
+    ORDER BY value COLLATE NOCASE
+  `).all().map(row => row.value);
+
+  return {
+    os: distinct('os'),
+    brands: distinct(BRAND_EXPRESSION)
+  };
+}
+
+/**
+ * Validate a manual correction of a scan verdict
+ * @param {Object} input - { model, esim: 'yes' | 'no' (or a boolean), note }
+ * @returns {Object} { values: { model, eSIMCompatible, note }, errors }
+ */
+function validateCorrection(input = {}) {
+  const errors = [];
+  const text = value => (typeof value === 'string' && value.trim() !== '' ? value.trim() : null);
+
+  const model = text(input.model);
+  if (!model) {
+    errors.push('model is required');
+  } else if (model.length > MAX_CORRECTED_MODEL_LENGTH) {
+    errors.push(`model must be at most ${MAX_CORRECTED_MODEL_LENGTH} characters`);
+  }
+
+  let eSIMCompatible = null;
+  if (input.esim === true || input.esim === 'yes') {
+    eSIMCompatible = true;
+  } else if (input.esim === false || input.esim === 'no') {
+    eSIMCompatible = false;
+  } else {
+    errors.push('esim must be yes or no');
+  }
+
+  const note = text(input.note);
+  if (note && note.length > MAX_CORRECTION_NOTE_LENGTH) {
+    errors.push(`note must be at most ${MAX_CORRECTION_NOTE_LENGTH} characters`);
+  }
+
+  return { values: { model, eSIMCompatible, note }, errors };
+}
+
+/**
+ * Set the true model and eSIM status of a scan record
+ * The original verdict (deduced model, GSMA data, eSIMCompatible...) is left untouched.
+ * A new correction replaces the previous one.
+ * @param {string} internalId - Unique record ID
+ * @param {Object} input - { model, esim, note } (see validateCorrection)
+ * @returns {Object} { scan, errors } - scan is null if not found or input is invalid
+ */
+function setScanCorrection(internalId, input) {
+  const { values, errors } = validateCorrection(input);
+  if (errors.length > 0) {
+    return { scan: null, errors };
+  }
+
+  const result = prepareStatement(`
+    UPDATE scans
+    SET corrected_model = ?, corrected_esim = ?, correction_note = ?, corrected_at = ?
+    WHERE internal_id = ?
+  `).run(values.model, values.eSIMCompatible ? 1 : 0, values.note, new Date().toISOString(), internalId);
+
+  return { scan: result.changes > 0 ? getScanByInternalId(internalId) : null, errors: [] };
+}
+
+/**
+ * Remove the manual correction of a scan record
+ * @param {string} internalId - Unique record ID
+ * @returns {boolean} True if the record exists
+ */
+function clearScanCorrection(internalId) {
+  const result = prepareStatement(`
+    UPDATE scans
+    SET corrected_model = NULL, corrected_esim = NULL, correction_note = NULL, corrected_at = NULL
+    WHERE internal_id = ?
+  `).run(internalId);
+  return result.changes > 0;
+}
+
+/**
+ * Count stored scans
+ */
+function countScans() {
+  return prepareStatement('SELECT COUNT(*) as count FROM scans').get().count;
+}
+
+/**
+ * Import scan records (records whose internalId is already stored are skipped)
+ * @param {Array} scans - Scan records
+ * @returns {Object} { imported, skipped }
+ */
+function importScans(scans) {
+  const insert = prepareStatement(insertSQL(true));
+  let imported = 0;
+
+  getDatabase().transaction(() => {
+    for (const scan of scans) {
+      // Very old records have no internalId: derive a stable one so re-imports stay idempotent
+      const record = scan.internalId ? scan : { ...scan, internalId: `legacy-${scan.timestamp}-${scan.scanId}` };
+      imported += insert.run(scanToParams(record)).changes;
+    }
+  })();
+
+  return { imported, skipped: scans.length - imported };
+}
+
+/**
+ * Import a scans.json file (array of scan records written by previous versions)
+ * @param {string} filePath - Path to scans.json
+ * @returns {Object} { total, imported, skipped }
+ */
+function importScansFile(filePath) {
+  const scans = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(scans)) {
+    throw new Error(`${filePath} does not contain an array of scans`);
+  }
+
+  return { total: scans.length, ...importScans(scans) };
+}
+
+module.exports = {
+  addScan,
+  getLatestScanBySessionId,
+  getScansBySessionId,
+  getScansByCampaignId,
+  getScanByInternalId,
+  getAllScans,
+  findScans,
+  iterateScanRows,
+  parseScanQuery,
+  buildScanWhere,
+  getScanFilterOptions,
+  validateCorrection,
+  setScanCorrection,
+  clearScanCorrection,
+  countScans,
+  importScans,
+  importScansFile,
+  rowToScan,
+  SCAN_FIELDS,
+  SCAN_SORTS,
+  MODEL_EXPRESSION,
+  BRAND_EXPRESSION
+};
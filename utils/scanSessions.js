@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+// How long the collector page has to post its data to /log/:id
+const SESSION_TTL_MS = 30 * 60 * 1000;
+// Upper bound of open sessions (oldest dropped first when a new visit comes in)
+const MAX_SESSIONS = 10000;
+// Expired sessions are also swept periodically, so idle servers do not keep them
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Visit token -> { scanId, serverData, createdAt }
+const sessions = new Map();
+
+/**
+ * Drop expired sessions, and the oldest ones until at most maxSize remain
+ * Sessions are kept in creation order: the first unexpired one ends the sweep
+ */
+function pruneSessions(now = Date.now(), maxSize = MAX_SESSIONS) {
+  for (const [token, session] of sessions) {
+    if (now - session.createdAt <= SESSION_TTL_MS && sessions.size <= maxSize) {
+      break;
+    }
+    sessions.delete(token);
+  }
+}
+
+setInterval(() => pruneSessions(), SWEEP_INTERVAL_MS).unref();
+
+/**
+ * Keep what the server saw on /s/:id for the /log/:id request of the same visit
+ * Ad-hoc QR codes share their scan ID between visitors: each visit gets its own token
+ * @param {string} scanId - Session ID of the scan
+ * @param {Object} data - Server-side data of the visit (serverData: headers, Client Hints)
+ * @returns {string} Visit token, rendered in the collector page and posted back to /log/:id
+ */
+function openScanSession(scanId, data) {
+  // Make room for the new session
+  pruneSessions(Date.now(), MAX_SESSIONS - 1);
+  const token = crypto.randomUUID();
+  sessions.set(token, { ...data, scanId: scanId, createdAt: Date.now() });
+  return token;
+}
+
+/**
+ * Find the session of a visit (null if unknown, expired, or opened for another scan ID)
+ * @param {string} token - Visit token posted by the collector
+ * @param {string} scanId - Scan ID of the /log/:id request
+ * @returns {Object|null} Session data
+ */
+function getScanSession(token, scanId) {
+  pruneSessions();
+  const session = typeof token === 'string' ? sessions.get(token) : null;
+  return session && session.scanId === scanId ? session : null;
+}
+
+module.exports = {
+  openScanSession,
+  getScanSession,
+  pruneSessions,
+  SESSION_TTL_MS,
+  MAX_SESSIONS
+};
@@ -0,0 +1,400 @@
+const { prepareStatement } = require('./database');
+const { iterateScanRows } = require('./scanRepository');
+const { searchDevice } = require('./gsmaDatabase');
+const { resolveModelAlias } = require('./aliasRepository');
+const { getRules, addRule } = require('./fingerprintRules');
+const { findSignatureRule, findAndroidRule, findiPhoneRule } = require('./fingerprinting');
+
+// Labelled scans a cluster needs before a rule is proposed
+const MIN_LABELLED_SCANS = 3;
+
+// Share of the labelled scans a model needs to be listed in a proposed rule
+const MIN_MODEL_SHARE = 0.15;
+const MAX_RULE_MODELS = 5;
+
+// Proposals below this confidence are dropped, learned rules never claim more than the maximum
+const MIN_PROPOSAL_CONFIDENCE = 50;
+const MAX_LEARNED_CONFIDENCE = 95;
+
+// z of the 95% Wilson score interval
+const WILSON_Z = 1.96;
+
+const PROPOSAL_STATUSES = ['pending', 'accepted', 'rejected'];
+
+/**
+ * Fingerprint table a scan belongs to ('iphone', 'android' or null)
+ */
+function detectPlatform(row) {
+  const os = (row.os || '').toLowerCase();
+  if (os === 'ios' || (row.device_model || '').toLowerCase().includes('iphone')) {
+    return 'iphone';
+  }
+  return os === 'android' ? 'android' : null;
+}
+
+/**
+ * Normalize a GPU renderer the way the fingerprint rules compare it
+ */
+function normalizeGPU(gpuRenderer) {
+  return (gpuRenderer || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Cluster of a scan: same platform, resolution, DPR and (Android only) GPU
+ * @returns {Object|null} { key, platform, screenWidth, screenHeight, pixelRatio, gpu } or null if signals are missing
+ */
+function getClusterSignature(row) {
+  const platform = detectPlatform(row);
+  if (!platform || !row.screen_width || !row.screen_height || !row.pixel_ratio) {
+    return null;
+  }
+  const gpu = platform === 'android' ? normalizeGPU(row.gpu_renderer) : null;
+  if (platform === 'android' && !gpu) {
+    return null;
+  }
+
+  const pixelRatio = Math.round(row.pixel_ratio * 100) / 100;
+  const resolution = `${row.screen_width}x${row.screen_height}@${pixelRatio}x`;
+  return {
+    key: gpu ? `${platform}|${resolution}|${gpu}` : `${platform}|${resolution}`,
+    platform,
+    screenWidth: row.screen_width,
+    screenHeight: row.screen_height,
+    pixelRatio,
+    gpu
+  };
+}
+
+/**
+ * Reliable model of a scan: staff correction, else the Client Hints model found in GSMA
+ * (the Client Hints model is read from the device, unlike the masked User-Agent)
+ * @param {Object} row - scans row
+ * @param {Function} resolveModel - (brand, model) => GSMA name or null
+ * @returns {Object|null} { model, source: 'correction' | 'clientHints' }
+ */
+function labelScan(row, resolveModel) {
+  if (row.corrected_model) {
+    return { model: row.corrected_model, source: 'correction' };
+  }
+  if (row.ch_model && row.ch_model !== 'K') {
+    const model = resolveModel(row.ch_brand, row.ch_model);
+    if (model) {
+      return { model, source: 'clientHints' };
+    }
+  }
+  return null;
+}
+
+/**
+ * Rule of the current fingerprint tables that already covers a cluster
+ * @returns {string|null} Rule id
+ */
+function findCoveringRule(cluster) {
+  const rule = cluster.platform === 'iphone'
+    ? findiPhoneRule(cluster.screenWidth, cluster.screenHeight, cluster.pixelRatio)
+    : findSignatureRule(cluster.gpu, cluster.screenWidth) ||
+      findAndroidRule(cluster.gpu, cluster.screenWidth, cluster.screenHeight, cluster.pixelRatio);
+  return rule ? rule.id : null;
+}
+
+/**
+ * Group the stored scans by hardware signature and count their reliable models
+ * @returns {Array<Object>} Clusters { key, platform, screenWidth, screenHeight, pixelRatio, gpu,
+ *   scanCount, unmatchedCount, labelledCount, correctionCount, labels, coveredBy }, largest first
+ */
+function clusterScans() {
+  const clusters = new Map();
+
+  // Client Hints models are looked up once per brand/model (alias dictionary first), like the clientHints strategy does
+  const resolved = new Map();
+  const resolveModel = (brand, model) => {
+    const key = `${brand || ''}|${model}`;
+    if (!resolved.has(key)) {
+      const alias = resolveModelAlias(brand ? `${brand} ${model}` : model);
+      const record = alias ? searchDevice(alias.gsmaName) : ((brand && searchDevice(`${brand} ${model}`)) || searchDevice(model));
+      resolved.set(key, record ? record.standardised_full_name : null);
+    }
+    return resolved.get(key);
+  };
+
+  for (const row of iterateScanRows({ sort: { key: 'timestamp', order: 'asc' } })) {
+    const signature = getClusterSignature(row);
+    if (!signature) {
+      continue;
+    }
+
+    if (!clusters.has(signature.key)) {
+      clusters.set(signature.key, { ...signature, scanCount: 0, unmatchedCount: 0, labelledCount: 0, correctionCount: 0, labels: new Map() });
+    }
+    const cluster = clusters.get(signature.key);
+    cluster.scanCount++;
+    if (!row.deduced_model && !row.gsma_full_name) {
+      cluster.unmatchedCount++;
+    }
+
+    const label = labelScan(row, resolveModel);
+    if (!label) {
+      continue;
+    }
+    cluster.labelledCount++;
+    if (label.source === 'correction') {
+      cluster.correctionCount++;
+    }
+    // Models are grouped case-insensitively, under the first spelling seen
+    const labelKey = label.model.toLowerCase();
+    if (!cluster.labels.has(labelKey)) {
+      cluster.labels.set(labelKey, { model: label.model, count: 0, corrections: 0 });
+    }
+    const entry = cluster.labels.get(labelKey);
+    entry.count++;
+    if (label.source === 'correction') {
+      entry.corrections++;
+    }
+  }
+
+  return [...clusters.values()]
+    .map(cluster => ({
+      ...cluster,
+      labels: [...cluster.labels.values()].sort((a, b) => b.count - a.count || a.model.localeCompare(b.model)),
+      coveredBy: findCoveringRule(cluster)
+    }))
+    .sort((a, b) => b.scanCount - a.scanCount);
+}
+
+/**
+ * Lower bound of the 95% Wilson score interval of a proportion
+ * (a share observed on few scans gets a lower bound than the same share on many)
+ */
+function wilsonLowerBound(successes, total) {
+  if (total === 0) {
+    return 0;
+  }
+  const p = successes / total;
+  const z2 = WILSON_Z * WILSON_Z;
+  const center = p + z2 / (2 * total);
+  const margin = WILSON_Z * Math.sqrt((p * (1 - p) + z2 / (4 * total)) / total);
+  return (center - margin) / (1 + z2 / total);
+}
+
+/**
+ * Rule id not used by the current fingerprint rules
+ */
+function generateRuleId(cluster) {
+  const slug = [cluster.platform, `${cluster.screenWidth}x${cluster.screenHeight}`, cluster.gpu]
+    .filter(Boolean)
+    .join('-')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .substring(0, 60);
+  const rules = getRules();
+  const ids = new Set([...rules.signatures, ...rules.android, ...rules.iphone].map(rule => rule.id));
+
+  let id = `learned-${slug}`;
+  for (let suffix = 2; ids.has(id); suffix++) {
+    id = `learned-${slug}-${suffix}`;
+  }
+  return id;
+}
+
+/**
+ * Build the fingerprint rule proposed for a cluster
+ * The rule lists the models seen on at least MIN_MODEL_SHARE of the labelled scans. Its confidence
+ * is the Wilson lower bound of the share of labelled scans whose model is in the rule.
+ * @returns {Object|null} { section, rule, confidence } or null if the evidence is too weak
+ */
+function buildProposal(cluster) {
+  if (cluster.labelledCount < MIN_LABELLED_SCANS) {
+    return null;
+  }
+
+  const models = cluster.labels
+    .filter(label => label.count / cluster.labelledCount >= MIN_MODEL_SHARE)
+    .slice(0, MAX_RULE_MODELS);
+  const covered = models.reduce((sum, label) => sum + label.count, 0);
+  const confidence = Math.min(MAX_LEARNED_CONFIDENCE, Math.round(100 * wilsonLowerBound(covered, cluster.labelledCount)));
+  if (models.length === 0 || confidence < MIN_PROPOSAL_CONFIDENCE) {
+    return null;
+  }
+
+  const modelNames = models.map(label => label.model);
+  const rule = cluster.platform === 'iphone'
+    ? {
+      id: generateRuleId(cluster),
+      width: cluster.screenWidth,
+      height: cluster.screenHeight,
+      pixelRatio: cluster.pixelRatio,
+      models: modelNames,
+      confidence: confidence
+    }
+    : {
+      id: generateRuleId(cluster),
+      gpu: cluster.gpu,
+      width: cluster.screenWidth,
+      height: cluster.screenHeight,
+      pixelRatio: cluster.pixelRatio,
+      displayName: modelNames.join(' / '),
+      models: modelNames,
+      confidence: confidence
+    };
+
+  return { section: cluster.platform, rule, confidence };
+}
+
+/**
+ * Convert a signature_proposals row to a proposal object
+ */
+function rowToProposal(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    id: row.id,
+    clusterKey: row.cluster_key,
+    section: row.section,
+    rule: JSON.parse(row.rule),
+    confidence: row.confidence,
+    scanCount: row.scan_count,
+    unmatchedCount: row.unmatched_count,
+    labelledCount: row.labelled_count,
+    correctionCount: row.correction_count,
+    labels: row.labels ? JSON.parse(row.labels) : [],
+    status: row.status,
+    decidedAt: row.decided_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Cluster the stored scans and store a proposal for each cluster that no rule covers yet
+ * Pending proposals are refreshed with the new evidence; accepted and rejected ones are left as decided.
+ * @returns {Object} { clusters, covered, proposed, updated, decided }
+ */
+function learnSignatures() {
+  const clusters = clusterScans();
+  const summary = { clusters: clusters.length, covered: 0, proposed: 0, updated: 0, decided: 0 };
+
+  for (const cluster of clusters) {
+    if (cluster.coveredBy) {
+      summary.covered++;
+      continue;
+    }
+    const proposal = buildProposal(cluster);
+    if (!proposal) {
+      continue;
+    }
+
+    const existing = prepareStatement('SELECT id, status, rule FROM signature_proposals WHERE cluster_key = ?').get(cluster.key);
+    if (existing && existing.status !== 'pending') {
+      summary.decided++;
+      continue;
+    }
+
+    const values = [
+      proposal.section,
+      // A refreshed proposal keeps its rule id
+      JSON.stringify(existing ? { ...proposal.rule, id: JSON.parse(existing.rule).id } : proposal.rule),
+      proposal.confidence,
+      cluster.scanCount,
+      cluster.unmatchedCount,
+      cluster.labelledCount,
+      cluster.correctionCount,
+      JSON.stringify(cluster.labels)
+    ];
+    if (existing) {
+      prepareStatement(`
+        UPDATE signature_proposals
+        SET section = ?, rule = ?, confidence = ?, scan_count = ?, unmatched_count = ?,
+            labelled_count = ?, correction_count = ?, labels = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(...values, existing.id);
+      summary.updated++;
+    } else {
+      prepareStatement(`
+        INSERT INTO signature_proposals (section, rule, confidence, scan_count, unmatched_count,
+          labelled_count, correction_count, labels, cluster_key)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(...values, cluster.key);
+      summary.proposed++;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Get the stored proposals, pending first, then the most recently decided
+ * @param {string} status - Only this status (all if null)
+ * @returns {Array<Object>} Proposals
+ */
+function getProposals(status = null) {
+  return prepareStatement(`
+    SELECT * FROM signature_proposals
+    WHERE ? IS NULL OR status = ?
+    ORDER BY status = 'pending' DESC, COALESCE(decided_at, '') DESC, labelled_count DESC, id
+  `).all(status, status).map(rowToProposal);
+}
+
+/**
+ * Get a proposal by ID
+ */
+function getProposal(id) {
+  return rowToProposal(prepareStatement('SELECT * FROM signature_proposals WHERE id = ?').get(id));
+}
+
+/**
+ * Set the status of a pending proposal
+ */
+function decideProposal(id, status) {
+  prepareStatement(`
+    UPDATE signature_proposals
+    SET status = ?, decided_at = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(status, new Date().toISOString(), id);
+  return getProposal(id);
+}
+
+/**
+ * Accept a pending proposal: its rule is added to the fingerprint rules file
+ * @param {number} id - Proposal ID
+ * @returns {Object} { proposal, error } - proposal is null if not found, not pending or the rule was refused
+ */
+function acceptProposal(id) {
+  const proposal = getProposal(id);
+  if (!proposal || proposal.status !== 'pending') {
+    return { proposal: null, error: proposal ? `Proposal #${id} is already ${proposal.status}` : null };
+  }
+
+  try {
+    addRule(proposal.section, proposal.rule);
+  } catch (error) {
+    return { proposal: null, error: error.message };
+  }
+  return { proposal: decideProposal(id, 'accepted'), error: null };
+}
+
+/**
+ * Reject a pending proposal (its cluster is not proposed again)
+ * @returns {Object|null} Proposal, or null if not found or not pending
+ */
+function rejectProposal(id) {
+  const proposal = getProposal(id);
+  if (!proposal || proposal.status !== 'pending') {
+    return null;
+  }
+  return decideProposal(id, 'rejected');
+}
+
+module.exports = {
+  clusterScans,
+  buildProposal,
+  wilsonLowerBound,
+  learnSignatures,
+  getProposals,
+  getProposal,
+  acceptProposal,
+  rejectProposal,
+  PROPOSAL_STATUSES,
+  MIN_LABELLED_SCANS
+};
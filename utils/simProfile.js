@@ -0,0 +1,243 @@
+const path = require('path');
+const fs = require('fs');
+const { detectRegions } = require('./regionalESIM');
+
+const SIM_CAPABILITIES_PATH = process.env.SIM_CAPABILITIES_PATH || path.join(__dirname, '../config', 'simCapabilities.json');
+
+// Capabilities a model entry can set (others come from GSMA or are derived)
+const CAPABILITY_FIELDS = ['physicalSlots', 'esim', 'dualESIM', 'dsds'];
+const MAX_PHYSICAL_SLOTS = 4;
+
+let capabilitiesIndex = null;
+
+/**
+ * Normalize a device name for lookups (lowercase, single spaces)
+ */
+function normalizeName(name) {
+  return (name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Validate the SIM fields of a capabilities entry or regional variant
+ */
+function validateSIMFields(entry, label, errors) {
+  if (entry.physicalSlots !== undefined &&
+      (!Number.isInteger(entry.physicalSlots) || entry.physicalSlots < 0 || entry.physicalSlots > MAX_PHYSICAL_SLOTS)) {
+    errors.push(`${label}: physicalSlots must be an integer between 0 and ${MAX_PHYSICAL_SLOTS}`);
+  }
+  for (const key of ['esim', 'dualESIM', 'dsds']) {
+    if (entry[key] !== undefined && typeof entry[key] !== 'boolean') {
+      errors.push(`${label}: ${key} must be a boolean`);
+    }
+  }
+  if (entry.physicalSlots === 0 && entry.esim === false) {
+    errors.push(`${label}: a model without physical slot must support eSIM`);
+  }
+}
+
+/**
+ * Validate a SIM capabilities document
+ * @param {Object} doc - Parsed capabilities file
+ * @returns {Array<string>} List of validation errors (empty if valid)
+ */
+function validateSIMCapabilities(doc) {
+  if (!doc || !Array.isArray(doc.devices)) {
+    return ['devices must be an array'];
+  }
+
+  const errors = [];
+  doc.devices.forEach((device, index) => {
+    const label = `devices[${index}]`;
+    if (typeof device.model !== 'string' || device.model.trim() === '') {
+      errors.push(`${label}: model must be a non-empty string`);
+    }
+    validateSIMFields(device, label, errors);
+    if (device.variants !== undefined && !Array.isArray(device.variants)) {
+      errors.push(`${label}: variants must be an array`);
+    }
+    (Array.isArray(device.variants) ? device.variants : []).forEach((variant, variantIndex) => {
+      const variantLabel = `${label}.variants[${variantIndex}]`;
+      if (typeof variant.region !== 'string' || variant.region.trim() === '') {
+        errors.push(`${variantLabel}: region must be a region code of config/regionalESIM.json`);
+      }
+      validateSIMFields(variant, variantLabel, errors);
+    });
+  });
+  return errors;
+}
+
+/**
+ * Load the SIM capabilities table and index it by model name and aliases
+ * @returns {Map} Normalized name -> capabilities entry
+ */
+function loadSIMCapabilities() {
+  const index = new Map();
+
+  try {
+    const doc = JSON.parse(fs.readFileSync(SIM_CAPABILITIES_PATH, 'utf8'));
+    const errors = validateSIMCapabilities(doc);
+    if (errors.length > 0) {
+      throw new Error(`Invalid SIM capabilities:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    for (const device of doc.devices) {
+      for (const name of [device.model, ...(device.aliases || [])]) {
+        index.set(normalizeName(name), device);
+      }
+    }
+    console.log(`✅ SIM capabilities v${doc.version} loaded: ${doc.devices.length} model(s)`);
+  } catch (error) {
+    console.error(`❌ Error loading SIM capabilities (${SIM_CAPABILITIES_PATH}): ${error.message}`);
+  }
+
+  return index;
+}
+
+/**
+ * Find the SIM capabilities of a device name (model name or alias)
+ * @param {string} fullName - Model name (fingerprint or GSMA name)
+ * @returns {Object|null} { model, physicalSlots, esim, dualESIM, dsds, variants } or null
+ */
+function findSIMCapabilities(fullName) {
+  if (!capabilitiesIndex) {
+    capabilitiesIndex = loadSIMCapabilities();
+  }
+  return capabilitiesIndex.get(normalizeName(fullName)) || null;
+}
+
+/**
+ * Number of physical SIM slots from the GSMA simslot field ("2" -> 2)
+ */
+function parseSlotCount(simslot) {
+  const match = String(simslot === null || simslot === undefined ? '' : simslot).trim().match(/^\d+$/);
+  return match ? Number(match[0]) : null;
+}
+
+/**
+ * Fields derived from the slot count and eSIM support
+ */
+function deriveFields(profile) {
+  profile.esimOnly = profile.physicalSlots === null ? null : profile.physicalSlots === 0;
+  if (profile.dsds === null) {
+    // Two SIMs are possible with two slots, or a slot and an eSIM
+    if (profile.physicalSlots !== null && (profile.physicalSlots >= 2 || (profile.physicalSlots >= 1 && profile.esim === true))) {
+      profile.dsds = true;
+    } else if (profile.physicalSlots === 1 && profile.esim === false) {
+      profile.dsds = false;
+    }
+  }
+  return profile;
+}
+
+/**
+ * Set the eSIM support of a profile, re-deriving the fields given for the previous one
+ * (the table's "1 slot, eSIM, DSDS" no longer holds for a model without eSIM)
+ */
+function overrideESIM(profile, esim) {
+  if (esim === profile.esim) {
+    return profile;
+  }
+  profile.esim = esim;
+  profile.dualESIM = esim === false ? false : null;
+  profile.dsds = null;
+  return deriveFields(profile);
+}
+
+/**
+ * SIM profile of one candidate model
+ * Capabilities table values win over GSMA, the eSIM support is the verdict's for the model
+ * @param {Object} candidate - Described candidate (model, gsmaName, simslot, eSIMCompatible)
+ * @param {Array<Object>} regions - Regions of the device (see detectRegions)
+ * @returns {Object} Profile with its sources and the regional variant of the device's region
+ */
+function buildModelProfile(candidate, regions) {
+  // The fingerprint model is the more precise name ("iPhone 14 Pro" may only be found as "Apple iPhone 14")
+  const capabilities = findSIMCapabilities(candidate.model) || findSIMCapabilities(candidate.gsmaName);
+  const gsmaSlots = parseSlotCount(candidate.simslot);
+  const sources = new Set();
+  const capability = key => {
+    if (capabilities && capabilities[key] !== undefined) {
+      sources.add('capabilities');
+      return capabilities[key];
+    }
+    return null;
+  };
+
+  const profile = {
+    physicalSlots: capability('physicalSlots'),
+    esim: capability('esim'),
+    esimOnly: null,
+    dualESIM: capability('dualESIM'),
+    dsds: capability('dsds'),
+    regionalVariant: null
+  };
+  if (profile.physicalSlots === null && gsmaSlots !== null) {
+    profile.physicalSlots = gsmaSlots;
+    sources.add('gsma');
+  }
+  deriveFields(profile);
+  if (candidate.eSIMCompatible !== null && candidate.eSIMCompatible !== undefined) {
+    overrideESIM(profile, candidate.eSIMCompatible);
+  }
+  // A regional eSIM decision is reported through the variant it applies (see below)
+  if (candidate.eSIMSource && candidate.eSIMSource !== 'regional') {
+    sources.add(candidate.eSIMSource);
+  }
+
+  // A regional variant applies when both the timezone and the language point to its region,
+  // otherwise the fields it changes depend on the variant
+  const region = [...regions]
+    .sort((a, b) => b.matchedBy.length - a.matchedBy.length)
+    .find(item => (capabilities?.variants || []).some(variant => variant.region === item.code));
+  if (region) {
+    const variant = capabilities.variants.find(item => item.region === region.code);
+    const applied = region.matchedBy.length === 2;
+    profile.regionalVariant = { region: region.code, name: region.name, matchedBy: region.matchedBy, note: variant.note || null, applied };
+    for (const key of CAPABILITY_FIELDS) {
+      if (variant[key] !== undefined && variant[key] !== profile[key]) {
+        profile[key] = applied ? variant[key] : null;
+      }
+    }
+    deriveFields(profile);
+    if (applied) {
+      sources.add('regional');
+    }
+  }
+
+  profile.sources = [...sources];
+  return profile;
+}
+
+/**
+ * SIM configuration profile of a verdict: physical slots, eSIM, eSIM only, dual eSIM and dual SIM (DSDS)
+ * With several candidate models, a field keeps its value only when every candidate agrees (null otherwise)
+ * @param {Object} signals - Normalized signals (timezone, acceptLanguage for regional variants)
+ * @param {Object} verdict - Verdict with its described candidates and final eSIM status
+ * @returns {Object|null} { physicalSlots, esim, esimOnly, dualESIM, dsds, regionalVariant, sources } or null without candidates
+ */
+function buildSIMProfile(signals, verdict) {
+  if (verdict.candidates.length === 0) {
+    return null;
+  }
+
+  const regions = detectRegions(signals);
+  const profiles = verdict.candidates.map(candidate => buildModelProfile(candidate, regions));
+  const merged = {};
+  for (const key of ['physicalSlots', 'esim', 'esimOnly', 'dualESIM', 'dsds']) {
+    const values = profiles.map(profile => profile[key]);
+    merged[key] = values.every(value => value === values[0]) ? values[0] : null;
+  }
+  // The profile follows the final eSIM decision (regional exceptions, most probable candidate)
+  overrideESIM(merged, verdict.eSIMCompatible);
+  merged.regionalVariant = profiles.find(profile => profile.regionalVariant)?.regionalVariant || null;
+  merged.sources = [...new Set(profiles.flatMap(profile => profile.sources))];
+  return merged;
+}
+
+module.exports = {
+  buildSIMProfile,
+  findSIMCapabilities,
+  validateSIMCapabilities,
+  parseSlotCount,
+  SIM_CAPABILITIES_PATH
+};